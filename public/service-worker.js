@@ -0,0 +1,76 @@
+/* eslint-disable no-restricted-globals */
+// --- PASTA Service Worker ---
+// Caches the app shell so the app opens without a connection. Page loads go to the
+// network first and fall back to the cached index.html; hashed build assets are
+// served from the cache first. Data never goes through here: Firestore keeps its
+// own offline cache.
+
+const CACHE_NAME = 'pasta-shell-v1';
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+const SHELL = ['./', 'index.html', 'manifest.json', 'favicon.ico', 'logo192.png', 'logo512.png'];
+
+// asset-manifest.json is written by the build and lists the hashed entry bundles.
+const getBuildAssets = async () => {
+    try {
+        const response = await fetch(scopeUrl('asset-manifest.json'), { cache: 'no-store' });
+        const { entrypoints = [] } = await response.json();
+        return entrypoints;
+    } catch (error) {
+        return [];
+    }
+};
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        const assets = await getBuildAssets();
+        await cache.addAll([...SHELL, ...assets].map(scopeUrl));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name.startsWith('pasta-') && name !== CACHE_NAME).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+const networkFirst = async (request, fallbackUrl) => {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(fallbackUrl ?? request, response.clone());
+        return response;
+    } catch (error) {
+        return (await cache.match(fallbackUrl ?? request)) || Response.error();
+    }
+};
+
+const cacheFirst = async (request) => {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        return Response.error();
+    }
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || !request.url.startsWith(self.registration.scope)) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, scopeUrl('index.html')));
+    } else if (new URL(request.url).pathname.includes('/static/')) {
+        event.respondWith(cacheFirst(request));
+    } else {
+        event.respondWith(networkFirst(request));
+    }
+});
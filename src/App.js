@@ -1,43 +1,47 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, onAuthStateChanged, signInWithCustomToken } from 'firebase/auth';
-import { getFirestore, doc, getDoc, setDoc, onSnapshot, updateDoc, collection, addDoc, deleteDoc } from 'firebase/firestore';
-
-// --- Helper Functions & Constants ---
-// eslint-disable-next-line no-undef
-const getAppId = () => typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-const getFirebaseConfig = () => {
-    try {
-        // eslint-disable-next-line no-undef
-        return typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : { apiKey: "...", authDomain: "...", projectId: "..." };
-    } catch (e) {
-        console.error("Failed to parse Firebase config:", e);
-        return { apiKey: "...", authDomain: "...", projectId: "..." };
-    }
-};
-// eslint-disable-next-line no-undef
-const getInitialAuthToken = () => typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
-
-const toSafeInt = (x, def = 0, max = 1000) => {
-  const n = Number(x);
-  return Number.isFinite(n) && n >= 0 ? Math.min(Math.floor(n), max) : def;
-};
-
-const sanitizePlanData = (raw) => {
-  const sessions = toSafeInt(raw?.sessions, 0, 30);
-  const activities = Array.from({ length: sessions }, (_, i) => {
-    const a = raw?.activities?.[i] ?? {};
-    return { text: typeof a.text === 'string' ? a.text : '', isRest: !!a.isRest };
-  });
-  return { sessions, activities, name: raw?.name || 'My Plan' };
-};
-
-
-// --- Firebase Initialization ---
-const firebaseConfig = getFirebaseConfig();
-const app = initializeApp(firebaseConfig);
-const auth = getAuth(app);
-const db = getFirestore(app);
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { toSafeInt, sanitizePlanData, getPlanForCycle, getSessionsForCycle } from './plan';
+import BackupPanel from './components/BackupPanel';
+import CalendarExport from './components/CalendarExport';
+import SessionLogEditor from './components/SessionLogEditor';
+import ExerciseEditor from './components/ExerciseEditor';
+import StatusScaleEditor from './components/StatusScaleEditor';
+import StatsPage from './components/StatsPage';
+import TodayPage from './components/TodayPage';
+import PlanHistoryPanel from './components/PlanHistoryPanel';
+import AuditLogPanel from './components/AuditLogPanel';
+import UndoToast from './components/UndoToast';
+import ConflictNotice from './components/ConflictNotice';
+import SyncIndicator from './components/SyncIndicator';
+import TemplatePicker from './components/TemplatePicker';
+import AccountPage from './components/AccountPage';
+import SharePlanPanel from './components/SharePlanPanel';
+import SharedPlanPreview from './components/SharedPlanPreview';
+import PlanPicker from './components/PlanPicker';
+import ReminderSettings from './components/ReminderSettings';
+import GoalEditor from './components/GoalEditor';
+import GoalsPanel from './components/GoalsPanel';
+import WorkoutImportDialog from './components/WorkoutImportDialog';
+import useCommandHistory from './hooks/useCommandHistory';
+import useHashRoute from './hooks/useHashRoute';
+import useReminders from './hooks/useReminders';
+import useI18n, { I18nProvider } from './hooks/useI18n';
+import { LOCALES } from './i18n';
+import { isBackfilled } from './audit';
+import { createCommandHistory } from './history';
+import { newSessionId, getSessionStatus, moveItem } from './sessions';
+import { cycleStatus, setSessionLog, moveToCycle, applyWorkouts } from './trackingUpdates';
+import { parseWorkoutFile, matchWorkouts } from './workoutImport';
+import { readFileAsText } from './download';
+import { isConflict, isSameValue } from './conflicts';
+import { instantiateTemplate, createTemplateFromPlan, createEmptyTracking, duplicatePlan } from './templates';
+import { NO_PLAN_ROUTE, isPlanPage } from './routes';
+import usePlanTracking from './hooks/usePlanTracking';
+import { savePlanVersion } from './planVersions';
+import { sanitizeExercises, getSessionTargets, formatTarget } from './progression';
+import { sanitizeStatusScale, getStatusScale, getStatusEntry, getStatusLabel, getStatusCellClass, getStatusSwatchClass, getStatusSymbol, nextStatus } from './statusScale';
+import { getSessionLog, getCycleLogTotals } from './sessionLog';
+import { sanitizeGoals } from './goals';
+import { getWeekdayLabels, toDateKey, sanitizeSchedule, sanitizeReminders, getCycleDates, getCycleIndexForDate, isSameDay, formatShortDate, formatDateRange } from './schedule';
 
 // --- Icon Components ---
 const CalendarIcon = ({ className }) => (
@@ -47,9 +51,22 @@ const SettingsIcon = ({ className }) => (
     <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}><path d="M12.22 2h-.44a2 2 0 0 0-2 2v.18a2 2 0 0 1-1 1.73l-.43.25a2 2 0 0 1-2 0l-.15-.08a2 2 0 0 0-2.73.73l-.22.38a2 2 0 0 0 .73 2.73l.15.1a2 2 0 0 1 0 2l-.15.08a2 2 0 0 0-.73 2.73l.22.38a2 2 0 0 0 2.73.73l.15-.08a2 2 0 0 1 2 0l.43.25a2 2 0 0 1 1 1.73V20a2 2 0 0 0 2 2h.44a2 2 0 0 0 2-2v-.18a2 2 0 0 1 1-1.73l.43-.25a2 2 0 0 1 2 0l.15.08a2 2 0 0 0 2.73-.73l-.22-.38a2 2 0 0 0-.73-2.73l-.15-.08a2 2 0 0 1 0-2l.15-.08a2 2 0 0 0 .73-2.73l-.22-.38a2 2 0 0 0-2.73-.73l-.15.08a2 2 0 0 1-2 0l-.43-.25a2 2 0 0 1-1-1.73V4a2 2 0 0 0-2-2z" /><circle cx="12" cy="12" r="3" /></svg>
 );
 
-const ToggleSwitch = ({ isEnabled, onToggle }) => (
+const UserIcon = ({ className }) => (
+    <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}><path d="M19 21v-2a4 4 0 0 0-4-4H9a4 4 0 0 0-4 4v2" /><circle cx="12" cy="7" r="4" /></svg>
+);
+const SunIcon = ({ className }) => (
+    <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}><circle cx="12" cy="12" r="4" /><path d="M12 2v2" /><path d="M12 20v2" /><path d="m4.93 4.93 1.41 1.41" /><path d="m17.66 17.66 1.41 1.41" /><path d="M2 12h2" /><path d="M20 12h2" /><path d="m6.34 17.66-1.41 1.41" /><path d="m19.07 4.93-1.41 1.41" /></svg>
+);
+const ChartIcon = ({ className }) => (
+    <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={className}><line x1="18" x2="18" y1="20" y2="10" /><line x1="12" x2="12" y1="20" y2="4" /><line x1="6" x2="6" y1="20" y2="14" /></svg>
+);
+
+const ToggleSwitch = ({ isEnabled, onToggle, label }) => (
     <button
       onClick={onToggle}
+      role="switch"
+      aria-checked={isEnabled}
+      aria-label={label}
       className={`relative inline-flex flex-shrink-0 h-6 w-11 border-2 border-transparent rounded-full cursor-pointer transition-colors ease-in-out duration-200 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-pink-500 ${isEnabled ? 'bg-green-400' : 'bg-zinc-300'}`}
     >
       <span
@@ -61,246 +78,431 @@ const ToggleSwitch = ({ isEnabled, onToggle }) => (
 
 
 // --- Plan Page Component ---
-const PlanPage = ({ userId, activePlanId, plans, handleNewPlan, handleDeletePlan }) => {
+const PlanPage = ({ store, history, activePlanId, plans, handleNewPlan, handleDeletePlan, handleDuplicatePlan, onConflict }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
     const [planName, setPlanName] = useState('');
     const [numSessions, setNumSessions] = useState(0);
     const [activities, setActivities] = useState([]);
+    const [schedule, setSchedule] = useState(null);
+    const [statusScale, setStatusScale] = useState(null);
+    const [reminders, setReminders] = useState(null);
+    const [goals, setGoals] = useState(null);
+    const [expandedId, setExpandedId] = useState(null);
+    const [draggedIndex, setDraggedIndex] = useState(null);
+    const [showDuplicateOptions, setShowDuplicateOptions] = useState(false);
     const [status, setStatus] = useState({ message: '', type: '' });
     const [isLoading, setIsLoading] = useState(true);
+    // The stored plan the current edits started from, to detect saves made elsewhere meanwhile.
+    // While there are unsaved edits, a save made elsewhere is held back rather than
+    // replacing them; the user is told and can load it instead.
+    const loadedPlan = useRef(null);
+    const hasEdits = useRef(false);
+    const [remotePlan, setRemotePlan] = useState(undefined);
+    // Read by the load error below, so switching language does not reload the plan and drop unsaved edits.
+    const tRef = useRef(t);
+    tRef.current = t;
 
-    const planDocRef = useCallback(() => {
-        if (!userId || !activePlanId) return null;
-        const appId = getAppId();
-        return doc(db, `artifacts/${appId}/users/${userId}/plans/${activePlanId}`);
-    }, [userId, activePlanId]);
+    const loadPlan = (rawPlan) => {
+        loadedPlan.current = rawPlan;
+        hasEdits.current = false;
+        setRemotePlan(undefined);
+        const data = rawPlan ? sanitizePlanData(rawPlan, i18n) : null;
+        setPlanName(data ? data.name : null);
+        setNumSessions(data?.sessions ?? 0);
+        setActivities(data?.activities ?? []);
+        setSchedule(data?.schedule ?? null);
+        setStatusScale(data?.statusScale ?? null);
+        setReminders(data?.reminders ?? null);
+        setGoals(data?.goals ?? null);
+    };
+    const loadPlanRef = useRef(loadPlan);
+    loadPlanRef.current = loadPlan;
+    // Wraps a state setter so that using it marks the plan as edited.
+    const edit = (setter) => (value) => {
+        hasEdits.current = true;
+        setter(value);
+    };
 
     useEffect(() => {
         setIsLoading(true);
+        hasEdits.current = false;
+        setRemotePlan(undefined);
         if (!activePlanId) {
-            setPlanName('No Plan Selected');
+            setPlanName('');
             setNumSessions(0);
             setActivities([]);
+            setSchedule(null);
+            setStatusScale(null);
+            setReminders(null);
+            setGoals(null);
             setIsLoading(false);
             return;
         };
-        const docRef = planDocRef();
-        if(!docRef) {
+        if (!store) {
             setIsLoading(false);
             return;
         };
 
-        const unsub = onSnapshot(docRef, (docSnap) => {
-            if (docSnap.exists()) {
-                const data = sanitizePlanData(docSnap.data());
-                setPlanName(data.name);
-                setNumSessions(data.sessions);
-                setActivities(data.activities);
-            } else {
-                setPlanName('Plan not found');
-                setNumSessions(0);
-                setActivities([]);
-            }
+        const unsub = store.subscribePlan(activePlanId, (rawPlan) => {
+            if (!hasEdits.current) loadPlanRef.current(rawPlan);
+            else if (!isSameValue(rawPlan, loadedPlan.current)) setRemotePlan(rawPlan);
             setIsLoading(false);
         }, err => {
             console.error("Error fetching training plan:", err);
-            setStatus({ message: 'Failed to load plan.', type: 'error' });
+            setStatus({ message: tRef.current('plan.loadFailed'), type: 'error' });
             setIsLoading(false);
         });
         return () => unsub();
-    }, [activePlanId, planDocRef]);
+    }, [activePlanId, store]);
 
     const updateNumSessions = (newValue) => {
         let value = toSafeInt(newValue, 1, 30);
         if (value < 1) value = 1;
         if (value > 30) value = 30;
 
+        hasEdits.current = true;
         setNumSessions(value);
         setActivities(currentActivities => {
             return Array.from({ length: value }, (_, i) => ({
+                ...currentActivities[i],
+                id: currentActivities[i]?.id ?? newSessionId(),
                 text: currentActivities[i]?.text ?? '',
                 isRest: !!currentActivities[i]?.isRest,
             }));
         });
     };
 
+    // Sessions keep their id when moved, so tracked results move with them.
+    const insertSession = (index) => {
+        if (activities.length >= 30) return;
+        const newActivities = [...activities];
+        newActivities.splice(index, 0, { id: newSessionId(), text: '', isRest: false });
+        hasEdits.current = true;
+        setActivities(newActivities);
+        setNumSessions(newActivities.length);
+    };
+
+    const removeSession = (index) => {
+        if (activities.length <= 1) return;
+        const newActivities = activities.filter((_, i) => i !== index);
+        hasEdits.current = true;
+        setActivities(newActivities);
+        setNumSessions(newActivities.length);
+    };
+
+    const handleDrop = (index) => {
+        if (draggedIndex !== null && draggedIndex !== index) edit(setActivities)(moveItem(activities, draggedIndex, index));
+        setDraggedIndex(null);
+    };
+
     const handleActivityChange = (index, field, value) => {
         const newActivities = activities.map((activity, i) => {
             if (i === index) {
                 const updatedActivity = { ...activity, [field]: value };
                 if (field === 'isRest' && value === true) {
                     updatedActivity.text = '';
+                    delete updatedActivity.exercises;
                 }
                 return updatedActivity;
             }
             return activity;
         });
-        setActivities(newActivities);
+        edit(setActivities)(newActivities);
+    };
+
+    const handleStartDateChange = (startDate) => {
+        edit(setSchedule)(current => (startDate ? { cadence: { type: 'daily' }, ...current, startDate } : null));
+    };
+
+    const toggleCadenceDay = (day) => {
+        edit(setSchedule)(current => {
+            const days = current.cadence.type === 'weekdays' ? current.cadence.days : [];
+            const newDays = days.includes(day) ? days.filter(d => d !== day) : [...days, day];
+            return { ...current, cadence: newDays.length > 0 ? { type: 'weekdays', days: newDays } : { type: 'daily' } };
+        });
+    };
+
+    const buildPlan = () => {
+        const sessions = toSafeInt(numSessions, 1, 30);
+        const finalActivities = Array.from({ length: sessions }, (_, i) => {
+            const a = activities[i] || { id: newSessionId(), text: '', isRest: false };
+            const text = !a.isRest && (a.text ?? '').trim() === '' ? t('common.free') : (a.text ?? t('common.free'));
+            const exercises = a.isRest ? [] : sanitizeExercises(a.exercises);
+            return exercises.length > 0 ? { id: a.id, text, isRest: !!a.isRest, exercises } : { id: a.id, text, isRest: !!a.isRest };
+        });
+        const finalScale = sanitizeStatusScale(statusScale);
+        const finalReminders = sanitizeReminders(reminders);
+        const finalGoals = sanitizeGoals(goals);
+        const newPlan = { name: planName ?? t('plan.notFound'), sessions, activities: finalActivities, schedule: sanitizeSchedule(schedule) };
+        return { ...newPlan, ...(finalScale && { statusScale: finalScale }), ...(finalReminders && { reminders: finalReminders }), ...(finalGoals && { goals: finalGoals }) };
+    };
+
+    const showStatus = (message, type) => {
+        setStatus({ message, type });
+        if (type === 'success') setTimeout(() => setStatus({ message: '', type: '' }), 3000);
     };
 
     const handleSavePlan = async () => {
-        const docRef = planDocRef();
-        if (!docRef) {
-            setStatus({ message: 'No active plan to save.', type: 'error' });
+        if (!store || !activePlanId) {
+            setStatus({ message: t('plan.noActivePlan'), type: 'error' });
             return;
         }
+        const basedOn = loadedPlan.current;
+        // Our own save arriving through the subscription is loaded like any other.
+        hasEdits.current = false;
         try {
-            const planSnap = await getDoc(docRef);
-            const oldPlan = planSnap.exists() ? sanitizePlanData(planSnap.data()) : { sessions: 0, activities: [], name: 'Default' };
-            
-            const trackingDocRef = doc(db, `artifacts/${getAppId()}/users/${userId}/trackingData/${activePlanId}`);
-            const trackingSnap = await getDoc(trackingDocRef);
-            const trackingData = trackingSnap.exists() ? trackingSnap.data() : { currentCycleIndex: 0 };
-            const currentCycleIndex = trackingData.currentCycleIndex;
-
-            const sessions = toSafeInt(numSessions, 1, 30);
-            const finalActivities = Array.from({ length: sessions }, (_, i) => {
-                const a = activities[i] || { text: '', isRest: false };
-                const text = !a.isRest && (a.text ?? '').trim() === '' ? 'Free' : (a.text ?? 'Free');
-                return { text, isRest: !!a.isRest };
-            });
-            const newPlan = { name: planName, sessions, activities: finalActivities };
+            const newPlan = buildPlan();
 
-            const hasChanged = JSON.stringify(oldPlan.activities) !== JSON.stringify(newPlan.activities) || oldPlan.sessions !== newPlan.sessions || oldPlan.name !== newPlan.name;
+            await history.run({ store, planId: activePlanId, label: 'savePlan' }, () => savePlanVersion(store, activePlanId, newPlan, new Date(), { basedOn }));
 
-            if (hasChanged && oldPlan.sessions > 0) {
-                await setDoc(trackingDocRef, {
-                    planHistory: {
-                        ...(trackingData.planHistory || {}),
-                        [currentCycleIndex]: oldPlan
-                    }
-                }, { merge: true });
+            showStatus(t('plan.saved'), 'success');
+        } catch (error) {
+            hasEdits.current = true;
+            if (isConflict(error)) {
+                onConflict(error);
+                return;
             }
+            console.error("Error saving plan:", error);
+            showStatus(t('plan.saveFailed'), 'error');
+        }
+    };
 
-            await setDoc(docRef, newPlan);
+    const handleSaveAsTemplate = async () => {
+        if (!store) return;
+        try {
+            await store.saveTemplate(createTemplateFromPlan(buildPlan(), new Date(), i18n));
+            showStatus(t('plan.savedAsTemplate'), 'success');
+        } catch (error) {
+            console.error("Error saving template:", error);
+            showStatus(t('plan.templateFailed'), 'error');
+        }
+    };
 
-            setStatus({ message: 'Plan saved successfully!', type: 'success' });
-            setTimeout(() => setStatus({ message: '', type: '' }), 3000);
+    const handleDuplicate = async (includeTracking) => {
+        setShowDuplicateOptions(false);
+        try {
+            await handleDuplicatePlan(includeTracking);
         } catch (error) {
-            console.error("Error saving plan:", error);
-            setStatus({ message: 'Failed to save plan.', type: 'error' });
+            console.error("Error duplicating plan:", error);
+            showStatus(t('plan.duplicateFailed'), 'error');
+        }
+    };
+
+    const handleDelete = async () => {
+        try {
+            await handleDeletePlan();
+        } catch (error) {
+            if (isConflict(error)) {
+                onConflict(error);
+                return;
+            }
+            console.error("Error deleting plan:", error);
+            showStatus(t('plan.deleteFailed'), 'error');
         }
     };
     
     if (isLoading) {
-        return <div className="p-4 text-center"><p className="text-zinc-600 font-semibold">Loading Plan...</p></div>;
+        return <div className="p-4 text-center"><p className="text-zinc-600 font-semibold">{t('plan.loading')}</p></div>;
     }
 
     if (!activePlanId) {
         return (
             <div className="p-4 text-center">
                 <div className="bg-white/80 backdrop-blur-sm p-6 rounded-2xl shadow-lg">
-                    <p className="text-zinc-700 font-bold text-lg">No Plan Selected</p>
-                    <p className="text-zinc-500 mt-2">Create a new plan to get started.</p>
+                    <p className="text-zinc-700 font-bold text-lg">{t('plan.noneSelected')}</p>
+                    <p className="text-zinc-500 mt-2">{t('plan.getStarted')}</p>
                 </div>
                  <div className="mt-8 flex justify-center gap-4">
-                    <button onClick={handleNewPlan} className="bg-green-500 text-white font-bold py-3 px-6 rounded-full shadow-lg hover:bg-green-600 transition">New Plan</button>
+                    <button onClick={handleNewPlan} className="bg-green-500 text-white font-bold py-3 px-6 rounded-full shadow-lg hover:bg-green-600 transition">{t('plan.newPlan')}</button>
                 </div>
+                {store && <div className="mt-8 text-left"><BackupPanel store={store} plans={plans} /></div>}
             </div>
         );
     }
 
     return (
         <div className="p-4 md:p-6 space-y-6">
+            {remotePlan !== undefined && (
+                <div role="alert" className="bg-yellow-100 border-2 border-yellow-300 p-4 rounded-2xl shadow-lg flex flex-wrap items-center justify-between gap-2">
+                    <p className="flex-1 text-sm font-semibold text-zinc-800">{t('plan.changedElsewhere')}</p>
+                    <button onClick={() => loadPlan(remotePlan)} className="bg-white text-zinc-700 font-bold py-2 px-4 rounded-full hover:bg-zinc-50 transition">{t('plan.loadLatest')}</button>
+                </div>
+            )}
              <div className="bg-white/80 backdrop-blur-sm p-4 rounded-2xl shadow-lg">
-                <label htmlFor="planName" className="block text-md font-bold text-zinc-700 mb-2">Plan Name</label>
-                <input id="planName" type="text" value={planName} onChange={(e) => setPlanName(e.target.value)} className="w-full px-4 py-2 bg-zinc-100 border-2 border-transparent rounded-lg focus:outline-none focus:ring-2 focus:ring-pink-500 focus:border-transparent transition" />
+                <label htmlFor="planName" className="block text-md font-bold text-zinc-700 mb-2">{t('plan.name')}</label>
+                <input id="planName" type="text" value={planName ?? t('plan.notFound')} onChange={(e) => edit(setPlanName)(e.target.value)} className="w-full px-4 py-2 bg-zinc-100 border-2 border-transparent rounded-lg focus:outline-none focus:ring-2 focus:ring-pink-500 focus:border-transparent transition" />
             </div>
 
             <div className="bg-white/80 backdrop-blur-sm p-4 rounded-2xl shadow-lg flex items-center justify-between">
-                <label className="text-md font-bold text-zinc-700">Cycle Length</label>
+                <label className="text-md font-bold text-zinc-700">{t('plan.cycleLength')}</label>
                 <div className="flex items-center gap-2">
                     <button onClick={() => updateNumSessions(numSessions - 1)} className="w-10 h-10 rounded-full bg-zinc-200 text-zinc-700 font-bold text-xl flex items-center justify-center hover:bg-zinc-300 transition">-</button>
                     <span className="w-12 text-center bg-transparent text-zinc-800 font-bold text-lg">{numSessions}</span>
                     <button onClick={() => updateNumSessions(numSessions + 1)} className="w-10 h-10 rounded-full bg-zinc-200 text-zinc-700 font-bold text-xl flex items-center justify-center hover:bg-zinc-300 transition">+</button>
                 </div>
             </div>
+
+            <div className="bg-white/80 backdrop-blur-sm p-4 rounded-2xl shadow-lg space-y-3">
+                <div className="flex items-center justify-between gap-4">
+                    <label htmlFor="startDate" className="text-md font-bold text-zinc-700">{t('plan.startDate')}</label>
+                    <input id="startDate" type="date" value={schedule?.startDate ?? ''} onChange={(e) => handleStartDateChange(e.target.value)} className="px-4 py-2 bg-zinc-100 border-2 border-transparent rounded-lg focus:outline-none focus:ring-2 focus:ring-pink-500 focus:border-transparent transition" />
+                </div>
+                {schedule && (
+                    <div>
+                        <p className="text-sm font-semibold text-zinc-600 mb-2">{t('plan.cadence')}</p>
+                        <div className="flex flex-wrap gap-2">
+                            {getWeekdayLabels(i18n).map((label, day) => {
+                                const isSelected = schedule.cadence.type === 'weekdays' && schedule.cadence.days.includes(day);
+                                return (
+                                    <button key={day} onClick={() => toggleCadenceDay(day)} aria-pressed={isSelected} className={`px-3 py-1 rounded-full text-sm font-bold transition ${isSelected ? 'bg-pink-500 text-white' : 'bg-zinc-200 text-zinc-700 hover:bg-zinc-300'}`}>{label}</button>
+                                );
+                            })}
+                        </div>
+                        <CalendarExport store={store} planId={activePlanId} />
+                    </div>
+                )}
+            </div>
             
+            <div className="bg-white/80 backdrop-blur-sm p-4 rounded-2xl shadow-lg space-y-3">
+                <h2 className="text-md font-bold text-zinc-700">{t('reminders.title')}</h2>
+                <ReminderSettings reminders={reminders} onChange={edit(setReminders)} />
+            </div>
+
+            <div className="bg-white/80 backdrop-blur-sm p-4 rounded-2xl shadow-lg space-y-3">
+                <h2 className="text-md font-bold text-zinc-700">{t('goals.title')}</h2>
+                <GoalEditor goals={goals} onChange={edit(setGoals)} />
+            </div>
+
             <div className="bg-white/80 backdrop-blur-sm p-4 rounded-2xl shadow-lg space-y-1">
-                <h2 className="text-xl font-bold text-zinc-800 p-2 mb-2">Define Your Sessions</h2>
+                <h2 className="text-xl font-bold text-zinc-800 p-2 mb-2">{t('plan.sessionsTitle')}</h2>
                 {activities.map((activity, index) => (
-                    <div key={index} className="flex items-center gap-4 p-3 rounded-xl transition-colors hover:bg-pink-50/50">
-                        <span className="font-bold text-pink-500 w-8 text-center text-sm">{index + 1}#</span>
-                        <input type="text" value={activity.text} onChange={(e) => handleActivityChange(index, 'text', e.target.value)} disabled={activity.isRest} placeholder="Activity..." className="flex-1 px-4 py-2 bg-zinc-100 border-2 border-transparent rounded-lg focus:outline-none focus:ring-2 focus:ring-pink-500 focus:border-transparent transition disabled:bg-zinc-200" />
-                        <div className="flex items-center gap-3">
-                             <span className="text-sm font-semibold text-zinc-600">Rest</span>
-                             <ToggleSwitch isEnabled={activity.isRest} onToggle={() => handleActivityChange(index, 'isRest', !activity.isRest)} />
+                    <div key={activity.id} onDragOver={(e) => e.preventDefault()} onDrop={() => handleDrop(index)} className={`rounded-xl transition-colors hover:bg-pink-50/50 ${draggedIndex === index ? 'opacity-50' : ''}`}>
+                        <div className="flex items-center gap-4 p-3">
+                            <span draggable onDragStart={() => setDraggedIndex(index)} onDragEnd={() => setDraggedIndex(null)} aria-label={t('plan.dragSession', { n: index + 1 })} className="cursor-grab text-zinc-400 hover:text-pink-500 select-none">⠿</span>
+                            <span className="font-bold text-pink-500 w-8 text-center text-sm">{index + 1}#</span>
+                            <input type="text" value={activity.text} onChange={(e) => handleActivityChange(index, 'text', e.target.value)} disabled={activity.isRest} placeholder={t('plan.activityPlaceholder')} className="flex-1 px-4 py-2 bg-zinc-100 border-2 border-transparent rounded-lg focus:outline-none focus:ring-2 focus:ring-pink-500 focus:border-transparent transition disabled:bg-zinc-200" />
+                            {!activity.isRest && (
+                                <button onClick={() => setExpandedId(expandedId === activity.id ? null : activity.id)} aria-expanded={expandedId === activity.id} className="text-sm font-bold text-zinc-500 hover:text-pink-500 transition">
+                                    {activity.exercises?.length ? t('plan.exercisesCount', { count: activity.exercises.length }) : t('plan.exercises')}
+                                </button>
+                            )}
+                            <div className="flex items-center gap-3">
+                                 <span className="text-sm font-semibold text-zinc-600">{t('common.rest')}</span>
+                                 <ToggleSwitch isEnabled={activity.isRest} onToggle={() => handleActivityChange(index, 'isRest', !activity.isRest)} label={t('plan.restSession', { n: index + 1 })} />
+                            </div>
+                            <button onClick={() => insertSession(index + 1)} disabled={activities.length >= 30} aria-label={t('plan.insertSession', { n: index + 1 })} className="w-8 h-8 rounded-full text-zinc-500 font-bold hover:bg-zinc-200 transition disabled:opacity-30">+</button>
+                            <button onClick={() => removeSession(index)} disabled={activities.length <= 1} aria-label={t('plan.removeSession', { n: index + 1 })} className="w-8 h-8 rounded-full text-zinc-500 font-bold hover:bg-pink-100 hover:text-pink-600 transition disabled:opacity-30">×</button>
                         </div>
+                        {expandedId === activity.id && !activity.isRest && (
+                            <ExerciseEditor exercises={activity.exercises} onChange={(exercises) => handleActivityChange(index, 'exercises', exercises)} />
+                        )}
                     </div>
                 ))}
             </div>
 
+            <div className="bg-white/80 backdrop-blur-sm p-4 rounded-2xl shadow-lg space-y-2">
+                <h2 className="text-xl font-bold text-zinc-800 p-2">{t('statuses.title')}</h2>
+                <StatusScaleEditor statusScale={statusScale} onChange={edit(setStatusScale)} />
+            </div>
+
             <button onClick={handleSavePlan} className="w-full bg-pink-500 text-white font-bold text-lg py-4 px-4 rounded-2xl shadow-lg hover:bg-pink-600 focus:outline-none focus:ring-4 focus:ring-pink-400 focus:ring-opacity-50 transition-all duration-300 transform hover:scale-105">
-                Save Plan
+                {t('plan.save')}
             </button>
-            {status.message && <div className={`mt-4 p-3 rounded-xl text-center font-semibold text-white ${status.type === 'success' ? 'bg-green-500' : 'bg-pink-500'}`}>{status.message}</div>}
+            {status.message && <div role="status" className={`mt-4 p-3 rounded-xl text-center font-semibold text-white ${status.type === 'success' ? 'bg-green-500' : 'bg-pink-500'}`}>{status.message}</div>}
             
-            <div className="pt-4 flex justify-end gap-4">
-                <button onClick={handleNewPlan} className="bg-green-500 text-white font-bold py-3 px-6 rounded-full shadow-lg hover:bg-green-600 transition">New Plan</button>
-                <button onClick={handleDeletePlan} disabled={plans.length <= 1} className="bg-red-500 text-white font-bold py-3 px-6 rounded-full shadow-lg hover:bg-red-600 transition disabled:opacity-50 disabled:cursor-not-allowed">Delete Plan</button>
+            {showDuplicateOptions && (
+                <div className="bg-white/80 backdrop-blur-sm p-4 rounded-2xl shadow-lg flex flex-wrap items-center justify-end gap-2">
+                    <span className="mr-auto text-sm font-semibold text-zinc-600">{t('plan.duplicatePrompt')}</span>
+                    <button onClick={() => handleDuplicate(false)} className="bg-zinc-200 text-zinc-700 font-bold py-2 px-4 rounded-full hover:bg-zinc-300 transition">{t('plan.planOnly')}</button>
+                    <button onClick={() => handleDuplicate(true)} className="bg-zinc-200 text-zinc-700 font-bold py-2 px-4 rounded-full hover:bg-zinc-300 transition">{t('plan.withTracking')}</button>
+                </div>
+            )}
+            <div className="pt-4 flex flex-wrap justify-end gap-4">
+                <button onClick={handleSaveAsTemplate} className="bg-white text-zinc-700 font-bold py-3 px-6 rounded-full shadow-lg hover:bg-zinc-50 transition">{t('plan.saveAsTemplate')}</button>
+                <button onClick={() => setShowDuplicateOptions(!showDuplicateOptions)} aria-expanded={showDuplicateOptions} className="bg-white text-zinc-700 font-bold py-3 px-6 rounded-full shadow-lg hover:bg-zinc-50 transition">{t('plan.duplicate')}</button>
+                <button onClick={handleNewPlan} className="bg-green-500 text-white font-bold py-3 px-6 rounded-full shadow-lg hover:bg-green-600 transition">{t('plan.newPlan')}</button>
+                <button onClick={handleDelete} disabled={plans.length <= 1} className="bg-red-500 text-white font-bold py-3 px-6 rounded-full shadow-lg hover:bg-red-600 transition disabled:opacity-50 disabled:cursor-not-allowed">{t('plan.deletePlan')}</button>
             </div>
+
+            <PlanHistoryPanel store={store} history={history} planId={activePlanId} />
+            <SharePlanPanel store={store} planId={activePlanId} />
+            <BackupPanel store={store} plans={plans} />
         </div>
     );
 };
 
-// --- Helper to get the correct historical plan for a given cycle ---
-const getPlanForCycle = (cycleIndex, currentPlan, planHistory = {}) => {
-    let applicableKey = Infinity;
-    for (const key in planHistory) {
-        const historyCycleIndex = parseInt(key, 10);
-        if (historyCycleIndex > cycleIndex && historyCycleIndex < applicableKey) {
-            applicableKey = historyCycleIndex;
-        }
-    }
-    if (applicableKey !== Infinity) {
-        return sanitizePlanData(planHistory[applicableKey]);
-    }
-    return currentPlan;
-};
-
 // --- Tracking Chart Component ---
 const TrackingChart = ({ plan, trackingData }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
     const { grid = [], planHistory = {} } = trackingData || {};
     const sessions = toSafeInt(plan?.sessions);
     const currentCycleIndex = toSafeInt(trackingData?.currentCycleIndex);
     if (sessions <= 0) return null;
 
+    // Each cycle is counted with its own scale: positive statuses stack above the axis
+    // (the first one closest to it), negative ones below.
+    const legend = [];
     const chartData = Array.from({ length: currentCycleIndex + 1 }, (_, cycleIdx) => {
         const planForThisCycle = getPlanForCycle(cycleIdx, plan, planHistory);
-        let done = 0, partial = 0, missed = 0;
-        
+        const scale = getStatusScale(planForThisCycle, i18n);
+        const counts = scale.map(() => 0);
+
         if (planForThisCycle && Array.isArray(planForThisCycle.activities)) {
-            planForThisCycle.activities.forEach((activity, sessionIdx) => {
+            planForThisCycle.activities.forEach((activity) => {
                 if (!activity.isRest) {
-                    const status = grid?.[sessionIdx]?.row?.[cycleIdx] ?? 0;
-                    if (status === 1) done++;
-                    else if (status === 2) partial++;
-                    else if (status === 3) missed++;
+                    const status = getSessionStatus(grid, activity.id, cycleIdx);
+                    if (getStatusEntry(scale, status)) counts[status - 1]++;
                 }
             });
         }
-        return { done, partial, missed };
+        scale.forEach((status, i) => {
+            const label = getStatusLabel(scale, i + 1, i18n);
+            if (!legend.some(l => l.label === label && l.color === status.color)) legend.push({ label, color: status.color });
+        });
+        const segments = scale.map((status, i) => ({ ...status, count: counts[i] })).filter(s => s.count > 0);
+        const positive = segments.filter(s => s.positive);
+        const negative = segments.filter(s => !s.positive);
+        return {
+            positive,
+            negative,
+            positiveTotal: positive.reduce((sum, s) => sum + s.count, 0),
+            negativeTotal: negative.reduce((sum, s) => sum + s.count, 0),
+            ...getCycleLogTotals(grid, cycleIdx),
+        };
     });
 
-    const maxPositive = Math.max(...chartData.map(d => d.done + d.partial), 1);
-    const maxNegative = Math.max(...chartData.map(d => d.missed), 1);
+    const sessionsForCycle = getSessionsForCycle(plan, planHistory);
+    const getDateLabel = (cycleIdx) => {
+        if (!plan.schedule) return null;
+        const { start, end } = getCycleDates(plan.schedule, cycleIdx, sessionsForCycle);
+        return formatDateRange(start, end, i18n);
+    };
+
+    const maxPositive = Math.max(...chartData.map(d => d.positiveTotal), 1);
+    const maxNegative = Math.max(...chartData.map(d => d.negativeTotal), 1);
     const totalHeight = 200;
     const positiveHeight = totalHeight * (maxPositive / (maxPositive + maxNegative));
     const negativeHeight = totalHeight - positiveHeight;
 
     return (
         <div className="p-4 bg-white/80 backdrop-blur-sm rounded-2xl shadow-lg mt-6">
-            <h3 className="font-bold text-xl mb-4 text-zinc-700">Cycle Summary</h3>
+            <h3 className="font-bold text-xl mb-4 text-zinc-700">{t('chart.title')}</h3>
             <div className="flex" style={{ height: `${totalHeight}px` }}>
                 {chartData.map((data, index) => (
                     <div key={index} className="flex-1 flex flex-col justify-end items-center px-1.5">
                         <div className="w-full h-full flex flex-col justify-end">
                             <div style={{ height: `${positiveHeight}px` }} className="w-full flex flex-col justify-end rounded-t-md overflow-hidden">
-                                <div className="bg-yellow-300" style={{ height: `${(data.partial / maxPositive) * 100}%` }}></div>
-                                <div className="bg-green-400" style={{ height: `${(data.done / maxPositive) * 100}%` }}></div>
+                                {[...data.positive].reverse().map((s, i) => (
+                                    <div key={i} className={getStatusSwatchClass(s)} style={{ height: `${(s.count / maxPositive) * 100}%` }}></div>
+                                ))}
                             </div>
                             <div className="w-full h-0.5 bg-zinc-200 my-1"></div>
                             <div style={{ height: `${negativeHeight}px` }} className="w-full rounded-b-md overflow-hidden">
-                                <div className="bg-pink-400" style={{ height: `${(data.missed / maxNegative) * 100}%` }}></div>
+                                {data.negative.map((s, i) => (
+                                    <div key={i} className={getStatusSwatchClass(s)} style={{ height: `${(s.count / maxNegative) * 100}%` }}></div>
+                                ))}
                             </div>
                         </div>
                     </div>
@@ -308,104 +510,181 @@ const TrackingChart = ({ plan, trackingData }) => {
             </div>
             <div className="flex mt-2">
                 {chartData.map((_, index) => (
-                    <div key={index} className="flex-1 text-center text-xs text-zinc-500 font-bold">C{index + 1}</div>
+                    <div key={index} className="flex-1 text-center text-xs text-zinc-500 font-bold">
+                        {t('chart.cycle', { n: index + 1 })}
+                        {plan.schedule && <div className="font-medium text-[0.65rem] leading-tight">{getDateLabel(index)}</div>}
+                    </div>
                 ))}
             </div>
+            {chartData.some(d => d.logged > 0) && (
+                <div className="flex mt-1">
+                    {chartData.map((data, index) => (
+                        <div key={index} className="flex-1 text-center text-[0.65rem] leading-tight text-zinc-500 font-medium">
+                            {data.duration > 0 && <div>{t('units.minutes', { value: data.duration })}</div>}
+                            {data.distance > 0 && <div>{t('units.km', { value: data.distance })}</div>}
+                        </div>
+                    ))}
+                </div>
+            )}
              <div className="mt-4 flex flex-wrap justify-center gap-x-4 gap-y-2 text-sm font-semibold">
-                <div className="flex items-center"><span className="w-3 h-3 rounded-full bg-green-400 mr-2"></span>Done</div>
-                <div className="flex items-center"><span className="w-3 h-3 rounded-full bg-yellow-300 mr-2"></span>Partial</div>
-                <div className="flex items-center"><span className="w-3 h-3 rounded-full bg-pink-400 mr-2"></span>Missed</div>
+                {legend.map((status, i) => (
+                    <div key={i} className="flex items-center"><span className={`w-3 h-3 rounded-full ${getStatusSwatchClass(status)} mr-2`}></span>{status.label}</div>
+                ))}
             </div>
         </div>
     );
 };
 
-// --- Tracking Page Component ---
-const TrackingPage = ({ userId, activePlanId }) => {
-    const [plan, setPlan] = useState(null);
-    const [trackingData, setTrackingData] = useState(null);
-
-    const statusColors = ['bg-zinc-200 hover:bg-zinc-300', 'bg-green-300 hover:bg-green-400', 'bg-yellow-300 hover:bg-yellow-400', 'bg-pink-300 hover:bg-pink-400'];
-
+// --- Current day, refreshed when the date rolls over ---
+const useToday = () => {
+    const [today, setToday] = useState(() => new Date());
     useEffect(() => {
-        if (!userId || !activePlanId) {
-            setPlan(null);
-            setTrackingData(null);
-            return;
-        }
-        const appId = getAppId();
-        const planDocRef = doc(db, `artifacts/${appId}/users/${userId}/plans/${activePlanId}`);
-        const trackingDocRef = doc(db, `artifacts/${appId}/users/${userId}/trackingData/${activePlanId}`);
+        const timer = setInterval(() => {
+            setToday(current => (isSameDay(current, new Date()) ? current : new Date()));
+        }, 60000);
+        return () => clearInterval(timer);
+    }, []);
+    return today;
+};
 
-        const unsubPlan = onSnapshot(planDocRef, (docSnap) => {
-            setPlan(docSnap.exists() ? sanitizePlanData(docSnap.data()) : { sessions: 0, activities: [] });
-        });
-        const unsubTracking = onSnapshot(trackingDocRef, (docSnap) => {
-            const raw = docSnap.exists() ? docSnap.data() : {};
-            setTrackingData({
-                grid: Array.isArray(raw.grid) ? raw.grid : [],
-                currentCycleIndex: toSafeInt(raw.currentCycleIndex, 0),
-                highestCycleIndex: toSafeInt(raw.highestCycleIndex, 0),
-                planHistory: raw.planHistory || {},
-            });
-        });
+const LONG_PRESS_MS = 500;
+
+// --- Tracking Page Component ---
+const TrackingPage = ({ store, history, activePlanId, onConflict }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+    const { plan, trackingData } = usePlanTracking(store, activePlanId);
+    const [editingCell, setEditingCell] = useState(null);
+    const [isEditingHistory, setIsEditingHistory] = useState(false);
+    const pressTimer = useRef(null);
+    const longPressFired = useRef(false);
+    // Taps can outpace the store echoing them back; each one builds on the value the
+    // previous tap is about to write rather than being mistaken for a conflict.
+    const pendingValues = useRef({});
+    const today = useToday();
+    // Roving focus: only the last focused cell is in the tab order, arrow keys move between cells.
+    const [focusedCell, setFocusedCell] = useState(null);
+    const cellRefs = useRef({});
+    const [announcement, setAnnouncement] = useState('');
+    const [workoutImport, setWorkoutImport] = useState(null);
 
-        return () => { unsubPlan(); unsubTracking(); };
-    }, [userId, activePlanId]);
+    // Resolves to whether the change was saved.
+    const runPending = async (key, expected, next, label, makeUpdate) => {
+        pendingValues.current[key] = next;
+        try {
+            await history.run({ store, planId: activePlanId, label }, () => store.runTransaction(activePlanId, makeUpdate(expected)));
+            return true;
+        } catch (error) {
+            if (isConflict(error)) onConflict(error);
+            else console.error(`Error saving ${label}:`, error);
+            return false;
+        } finally {
+            if (pendingValues.current[key] === next) delete pendingValues.current[key];
+        }
+    };
 
     const handleCellClick = async (sessionIndex, colIndex) => {
-        if (!userId || !trackingData || colIndex !== toSafeInt(trackingData.currentCycleIndex) || !plan || !activePlanId) return;
+        const currentCycle = toSafeInt(trackingData?.currentCycleIndex);
+        const isBackfill = colIndex < currentCycle;
+        if (!store || !trackingData || !plan || !activePlanId) return;
+        if (colIndex !== currentCycle && !(isEditingHistory && isBackfill)) return;
 
-        const baseGrid = Array.isArray(trackingData?.grid) ? trackingData.grid : [];
-        const newGrid = baseGrid.map(item => ({ row: Array.isArray(item?.row) ? [...item.row] : [] }));
+        const sessionId = plan.activities[sessionIndex].id;
+        const key = `status:${sessionId}:${colIndex}`;
+        const scale = getStatusScale(getPlanForCycle(colIndex, plan, trackingData.planHistory), i18n);
+        const statusCount = scale.length;
+        const expected = pendingValues.current[key] ?? getSessionStatus(trackingData.grid, sessionId, colIndex);
+        const next = nextStatus(expected, statusCount);
+        if (await runPending(key, expected, next, 'statusChange', (from) => cycleStatus({ sessionId, sessionIndex, cycle: colIndex, expected: from, statusCount }))) {
+            setAnnouncement(t('tracking.cell', { session: sessionIndex + 1, cycle: colIndex + 1, status: getStatusLabel(scale, next, i18n) }));
+        }
+    };
 
-        while (newGrid.length < plan.sessions) newGrid.push({ row: [] });
-        const currentSessionRow = (newGrid[sessionIndex] && newGrid[sessionIndex].row) ? [...newGrid[sessionIndex].row] : [];
-        while(currentSessionRow.length <= colIndex) currentSessionRow.push(0);
-        
-        const currentValue = currentSessionRow[colIndex] || 0;
-        currentSessionRow[colIndex] = (currentValue + 1) % 4;
-        newGrid[sessionIndex] = { row: currentSessionRow };
+    const handleSaveLog = async (sessionId, colIndex, log) => {
+        setEditingCell(null);
+        if (!store || !trackingData || !activePlanId) return;
 
+        const update = setSessionLog({ sessionId, cycle: colIndex, log, expected: getSessionLog(trackingData.grid, sessionId, colIndex) });
         try {
-            const appId = getAppId();
-            const trackingDocRef = doc(db, `artifacts/${appId}/users/${userId}/trackingData/${activePlanId}`);
-            const dataToSave = {
-                ...trackingData,
-                grid: newGrid,
-            };
-            await setDoc(trackingDocRef, dataToSave);
+            await history.run({ store, planId: activePlanId, label: 'sessionLog' }, () => store.runTransaction(activePlanId, update));
+            setAnnouncement(t('tracking.logSaved'));
         } catch (error) {
-            console.error("Error updating tracking data:", error);
+            if (isConflict(error)) onConflict(error);
+            else console.error("Error saving session log:", error);
         }
     };
 
-    const handleCycleChange = async (direction) => {
-        if (!userId || !trackingData || !activePlanId) return;
-        const currentCycle = toSafeInt(trackingData.currentCycleIndex);
-        const highestCycle = toSafeInt(trackingData.highestCycleIndex);
-        let newCycleIndex = direction === 'next' ? currentCycle + 1 : currentCycle - 1;
-        if (newCycleIndex < 0) newCycleIndex = 0;
+    // Workout files are read and matched locally; the dialog confirms before anything is written.
+    const handleWorkoutFiles = async (files) => {
+        if (!plan || !trackingData || files.length === 0) return;
+        const workouts = [];
+        const failed = [];
+        for (const file of files) {
+            try {
+                workouts.push(parseWorkoutFile(await readFileAsText(file)));
+            } catch (error) {
+                console.error("Error reading workout file:", error);
+                failed.push(file.name);
+            }
+        }
+        setWorkoutImport({ results: matchWorkouts(workouts, plan, trackingData), failed });
+    };
 
+    const handleApplyWorkouts = async (matches) => {
+        setWorkoutImport(null);
+        if (!store || !trackingData || !activePlanId) return;
+        const update = applyWorkouts({ cycle: toSafeInt(trackingData.currentCycleIndex), matches });
         try {
-            const appId = getAppId();
-            const trackingDocRef = doc(db, `artifacts/${appId}/users/${userId}/trackingData/${activePlanId}`);
-            const dataToSave = {
-                ...trackingData,
-                currentCycleIndex: newCycleIndex,
-                highestCycleIndex: Math.max(highestCycle, newCycleIndex)
-            };
-            await setDoc(trackingDocRef, dataToSave);
+            await history.run({ store, planId: activePlanId, label: 'workoutImport' }, () => store.runTransaction(activePlanId, update));
+            setAnnouncement(t('import.applied', { count: matches.length }));
         } catch (error) {
-            console.error("Error changing cycle:", error);
+            if (isConflict(error)) onConflict(error);
+            else console.error("Error importing workouts:", error);
+        }
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        handleWorkoutFiles(Array.from(e.dataTransfer?.files ?? []));
+    };
+
+    // A long press (or right click) opens the log editor instead of cycling the status.
+    const startPress = (sessionId, colIndex) => {
+        longPressFired.current = false;
+        clearTimeout(pressTimer.current);
+        pressTimer.current = setTimeout(() => {
+            longPressFired.current = true;
+            setEditingCell({ sessionId, colIndex });
+        }, LONG_PRESS_MS);
+    };
+    const cancelPress = () => clearTimeout(pressTimer.current);
+    useEffect(() => () => clearTimeout(pressTimer.current), []);
+
+    const handleCycleChange = async (direction) => {
+        if (!store || !trackingData || !activePlanId) return;
+        const expected = pendingValues.current.cycle ?? toSafeInt(trackingData.currentCycleIndex);
+        const newCycleIndex = Math.max(0, direction === 'next' ? expected + 1 : expected - 1);
+        if (await runPending('cycle', expected, newCycleIndex, 'cycleChange', (from) => moveToCycle({ cycle: newCycleIndex, expected: from }))) {
+            setAnnouncement(t('tracking.cycleChanged', { n: newCycleIndex + 1 }));
         }
     };
 
+    // Scheduled plans follow the calendar: once today falls in a cycle beyond any
+    // reached so far, jump there. Stepping back with "Previous" is left alone.
+    const todayCycleIndex = plan?.schedule && trackingData
+        ? getCycleIndexForDate(plan.schedule, today, getSessionsForCycle(plan, trackingData.planHistory))
+        : null;
+    useEffect(() => {
+        if (todayCycleIndex === null || !store || !activePlanId) return;
+        if (todayCycleIndex <= toSafeInt(trackingData.highestCycleIndex)) return;
+        store.runTransaction(activePlanId, moveToCycle({ cycle: todayCycleIndex })).catch(error => console.error("Error changing cycle:", error));
+    }, [todayCycleIndex, trackingData, store, activePlanId]);
+
 
     if (!plan || !trackingData) {
         return (
             <div className="p-4 text-center">
-                <p className="text-zinc-600 font-semibold">Loading...</p>
+                <p className="text-zinc-600 font-semibold">{t('common.loading')}</p>
             </div>
         );
     }
@@ -415,8 +694,8 @@ const TrackingPage = ({ userId, activePlanId }) => {
          return (
             <div className="p-4 text-center">
                 <div className="bg-white/80 backdrop-blur-sm p-6 rounded-2xl shadow-lg">
-                    <p className="text-zinc-700 font-bold text-lg">No training plan found.</p>
-                    <p className="text-zinc-500 mt-2">Select a plan, or create a new one to get started.</p>
+                    <p className="text-zinc-700 font-bold text-lg">{t('common.noPlanFound')}</p>
+                    <p className="text-zinc-500 mt-2">{t('common.selectOrCreate')}</p>
                 </div>
             </div>
         );
@@ -425,16 +704,39 @@ const TrackingPage = ({ userId, activePlanId }) => {
     const currentCycleIndex = toSafeInt(trackingData.currentCycleIndex);
     const highestCycleIndex = toSafeInt(trackingData.highestCycleIndex);
     const numColumns = Math.max(1, highestCycleIndex + 2);
+    const sessionsForCycle = getSessionsForCycle(plan, trackingData.planHistory);
+    const cycleDates = plan.schedule
+        ? Array.from({ length: numColumns }, (_, i) => getCycleDates(plan.schedule, i, sessionsForCycle))
+        : null;
+    const editingPlan = editingCell && getPlanForCycle(editingCell.colIndex, plan, trackingData.planHistory);
+    const tabStop = focusedCell && focusedCell.row < numSessions && focusedCell.col < numColumns ? focusedCell : { row: 0, col: currentCycleIndex };
+
+    const handleCellKeyDown = (e, row, col, canLog, sessionId) => {
+        const moves = { ArrowUp: [row - 1, col], ArrowDown: [row + 1, col], ArrowLeft: [row, col - 1], ArrowRight: [row, col + 1], Home: [row, 0], End: [row, numColumns - 1] };
+        if (e.key in moves) {
+            e.preventDefault();
+            const [toRow, toCol] = moves[e.key];
+            cellRefs.current[`${toRow}:${toCol}`]?.focus();
+        } else if (e.key === 'Enter' && e.shiftKey && canLog) {
+            e.preventDefault();
+            setEditingCell({ sessionId, colIndex: col });
+        }
+    };
 
     return (
-        <div className="p-2 md:p-4">
+        <div className="p-2 md:p-4" onDragOver={(e) => e.preventDefault()} onDrop={handleDrop}>
+            <p role="status" className="sr-only">{announcement}</p>
+            <p id="tracking-keys" className="sr-only">{t('tracking.keyboardHelp')}</p>
             <div className="overflow-x-auto pb-4">
-                <table className="min-w-full border-separate" style={{ borderSpacing: "0 0.5rem" }}>
+                <table role="grid" aria-describedby="tracking-keys" className="min-w-full border-separate" style={{ borderSpacing: "0 0.5rem" }}>
                     <thead>
                         <tr>
-                            <th className="sticky left-0 bg-transparent p-2 text-sm font-bold text-zinc-500 z-10 w-32 text-left">Session</th>
+                            <th className="sticky left-0 bg-transparent p-2 text-sm font-bold text-zinc-500 z-10 w-32 text-left">{t('tracking.session')}</th>
                             {[...Array(numColumns)].map((_, i) => (
-                                <th key={i} className={`p-2 text-sm font-bold w-24 min-w-[6rem] ${i === currentCycleIndex ? 'text-pink-500' : 'text-zinc-500'}`}>Cycle {i + 1}</th>
+                                <th key={i} className={`p-2 text-sm font-bold w-24 min-w-[6rem] ${i === currentCycleIndex ? 'text-pink-500' : 'text-zinc-500'}`}>
+                                    {t('tracking.cycle', { n: i + 1 })}
+                                    {cycleDates && <div className={`text-xs font-medium ${i === todayCycleIndex ? 'text-pink-500' : ''}`}>{formatDateRange(cycleDates[i].start, cycleDates[i].end, i18n)}</div>}
+                                </th>
                             ))}
                         </tr>
                     </thead>
@@ -443,19 +745,39 @@ const TrackingPage = ({ userId, activePlanId }) => {
                             const currentActivity = plan.activities[sessionIndex];
                             const isRest = currentActivity?.isRest;
                             return (
-                                <tr key={sessionIndex}>
-                                    <td className={`sticky left-0 p-3 z-10 w-32 bg-white/80 backdrop-blur-sm rounded-l-2xl shadow-md`}>
-                                        <div className={`font-bold text-zinc-800`}>{currentActivity?.text || 'No activity'}</div>
-                                        <div className="text-zinc-500 truncate text-xs font-medium">{sessionIndex + 1}#</div>
+                                <tr key={currentActivity.id}>
+                                    <td role="rowheader" className={`sticky left-0 p-3 z-10 w-32 bg-white/80 backdrop-blur-sm rounded-l-2xl shadow-md`}>
+                                        <div className={`font-bold text-zinc-800`}>{currentActivity?.text || t('tracking.noActivity')}</div>
+                                        {getSessionTargets(currentActivity, currentCycleIndex, trackingData.planHistory, trackingData.grid, getStatusScale(plan, i18n)).map((target, i) => (
+                                            <div key={i} className="text-zinc-600 text-xs font-semibold">{formatTarget(target, i18n)}</div>
+                                        ))}
+                                        <div className="text-zinc-500 truncate text-xs font-medium">
+                                            {sessionIndex + 1}#
+                                            {cycleDates?.[currentCycleIndex]?.sessionDates[sessionIndex] && ` · ${formatShortDate(cycleDates[currentCycleIndex].sessionDates[sessionIndex], i18n)}`}
+                                        </div>
                                     </td>
                                     {[...Array(numColumns)].map((_, colIndex) => {
                                         const planForThisCycle = getPlanForCycle(colIndex, plan, trackingData.planHistory);
-                                        const activityForThisCycle = planForThisCycle.activities ? planForThisCycle.activities[sessionIndex] : undefined;
+                                        const scaleForThisCycle = getStatusScale(planForThisCycle, i18n);
+                                        const cycleSessionIndex = planForThisCycle.activities.findIndex(a => a.id === currentActivity.id);
+                                        const activityForThisCycle = planForThisCycle.activities[cycleSessionIndex];
                                         const isHistoricalAndDifferent = colIndex < currentCycleIndex && (!activityForThisCycle || JSON.stringify(activityForThisCycle) !== JSON.stringify(currentActivity));
                                         
-                                        const status = trackingData?.grid?.[sessionIndex]?.row?.[colIndex] ?? 0;
-                                        const isClickable = !isRest && colIndex === currentCycleIndex;
+                                        const status = getSessionStatus(trackingData.grid, currentActivity.id, colIndex);
+                                        const isClickable = !isRest && (colIndex === currentCycleIndex || (isEditingHistory && colIndex < currentCycleIndex));
                                         const isNextCycle = colIndex > currentCycleIndex;
+                                        const cellDate = cycleDates?.[colIndex]?.sessionDates[cycleSessionIndex];
+                                        const isToday = isSameDay(cellDate, today);
+                                        const canLog = !isRest && !isNextCycle;
+                                        const wasBackfilled = isBackfilled(trackingData.auditLog, currentActivity.id, colIndex);
+                                        const hasLog = !!getSessionLog(trackingData.grid, currentActivity.id, colIndex);
+                                        const statusLabel = isRest ? t('common.rest') : getStatusLabel(scaleForThisCycle, status, i18n);
+                                        const cellTargets = getSessionTargets(activityForThisCycle, colIndex, trackingData.planHistory, trackingData.grid, scaleForThisCycle);
+                                        const handleClick = () => {
+                                            if (longPressFired.current) return;
+                                            if (isClickable) handleCellClick(sessionIndex, colIndex);
+                                            else if (canLog) setEditingCell({ sessionId: currentActivity.id, colIndex });
+                                        };
                                         
                                         const historicalStyle = {
                                             backgroundImage: isHistoricalAndDifferent ? `url("data:image/svg+xml,%3Csvg width='6' height='6' viewBox='0 0 6 6' xmlns='http://www.w3.org/2000/svg'%3E%3Cg fill='%23000000' fill-opacity='0.1' fill-rule='evenodd'%3E%3Cpath d='M5 0h1L0 6V5zM6 5v1H5z'/%3E%3C/g%3E%3C/svg%3E")` : 'none'
@@ -463,7 +785,16 @@ const TrackingPage = ({ userId, activePlanId }) => {
 
                                         return (
                                             <td key={colIndex} className={`p-1 w-24 min-w-[6rem] ${colIndex === numColumns - 1 ? 'rounded-r-2xl' : ''} bg-white/80 backdrop-blur-sm shadow-md`}>
-                                                <button onClick={() => isClickable && handleCellClick(sessionIndex, colIndex)} disabled={!isClickable} style={historicalStyle} className={`w-full h-12 sm:h-16 rounded-xl transition-all duration-200 ${isRest ? 'bg-zinc-300 line-through' : statusColors[status]} ${isClickable ? 'cursor-pointer transform hover:scale-105' : 'cursor-not-allowed'} ${isNextCycle ? 'opacity-40' : 'opacity-100'}`} aria-label={`Session ${sessionIndex + 1}, Cycle ${colIndex + 1}`} />
+                                                <button
+                                                    ref={el => { cellRefs.current[`${sessionIndex}:${colIndex}`] = el; }}
+                                                    tabIndex={tabStop.row === sessionIndex && tabStop.col === colIndex ? 0 : -1}
+                                                    onFocus={() => setFocusedCell({ row: sessionIndex, col: colIndex })}
+                                                    onKeyDown={(e) => handleCellKeyDown(e, sessionIndex, colIndex, canLog, currentActivity.id)}
+                                                    onClick={handleClick} onPointerDown={() => canLog && startPress(currentActivity.id, colIndex)} onPointerUp={cancelPress} onPointerLeave={cancelPress} onContextMenu={(e) => { if (!canLog) return; e.preventDefault(); cancelPress(); setEditingCell({ sessionId: currentActivity.id, colIndex }); }} aria-disabled={!canLog || undefined} style={historicalStyle} className={`relative w-full h-12 sm:h-16 rounded-xl transition-all duration-200 focus:outline-none focus-visible:ring-4 focus-visible:ring-pink-400 ${isRest ? 'bg-zinc-300 line-through' : getStatusCellClass(scaleForThisCycle, status)} ${isClickable ? 'cursor-pointer transform hover:scale-105' : canLog ? 'cursor-pointer' : 'cursor-not-allowed'} ${isNextCycle ? 'opacity-40' : 'opacity-100'} ${isToday ? 'ring-2 ring-pink-500 ring-offset-2' : ''} ${wasBackfilled ? 'outline-dashed outline-2 outline-zinc-400' : ''} text-xs font-semibold text-zinc-600`} aria-label={`${t('tracking.cell', { session: sessionIndex + 1, cycle: colIndex + 1, status: statusLabel })}${hasLog ? t('tracking.cellLogged') : ''}${wasBackfilled ? t('tracking.cellBackfilled') : ''}`} aria-current={isToday ? 'date' : undefined} title={cellTargets.map(target => formatTarget(target, i18n)).join('\n') || undefined}>
+                                                    {!isRest && <span aria-hidden="true" className="block text-base leading-none">{getStatusSymbol(scaleForThisCycle, status)}</span>}
+                                                    {cellDate && <time dateTime={toDateKey(cellDate)}>{formatShortDate(cellDate, i18n)}</time>}
+                                                    {hasLog && <span aria-hidden="true" className="absolute top-1.5 right-1.5 w-2 h-2 rounded-full bg-pink-500" />}
+                                                </button>
                                             </td>
                                         );
                                     })}
@@ -475,116 +806,257 @@ const TrackingPage = ({ userId, activePlanId }) => {
             </div>
             <div className="mt-6 flex justify-center items-center gap-4">
                  <button onClick={() => handleCycleChange('prev')} disabled={currentCycleIndex === 0} className="bg-white text-zinc-700 font-bold py-3 px-6 rounded-full shadow-lg hover:bg-zinc-50 focus:outline-none focus:ring-4 focus:ring-zinc-400 focus:ring-opacity-50 transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed">
-                    Previous
+                    {t('tracking.previous')}
                 </button>
                 <button onClick={() => handleCycleChange('next')} className="bg-pink-500 text-white font-bold py-3 px-8 rounded-full shadow-lg hover:bg-pink-600 focus:outline-none focus:ring-4 focus:ring-pink-400 focus:ring-opacity-50 transition-all duration-300 transform hover:scale-105">
-                    Next Cycle
+                    {t('tracking.nextCycle')}
                 </button>
             </div>
+            {currentCycleIndex > 0 && (
+                <div className="mt-4 flex justify-center items-center gap-3">
+                    <span className="text-sm font-semibold text-zinc-600">{t('tracking.editPast')}</span>
+                    <ToggleSwitch isEnabled={isEditingHistory} onToggle={() => setIsEditingHistory(!isEditingHistory)} label={t('tracking.editPast')} />
+                </div>
+            )}
+            <div className="mt-4 flex flex-wrap justify-center items-center gap-3">
+                <label className="bg-white text-zinc-700 font-bold py-2 px-4 rounded-full shadow-md hover:bg-zinc-50 transition cursor-pointer">
+                    {t('import.button')}
+                    <input type="file" accept=".gpx,.tcx,application/gpx+xml,application/vnd.garmin.tcx+xml" multiple onChange={(e) => { const files = Array.from(e.target.files ?? []); e.target.value = ''; handleWorkoutFiles(files); }} className="sr-only" />
+                </label>
+                <span className="text-sm text-zinc-500">{t('import.hint')}</span>
+            </div>
+            <GoalsPanel plan={plan} trackingData={trackingData} />
             <TrackingChart plan={plan} trackingData={trackingData} />
+            <AuditLogPanel plan={plan} trackingData={trackingData} />
+            {editingCell && (
+                <SessionLogEditor
+                    title={t('tracking.logTitle', { activity: plan.activities.find(a => a.id === editingCell.sessionId)?.text || t('tracking.session'), n: editingCell.colIndex + 1 })}
+                    log={getSessionLog(trackingData.grid, editingCell.sessionId, editingCell.colIndex)}
+                    targets={getSessionTargets(editingPlan.activities.find(a => a.id === editingCell.sessionId), editingCell.colIndex, trackingData.planHistory, trackingData.grid, getStatusScale(editingPlan, i18n))}
+                    onSave={(log) => handleSaveLog(editingCell.sessionId, editingCell.colIndex, log)}
+                    onClose={() => setEditingCell(null)}
+                />
+            )}
+            {workoutImport && (
+                <WorkoutImportDialog
+                    results={workoutImport.results}
+                    failed={workoutImport.failed}
+                    scale={getStatusScale(getPlanForCycle(currentCycleIndex, plan, trackingData.planHistory), i18n)}
+                    onConfirm={handleApplyWorkouts}
+                    onClose={() => setWorkoutImport(null)}
+                />
+            )}
         </div>
     );
 };
 
 // --- Main App Component ---
-export default function App() {
-    const [page, setPage] = useState('plan');
+function AppContent({ backend }) {
+    const { t, locale, setLocale } = useI18n();
+    const [route, navigate] = useHashRoute();
     const [userId, setUserId] = useState(null);
+    const [account, setAccount] = useState(null);
     const [isAuthReady, setIsAuthReady] = useState(false);
     const [isLogoExpanded, setIsLogoExpanded] = useState(false);
     const [plans, setPlans] = useState([]);
-    const [activePlanId, setActivePlanId] = useState(null);
-    const [showDropdown, setShowDropdown] = useState(false);
+    const [plansLoaded, setPlansLoaded] = useState(false);
+    // The Today and account pages and shared-plan previews have no plan in their URL;
+    // the header and the page behind a preview keep showing the last plan route.
+    const [lastPlanRoute, setLastPlanRoute] = useState(NO_PLAN_ROUTE);
+    const planRoute = isPlanPage(route.page) ? route : lastPlanRoute;
+    const page = route.page === 'account' || route.page === 'today' ? route.page : planRoute.page;
+    const activePlanId = planRoute.planId;
+    const sharedCode = route.page === 'shared' ? route.code : null;
 
     useEffect(() => {
-        const initialAuthToken = getInitialAuthToken();
-        const signInUser = async () => {
-            try {
-                if (initialAuthToken) await signInWithCustomToken(auth, initialAuthToken);
-                else await signInAnonymously(auth);
-            } catch (error) {
-                console.error("Auth failed, trying fallback:", error);
-                try { await signInAnonymously(auth); } catch (e) { console.error("Fallback auth failed", e); }
-            }
-        };
-        signInUser();
-        const unsubscribe = onAuthStateChanged(auth, (user) => {
-            setUserId(user ? user.uid : null);
+        backend.signIn();
+        const unsubscribe = backend.onUserChanged((uid, userAccount) => {
+            setUserId(uid);
+            setAccount(userAccount ?? null);
             setIsAuthReady(true);
         });
         return () => unsubscribe();
-    }, []);
+    }, [backend]);
+
+    const store = useMemo(() => (userId ? backend.getStore(userId) : null), [backend, userId]);
+    // A fresh history per store, so undo never reaches into another user's data.
+    const [{ store: historyStore, history }, setStoreHistory] = useState(() => ({ store, history: createCommandHistory() }));
+    if (historyStore !== store) setStoreHistory({ store, history: createCommandHistory() });
+    const { canUndo, canRedo, undoLabel, redoLabel } = useCommandHistory(history);
+    useReminders(store, plans);
+    // Stores kept in the browser follow other tabs' writes for as long as they are in use.
+    useEffect(() => store?.watchOtherTabs?.(), [store]);
+
+    // Upgrades stored data to the current schema. Reads work with either layout meanwhile,
+    // and an interrupted run resumes on the next load.
+    useEffect(() => {
+        if (!store?.migrate) return;
+        store.migrate().catch(error => console.error("Data migration failed:", error));
+    }, [store]);
+    const [toast, setToast] = useState(null);
+    const [conflictCode, setConflictCode] = useState(null);
+    const showConflict = useCallback((error) => setConflictCode(error.code), []);
+    const [showTemplatePicker, setShowTemplatePicker] = useState(false);
 
     useEffect(() => {
-        if (!userId) return;
-        const appId = getAppId();
-        const plansCollectionRef = collection(db, `artifacts/${appId}/users/${userId}/plans`);
-        const unsubPlans = onSnapshot(plansCollectionRef, (snapshot) => {
-            const plansData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        if (isPlanPage(route.page)) setLastPlanRoute(route);
+    }, [route]);
+
+    useEffect(() => {
+        if (!store) return;
+        setPlansLoaded(false);
+        const unsubPlans = store.subscribePlans((plansData) => {
             setPlans(plansData);
-            
-            if (!activePlanId && plansData.length > 0) {
-                setActivePlanId(plansData[0].id);
-            } else if (plansData.length === 0) {
-                setActivePlanId(null);
-            }
+            setPlansLoaded(true);
         });
-
         return () => unsubPlans();
-    }, [userId, activePlanId]);
-    
-    const handleSelectPlan = (planId) => {
-        setActivePlanId(planId);
-        setShowDropdown(false);
-    }
-    
-    const handleNewPlan = async () => {
-        if (!userId) return;
-        const newPlanName = `New Plan ${plans.length + 1}`;
-        const appId = getAppId();
-        const plansCollectionRef = collection(db, `artifacts/${appId}/users/${userId}/plans`);
-        const newPlanDoc = await addDoc(plansCollectionRef, {
-            name: newPlanName,
-            sessions: 7,
-            activities: Array.from({ length: 7 }, () => ({ text: 'Free', isRest: false })),
-        });
+    }, [store]);
 
-        const trackingDocRef = doc(db, `artifacts/${appId}/users/${userId}/trackingData/${newPlanDoc.id}`);
-        await setDoc(trackingDocRef, {
-            grid: Array.from({ length: 7 }, () => ({ row: [] })),
-            currentCycleIndex: 0,
-            highestCycleIndex: 0,
-            planHistory: {},
-        });
+    // A missing or unknown plan id falls back to the first plan. This also covers
+    // switching accounts, where the selected plan belongs to the previous user.
+    useEffect(() => {
+        if (!plansLoaded || plans.some(p => p.id === activePlanId)) return;
+        const fallbackId = plans.length > 0 ? plans[0].id : null;
+        if (fallbackId === activePlanId) return;
+        if (isPlanPage(route.page)) navigate({ page: route.page, planId: fallbackId }, { replace: true });
+        else setLastPlanRoute(current => ({ ...current, planId: fallbackId }));
+    }, [plansLoaded, plans, activePlanId, route.page, navigate]);
+
+    const showPage = (targetPage) => navigate(isPlanPage(targetPage) ? { page: targetPage, planId: activePlanId } : { page: targetPage });
+    const showPlan = useCallback((planId, options) => navigate({ page: planRoute.page, planId }, options), [navigate, planRoute.page]);
+
+    const handleNewPlan = () => setShowTemplatePicker(true);
+
+    const handleCreateFromTemplate = async (template) => {
+        setShowTemplatePicker(false);
+        if (!store) return;
+        const name = template.id === 'blank' ? t('app.newPlanName', { count: plans.length + 1 }) : template.name;
+        try {
+            const newPlanId = await store.createPlan(instantiateTemplate(template, name), createEmptyTracking());
+            showPlan(newPlanId);
+        } catch (error) {
+            console.error("Error creating plan:", error);
+        }
+    };
 
-        setActivePlanId(newPlanDoc.id);
+    // Share links open as #/shared/CODE, on top of the last plan page.
+    const openSharedPlan = (code) => {
+        setShowTemplatePicker(false);
+        navigate({ page: 'shared', code });
+    };
+
+    const closeSharedPlan = () => navigate(lastPlanRoute, { replace: true });
+
+    const handleImportSharedPlan = async (sharedPlan) => {
+        closeSharedPlan();
+        if (!store) return;
+        try {
+            const newPlanId = await store.createPlan(instantiateTemplate({ plan: sharedPlan }, sharedPlan.name), createEmptyTracking());
+            navigate({ page: 'plan', planId: newPlanId }, { replace: true });
+        } catch (error) {
+            console.error("Error importing shared plan:", error);
+        }
+    };
+
+    const handleDuplicatePlan = async (includeTracking) => {
+        if (!store || !activePlanId) return;
+        const [plan, trackingData] = await Promise.all([store.getPlan(activePlanId), store.getTracking(activePlanId)]);
+        if (!plan) return;
+        const copy = duplicatePlan(plan, trackingData, { includeTracking }, { t });
+        const newPlanId = await store.createPlan(copy.plan, copy.tracking);
+        showPlan(newPlanId);
     };
     
     const handleDeletePlan = async () => {
-        if (!userId || !activePlanId || plans.length <= 1) return;
-        const appId = getAppId();
-        const planDocRef = doc(db, `artifacts/${appId}/users/${userId}/plans/${activePlanId}`);
-        const trackingDocRef = doc(db, `artifacts/${appId}/users/${userId}/trackingData/${activePlanId}`);
-        
-        await deleteDoc(planDocRef);
-        await deleteDoc(trackingDocRef);
+        if (!store || !activePlanId || plans.length <= 1) return;
+        const deletedPlan = plans.find(p => p.id === activePlanId);
+        const entry = await history.run({ store, planId: activePlanId, label: 'deletePlan' }, () => store.deletePlan(activePlanId));
 
+        // The deleted plan's URL is dead, so it is replaced rather than left in the history.
         const remainingPlans = plans.filter(p => p.id !== activePlanId);
-        setActivePlanId(remainingPlans.length > 0 ? remainingPlans[0].id : null);
+        showPlan(remainingPlans.length > 0 ? remainingPlans[0].id : null, { replace: true });
+        setToast({ message: t('app.deleted', { name: deletedPlan?.name ?? t('app.deletedFallback') }), entry });
     };
 
+    // After undo/redo, show the plan that changed, unless it no longer exists. The
+    // Today page shows every plan already, so it stays put.
+    const showHistoryEntry = useCallback((entry, snapshot) => {
+        if (!entry || page === 'today') return;
+        if (snapshot.plan) {
+            if (entry.planId !== activePlanId) showPlan(entry.planId);
+        } else if (activePlanId === entry.planId) {
+            showPlan(plans.find(p => p.id !== entry.planId)?.id ?? null, { replace: true });
+        }
+    }, [plans, activePlanId, showPlan, page]);
+
+    // The toast undoes only the action it announces, and closes once another one is recorded.
+    const runUndo = useCallback(async (only) => {
+        setToast(null);
+        try {
+            const entry = await history.undo(only);
+            showHistoryEntry(entry, entry?.before);
+        } catch (error) {
+            if (isConflict(error)) showConflict(error);
+            else console.error("Undo failed:", error);
+        }
+    }, [history, showHistoryEntry, showConflict]);
+    const handleUndo = useCallback(() => runUndo(), [runUndo]);
+
+    useEffect(() => {
+        if (!toast) return;
+        return history.subscribe(() => {
+            if (!history.isLatest(toast.entry)) setToast(null);
+        });
+    }, [history, toast]);
+
+    const handleRedo = useCallback(async () => {
+        try {
+            const entry = await history.redo();
+            showHistoryEntry(entry, entry?.after);
+        } catch (error) {
+            if (isConflict(error)) showConflict(error);
+            else console.error("Redo failed:", error);
+        }
+    }, [history, showHistoryEntry, showConflict]);
+
+    // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes. Text fields keep their native undo.
+    useEffect(() => {
+        const onKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                handleUndo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                handleRedo();
+            }
+        };
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, [handleUndo, handleRedo]);
+
+    const dismissToast = useCallback(() => setToast(null), []);
+
 
     const NavButton = ({ targetPage, label, icon }) => {
         const isActive = page === targetPage;
         return (
-            <button onClick={() => setPage(targetPage)} className={`flex-1 flex flex-col items-center justify-center p-2 transition-colors duration-300 ${isActive ? 'text-pink-500' : 'text-zinc-400 hover:text-pink-500'}`}>
+            <button onClick={() => showPage(targetPage)} className={`flex-1 flex flex-col items-center justify-center p-2 transition-colors duration-300 ${isActive ? 'text-pink-500' : 'text-zinc-400 hover:text-pink-500'}`}>
                 {icon}
                 <span className={`text-xs font-bold`}>{label}</span>
             </button>
         );
     };
-    
-    const activePlan = plans.find(p => p.id === activePlanId);
+
+    const renderPage = () => {
+        if (page === 'plan') return <PlanPage store={store} history={history} activePlanId={activePlanId} plans={plans} handleNewPlan={handleNewPlan} handleDeletePlan={handleDeletePlan} handleDuplicatePlan={handleDuplicatePlan} onConflict={showConflict} />;
+        if (page === 'today') return <TodayPage store={store} history={history} plans={plans} onOpenPlan={(planId) => navigate({ page: 'tracking', planId })} onConflict={showConflict} />;
+        if (page === 'stats') return <StatsPage store={store} activePlanId={activePlanId} />;
+        if (page === 'account') return <AccountPage backend={backend} account={account} store={store} plans={plans} />;
+        return <TrackingPage store={store} history={history} activePlanId={activePlanId} onConflict={showConflict} />;
+    };
 
     return (
         <div className="font-sans antialiased text-zinc-800">
@@ -597,38 +1069,47 @@ export default function App() {
                     <h1 onClick={() => setIsLogoExpanded(!isLogoExpanded)} className="text-4xl md:text-5xl font-extrabold text-pink-500 tracking-tighter flex items-baseline justify-start cursor-pointer select-none">
                         P<span className="inline-block transform scale-y-[-1]">A</span>ST<span className="inline-block transform scale-y-[-1]">A</span>
                         <span className={`transition-all duration-500 ease-in-out overflow-hidden ${isLogoExpanded ? 'max-w-xl ml-3' : 'max-w-0'}`}>
-                           <span className="text-xl md:text-2xl font-semibold text-zinc-600 whitespace-nowrap">is Another Sport Tracking App</span>
+                           <span className="text-xl md:text-2xl font-semibold text-zinc-600 whitespace-nowrap">{t('app.tagline')}</span>
                         </span>
                     </h1>
-                    <div className="relative">
-                        <button onClick={() => setShowDropdown(!showDropdown)} className="flex items-center gap-2 bg-white/80 backdrop-blur-sm p-2 rounded-full shadow-md">
-                            <span className="font-bold text-zinc-700 pl-2">{activePlan ? activePlan.name : "Select Plan"}</span>
-                            <svg className={`w-5 h-5 text-zinc-500 transition-transform ${showDropdown ? 'rotate-180' : ''}`} xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor"><path fillRule="evenodd" d="M5.293 7.293a1 1 0 011.414 0L10 10.586l3.293-3.293a1 1 0 111.414 1.414l-4 4a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414z" clipRule="evenodd" /></svg>
-                        </button>
-                        {showDropdown && (
-                            <div className="absolute right-0 mt-2 w-56 bg-white/90 backdrop-blur-sm rounded-2xl shadow-xl z-10">
-                                <div className="p-2">
-                                {plans.map(plan => (
-                                    <button key={plan.id} onClick={() => handleSelectPlan(plan.id)} className={`w-full text-left px-4 py-2 rounded-lg font-semibold ${activePlanId === plan.id ? 'bg-pink-100 text-pink-600' : 'text-zinc-700 hover:bg-zinc-100'}`}>
-                                        {plan.name}
-                                    </button>
-                                ))}
-                                </div>
-                            </div>
-                        )}
+                    <div className="flex items-center gap-2">
+                    {backend.syncStatus && <SyncIndicator syncStatus={backend.syncStatus} />}
+                    <select value={locale} onChange={(e) => setLocale(e.target.value)} aria-label={t('app.language')} className="h-10 px-2 rounded-full bg-white/80 backdrop-blur-sm shadow-md text-sm font-bold text-zinc-600 focus:outline-none focus:ring-2 focus:ring-pink-500">
+                        {Object.entries(LOCALES).map(([code, name]) => <option key={code} value={code}>{name}</option>)}
+                    </select>
+                    <button onClick={handleUndo} disabled={!canUndo} aria-label={t('app.undo')} title={undoLabel ? t('app.undoAction', { action: t(`history.${undoLabel}`) }) : t('app.undo')} className="w-10 h-10 rounded-full bg-white/80 backdrop-blur-sm shadow-md text-zinc-600 font-bold text-lg hover:text-pink-500 transition disabled:opacity-40 disabled:cursor-not-allowed">↶</button>
+                    <button onClick={handleRedo} disabled={!canRedo} aria-label={t('app.redo')} title={redoLabel ? t('app.redoAction', { action: t(`history.${redoLabel}`) }) : t('app.redo')} className="w-10 h-10 rounded-full bg-white/80 backdrop-blur-sm shadow-md text-zinc-600 font-bold text-lg hover:text-pink-500 transition disabled:opacity-40 disabled:cursor-not-allowed">↷</button>
+                    <button onClick={() => showPage('account')} aria-label={t('app.account')} title={account && !account.isAnonymous ? account.email ?? t('app.account') : t('app.guestAccount')} className={`w-10 h-10 rounded-full bg-white/80 backdrop-blur-sm shadow-md flex items-center justify-center transition ${page === 'account' ? 'text-pink-500' : 'text-zinc-600 hover:text-pink-500'}`}>
+                        <UserIcon className="w-5 h-5" />
+                    </button>
+                    <PlanPicker plans={plans} activePlanId={activePlanId} onSelect={showPlan} />
                     </div>
                 </header>
                 <main className="max-w-4xl mx-auto pb-24">
-                    {isAuthReady ? (userId ? (page === 'plan' ? <PlanPage userId={userId} activePlanId={activePlanId} plans={plans} handleNewPlan={handleNewPlan} handleDeletePlan={handleDeletePlan} /> : <TrackingPage userId={userId} activePlanId={activePlanId} />) : <div className="p-4 text-center text-pink-500 font-semibold">Authentication failed. Please refresh.</div>) : <div className="p-4 text-center text-zinc-500 font-semibold">Loading...</div>}
+                    {isAuthReady ? (userId ? renderPage() : <div className="p-4 text-center text-pink-500 font-semibold">{t('app.authFailed')}</div>) : <div className="p-4 text-center text-zinc-500 font-semibold">{t('common.loading')}</div>}
                 </main>
                 
                 <footer className="fixed bottom-0 left-0 right-0 bg-white/80 backdrop-blur-sm border-t border-zinc-200">
                     <div className="flex max-w-4xl mx-auto h-20">
-                        <NavButton targetPage="tracking" label="Tracking" icon={<CalendarIcon className="w-8 h-8" />} />
-                        <NavButton targetPage="plan" label="Plan" icon={<SettingsIcon className="w-8 h-8" />} />
+                        <NavButton targetPage="today" label={t('app.nav.today')} icon={<SunIcon className="w-8 h-8" />} />
+                        <NavButton targetPage="tracking" label={t('app.nav.tracking')} icon={<CalendarIcon className="w-8 h-8" />} />
+                        <NavButton targetPage="stats" label={t('app.nav.stats')} icon={<ChartIcon className="w-8 h-8" />} />
+                        <NavButton targetPage="plan" label={t('app.nav.plan')} icon={<SettingsIcon className="w-8 h-8" />} />
                     </div>
                 </footer>
+                {conflictCode && <ConflictNotice message={t(`conflict.${conflictCode}`)} onDismiss={() => setConflictCode(null)} />}
+                {toast && <UndoToast message={toast.message} onUndo={() => runUndo(toast.entry)} onDismiss={dismissToast} />}
+                {showTemplatePicker && <TemplatePicker store={store} onSelect={handleCreateFromTemplate} onOpenShared={openSharedPlan} onClose={() => setShowTemplatePicker(false)} />}
+                {sharedCode && store && <SharedPlanPreview store={store} code={sharedCode} onImport={handleImportSharedPlan} onClose={closeSharedPlan} />}
             </div>
         </div>
     );
 }
+
+export default function App(props) {
+    return (
+        <I18nProvider>
+            <AppContent {...props} />
+        </I18nProvider>
+    );
+}
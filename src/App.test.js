@@ -1,8 +1,582 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, within, act } from '@testing-library/react';
 import App from './App';
+import { createMemoryBackend } from './storage/memoryStore';
+import { createSyncTracker } from './storage/syncStatus';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+const seededBackend = () => createMemoryBackend({
+  plans: {
+    plan1: { name: 'Running', sessions: 2, activities: [{ text: 'Easy run', isRest: false }, { text: '', isRest: true }] },
+  },
+  trackingData: {
+    plan1: { grid: [{ row: [] }, { row: [] }], currentCycleIndex: 0, highestCycleIndex: 0, planHistory: {} },
+  },
+});
+
+// The route lives in the URL hash, which jsdom keeps between tests. Tests start
+// in the plan editor, which then opens the first plan.
+beforeEach(() => window.history.replaceState(null, '', '/#/plans'));
+
+test('opens on the Today page', async () => {
+  window.history.replaceState(null, '', '/');
+  render(<App backend={seededBackend()} />);
+  expect(await screen.findByText('Easy run')).toBeInTheDocument();
+  expect(window.location.hash).toBe('');
+  fireEvent.click(screen.getByText('Tracking'));
+  expect(await screen.findByLabelText('Session 1, Cycle 1: None')).toBeInTheDocument();
+});
+
+test('renders the plan editor for the first stored plan', () => {
+  render(<App backend={seededBackend()} />);
+  expect(screen.getByRole('button', { name: 'Running' })).toBeInTheDocument();
+  expect(screen.getByDisplayValue('Easy run')).toBeInTheDocument();
+});
+
+test('records a tracking click in the store', async () => {
+  const backend = seededBackend();
+  render(<App backend={backend} />);
+  fireEvent.click(screen.getByText('Tracking'));
+  fireEvent.click(screen.getByLabelText('Session 1, Cycle 1: None'));
+  await waitFor(async () => expect((await backend.getStore().getTracking('plan1')).grid[0].row[0]).toBe(1));
+});
+
+test('creates a new plan with a fresh tracking document', async () => {
+  const backend = seededBackend();
+  render(<App backend={backend} />);
+  fireEvent.click(screen.getByText('New Plan'));
+  fireEvent.click(screen.getByText('Blank plan'));
+  expect(await screen.findByDisplayValue('New Plan 2')).toBeInTheDocument();
+});
+
+test('creates plans from built-in and saved templates', async () => {
+  const backend = seededBackend();
+  render(<App backend={backend} />);
+  fireEvent.click(screen.getByText('Save as Template'));
+  expect(await screen.findByText('Saved as template.')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('New Plan'));
+  fireEvent.click(screen.getByText('Push / Pull / Legs'));
+  expect(await screen.findByDisplayValue('Push / Pull / Legs')).toBeInTheDocument();
+  expect(screen.getAllByDisplayValue('Push')).toHaveLength(2);
+
+  fireEvent.click(screen.getByText('New Plan'));
+  fireEvent.click(within(screen.getByRole('dialog')).getByText('Running'));
+  expect(await screen.findByDisplayValue('Easy run')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Running' })).toBeInTheDocument();
+});
+
+test('duplicates a plan with or without its tracking data', async () => {
+  const backend = createMemoryBackend({
+    plans: { plan1: { name: 'Running', sessions: 1, activities: [{ text: 'Easy run', isRest: false }] } },
+    trackingData: { plan1: { grid: [{ row: [1, 2] }], currentCycleIndex: 1, highestCycleIndex: 1, planHistory: { 1: { name: 'Old', sessions: 1, activities: [{ text: 'Jog' }] } } } },
+  });
+  const store = backend.getStore();
+  render(<App backend={backend} />);
+  fireEvent.click(screen.getByText('Duplicate'));
+  fireEvent.click(screen.getByText('With tracking'));
+  expect(await screen.findByDisplayValue('Running (copy)')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Duplicate'));
+  fireEvent.click(screen.getByText('Plan only'));
+  expect(await screen.findByDisplayValue('Running (copy) (copy)')).toBeInTheDocument();
+
+  const plans = await new Promise(resolve => store.subscribePlans(resolve)());
+  const trackingByName = {};
+  for (const plan of plans) trackingByName[plan.name] = await store.getTracking(plan.id);
+  expect(trackingByName['Running (copy)']).toEqual(await store.getTracking('plan1'));
+  expect(trackingByName['Running (copy) (copy)']).toEqual({ grid: [], currentCycleIndex: 0, highestCycleIndex: 0, planHistory: {} });
+});
+
+test('scheduled plans advance to the cycle containing today', async () => {
+  const start = new Date();
+  start.setDate(start.getDate() - 15);
+  const pad = (n) => String(n).padStart(2, '0');
+  const startDate = `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())}`;
+  const backend = createMemoryBackend({
+    plans: { plan1: { name: 'Daily', sessions: 7, activities: [], schedule: { startDate, cadence: { type: 'daily' } } } },
+    trackingData: { plan1: { grid: [], currentCycleIndex: 0, highestCycleIndex: 0, planHistory: {} } },
+  });
+  render(<App backend={backend} />);
+  fireEvent.click(screen.getByText('Tracking'));
+  const tracking = await backend.getStore().getTracking('plan1');
+  expect(tracking.currentCycleIndex).toBe(2);
+  expect(screen.getAllByRole('button').some(b => b.getAttribute('aria-current') === 'date')).toBe(true);
+});
+
+test('saves a session log from the cell editor without touching the status', async () => {
+  const backend = seededBackend();
+  render(<App backend={backend} />);
+  fireEvent.click(screen.getByText('Tracking'));
+  fireEvent.click(screen.getByLabelText('Session 1, Cycle 1: None'));
+  await waitFor(async () => expect((await backend.getStore().getTracking('plan1')).grid[0].row[0]).toBe(1));
+  fireEvent.contextMenu(screen.getByLabelText('Session 1, Cycle 1: Done'));
+  fireEvent.change(screen.getByLabelText(/Duration/), { target: { value: '42' } });
+  fireEvent.change(screen.getByLabelText('Notes'), { target: { value: 'Windy' } });
+  fireEvent.click(screen.getByText('Save Log'));
+  expect(await screen.findByLabelText('Session 1, Cycle 1: Done, logged')).toBeInTheDocument();
+  const tracking = await backend.getStore().getTracking('plan1');
+  expect(tracking.grid[0]).toEqual({ id: 's0', row: [1], logs: { 0: { duration: 42, notes: 'Windy' } } });
+});
+
+test('saves exercises with the plan and shows computed targets while tracking', async () => {
+  const backend = seededBackend();
+  render(<App backend={backend} />);
+  fireEvent.click(screen.getByText('Exercises'));
+  fireEvent.click(screen.getByText('+ Add exercise'));
+  fireEvent.change(screen.getByLabelText('Exercise name'), { target: { value: 'Squat' } });
+  fireEvent.change(screen.getByLabelText('Sets'), { target: { value: '3' } });
+  fireEvent.change(screen.getByLabelText('Reps'), { target: { value: '5' } });
+  fireEvent.change(screen.getByLabelText('Kg'), { target: { value: '60' } });
+  fireEvent.click(screen.getByText('Save Plan'));
+  expect(await screen.findByText('Plan saved successfully!')).toBeInTheDocument();
+  expect((await backend.getStore().getPlan('plan1')).activities[0].exercises[0]).toMatchObject({ name: 'Squat', sets: 3, reps: 5, load: 60 });
+  fireEvent.click(screen.getByText('Tracking'));
+  expect(screen.getByText('Squat 3×5 @ 60 kg')).toBeInTheDocument();
+});
+
+test('a customised status scale is saved with the plan and drives the grid', async () => {
+  const backend = seededBackend();
+  render(<App backend={backend} />);
+  fireEvent.click(screen.getByText('Customise'));
+  fireEvent.change(screen.getByLabelText('Status 2 label'), { target: { value: 'Hard' } });
+  fireEvent.change(screen.getByLabelText('Status 2 colour'), { target: { value: 'purple' } });
+  fireEvent.click(screen.getByText('+ Add status'));
+  fireEvent.change(screen.getByLabelText('Status 4 label'), { target: { value: 'Sick' } });
+  fireEvent.click(screen.getByText('Save Plan'));
+  expect(await screen.findByText('Plan saved successfully!')).toBeInTheDocument();
+  expect((await backend.getStore().getPlan('plan1')).statusScale.map(s => s.label)).toEqual(['Done', 'Hard', 'Missed', 'Sick']);
+
+  fireEvent.click(screen.getByText('Tracking'));
+  const cell = screen.getByLabelText('Session 1, Cycle 1: None');
+  fireEvent.click(cell);
+  await waitFor(() => expect(cell).toHaveClass('bg-green-300'));
+  fireEvent.click(cell);
+  await waitFor(() => expect(cell).toHaveClass('bg-purple-300'));
+  expect(screen.getByText('Sick')).toBeInTheDocument();
+});
+
+test('goals show their progress while tracking and earned badges are logged', async () => {
+  const backend = seededBackend();
+  render(<App backend={backend} />);
+  fireEvent.click(screen.getByText('+ Add goal'));
+  fireEvent.click(screen.getByText('+ Add goal'));
+  fireEvent.change(screen.getByLabelText('Goal 2'), { target: { value: 'cycles' } });
+  fireEvent.change(screen.getByLabelText('Goal 2 target'), { target: { value: '1' } });
+  fireEvent.click(screen.getByText('Save Plan'));
+  expect(await screen.findByText('Plan saved successfully!')).toBeInTheDocument();
+  expect((await backend.getStore().getPlan('plan1')).goals).toEqual([{ type: 'cycleRate', target: 90 }, { type: 'cycles', target: 1 }]);
+
+  fireEvent.click(screen.getByText('Tracking'));
+  expect(screen.getByRole('progressbar', { name: 'Finish 1 cycle' })).toHaveAttribute('aria-valuetext', '0 of 1');
+  fireEvent.click(screen.getByLabelText('Session 1, Cycle 1: None'));
+  await waitFor(() => expect(screen.getByRole('progressbar', { name: 'Complete 90% of the sessions in a cycle' })).toHaveAttribute('aria-valuetext', 'Earned'));
+  expect(screen.getByRole('progressbar', { name: 'Finish 1 cycle' })).toHaveAttribute('aria-valuetext', 'Earned');
+  expect(screen.getByText('Achievements')).toBeInTheDocument();
+  expect(Object.keys((await backend.getStore().getTracking('plan1')).achievements).sort()).toEqual(['cycleRate-90', 'cycles-1']);
+});
+
+test('the tracking grid and plan picker can be used from the keyboard', async () => {
+  const backend = seededBackend();
+  await backend.getStore().savePlan('plan2', { name: 'Cycling', sessions: 1, activities: [{ text: 'Ride', isRest: false }] });
+  render(<App backend={backend} />);
+  expect(screen.getByRole('switch', { name: 'Session 2 is a rest day' })).toHaveAttribute('aria-checked', 'true');
+
+  fireEvent.click(screen.getByText('Tracking'));
+  const cell = screen.getByLabelText('Session 1, Cycle 1: None');
+  expect(cell).toHaveAttribute('tabindex', '0');
+  act(() => cell.focus());
+  fireEvent.keyDown(cell, { key: 'ArrowRight' });
+  const nextCell = screen.getByLabelText('Session 1, Cycle 2: None');
+  expect(nextCell).toHaveFocus();
+  fireEvent.keyDown(nextCell, { key: 'ArrowLeft' });
+  expect(cell).toHaveFocus();
+  fireEvent.click(cell);
+  expect(await screen.findByText('Session 1, Cycle 1: Done', { selector: 'p' })).toBeInTheDocument();
+  expect(cell).toHaveAccessibleName('Session 1, Cycle 1: Done');
+  expect(within(cell).getByText('✓')).toBeInTheDocument();
+  fireEvent.keyDown(cell, { key: 'Enter', shiftKey: true });
+  expect(screen.getByText('Save Log')).toBeInTheDocument();
+  fireEvent.keyDown(cell, { key: 'ArrowDown' });
+  expect(screen.getByLabelText('Session 2, Cycle 1: Rest')).toHaveFocus();
+
+  const picker = screen.getByRole('button', { name: 'Running' });
+  fireEvent.keyDown(picker, { key: 'ArrowDown' });
+  const running = screen.getByRole('option', { name: 'Running' });
+  expect(running).toHaveFocus();
+  fireEvent.keyDown(running, { key: 'ArrowDown' });
+  const cycling = screen.getByRole('option', { name: 'Cycling' });
+  expect(cycling).toHaveFocus();
+  fireEvent.keyDown(cycling, { key: 'Enter' });
+  expect(window.location.hash).toBe('#/plans/plan2/tracking');
+  expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Cycling' })).toHaveFocus();
+});
+
+test('switching reminders on asks for notification permission and saves them with the plan', async () => {
+  window.Notification = { permission: 'default', requestPermission: jest.fn(() => Promise.resolve('granted')) };
+  const backend = seededBackend();
+  render(<App backend={backend} />);
+  fireEvent.click(screen.getByLabelText('Remind me to train'));
+  fireEvent.change(await screen.findByLabelText('Time'), { target: { value: '07:15' } });
+  fireEvent.click(screen.getByLabelText('Skip rest days'));
+  fireEvent.click(screen.getByText('Save Plan'));
+  expect(await screen.findByText('Plan saved successfully!')).toBeInTheDocument();
+  expect(window.Notification.requestPermission).toHaveBeenCalled();
+  expect((await backend.getStore().getPlan('plan1')).reminders).toEqual({ time: '07:15', skipRest: false, nudge: true });
+  delete window.Notification;
+});
+
+test('saved reminders start as soon as notifications are allowed', async () => {
+  window.Notification = { permission: 'default', requestPermission: jest.fn(() => Promise.resolve('granted')) };
+  const backend = seededBackend();
+  const store = backend.getStore();
+  await store.savePlan('plan2', { name: 'Cycling', sessions: 1, activities: [{ text: 'Ride', isRest: false }], reminders: { time: '18:00' } });
+  const subscribeTracking = jest.fn(store.subscribeTracking);
+  render(<App backend={{ ...backend, getStore: () => ({ ...store, subscribeTracking }) }} />);
+  expect(subscribeTracking).not.toHaveBeenCalledWith('plan2', expect.anything());
+
+  fireEvent.click(screen.getByLabelText('Remind me to train'));
+  await waitFor(() => expect(subscribeTracking).toHaveBeenCalledWith('plan2', expect.anything()));
+  delete window.Notification;
+});
+
+test('imports a GPX file and marks the matched session after confirmation', async () => {
+  const backend = seededBackend();
+  render(<App backend={backend} />);
+  fireEvent.click(screen.getByText('Tracking'));
+  const file = new File([`<gpx xmlns="http://www.topografix.com/GPX/1/1"><trk><type>running</type><trkseg>
+    <trkpt lat="0" lon="0"><time>2024-01-03T12:00:00Z</time></trkpt>
+    <trkpt lat="0" lon="0.01"><time>2024-01-03T12:30:00Z</time></trkpt>
+  </trkseg></trk></gpx>`], 'run.gpx', { type: 'application/gpx+xml' });
+  fireEvent.change(screen.getByLabelText('Import GPX / TCX'), { target: { files: [file] } });
+  const dialog = await screen.findByRole('dialog');
+  expect(within(dialog).getByLabelText('Session 1# Easy run → Done')).toBeChecked();
+  fireEvent.click(within(dialog).getByText('Mark 1 session'));
+  await waitFor(async () => expect((await backend.getStore().getTracking('plan1')).grid[0]).toEqual({ id: 's0', row: [1], logs: { 0: { duration: 30, distance: 1.11 } } }));
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+});
+
+test('the Today page shows the next session of every plan with one-tap statuses', async () => {
+  const backend = seededBackend();
+  const store = backend.getStore();
+  await store.createPlan({ name: 'Cycling', sessions: 2, activities: [{ text: 'Ride', isRest: false }, { text: 'Hills', isRest: false }] }, { grid: [{ row: [] }, { row: [] }], currentCycleIndex: 0, highestCycleIndex: 0, planHistory: {} });
+  render(<App backend={backend} />);
+  fireEvent.click(screen.getByText('Today'));
+  expect(window.location.hash).toBe('#/today');
+
+  fireEvent.click(within(await screen.findByRole('group', { name: 'Status of Easy run' })).getByRole('button', { name: 'Done' }));
+  expect(await screen.findByText('Every session of cycle 1 is logged.')).toBeInTheDocument();
+  expect((await store.getTracking('plan1')).grid[0].row[0]).toBe(1);
+
+  fireEvent.click(within(screen.getByRole('group', { name: 'Status of Ride' })).getByRole('button', { name: 'Missed' }));
+  expect(await screen.findByRole('group', { name: 'Status of Hills' })).toBeInTheDocument();
+  expect(screen.getByText('1 of 2 sessions done')).toBeInTheDocument();
+  expect(screen.getByText('50%')).toBeInTheDocument();
+
+  fireEvent.keyDown(window, { key: 'z', ctrlKey: true });
+  expect(await screen.findByRole('group', { name: 'Status of Ride' })).toBeInTheDocument();
+  expect(window.location.hash).toBe('#/today');
+});
+
+test('one-tap statuses on the Today page start the tracking of a plan that has none', async () => {
+  const backend = seededBackend();
+  const store = backend.getStore();
+  const planId = await store.createPlan({ name: 'Cycling', sessions: 1, activities: [{ id: 'r', text: 'Ride', isRest: false }] });
+  render(<App backend={backend} />);
+  fireEvent.click(screen.getByText('Today'));
+  fireEvent.click(within(await screen.findByRole('group', { name: 'Status of Ride' })).getByRole('button', { name: 'Done' }));
+  expect(await screen.findByText('Every session of cycle 1 is logged.')).toBeInTheDocument();
+  expect((await store.getTracking(planId)).grid).toEqual([{ id: 'r', row: [1] }]);
+});
+
+test('shows statistics on the Stats page', () => {
+  render(<App backend={seededBackend()} />);
+  fireEvent.click(screen.getByText('Stats'));
+  expect(screen.getByText('Current streak')).toBeInTheDocument();
+  expect(screen.getByText('By Activity')).toBeInTheDocument();
+});
+
+test('lists saved versions and restores an older one', async () => {
+  const backend = seededBackend();
+  render(<App backend={backend} />);
+  fireEvent.change(screen.getByDisplayValue('Easy run'), { target: { value: 'Tempo run' } });
+  fireEvent.click(screen.getByText('Save Plan'));
+  expect(await screen.findByText('Version History')).toBeInTheDocument();
+  expect(screen.getByText('Easy run')).toHaveClass('line-through');
+  fireEvent.click(screen.getByText('Restore'));
+  expect(await screen.findByText('Version restored.')).toBeInTheDocument();
+  expect((await backend.getStore().getPlan('plan1')).activities[0].text).toBe('Easy run');
+});
+
+test('a save made elsewhere during an edit keeps the edit and refuses to overwrite it', async () => {
+  const backend = seededBackend();
+  const store = backend.getStore();
+  render(<App backend={backend} />);
+  fireEvent.change(screen.getByDisplayValue('Easy run'), { target: { value: 'Tempo run' } });
+  await act(() => store.savePlan('plan1', { name: 'Running', sessions: 2, activities: [{ text: 'Long run', isRest: false }, { text: '', isRest: true }] }));
+  expect(screen.getByText(/This plan was changed on another device or tab while you were editing/)).toBeInTheDocument();
+  expect(screen.getByDisplayValue('Tempo run')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Save Plan'));
+  expect(await screen.findByText(/Your edits were not saved/)).toBeInTheDocument();
+  expect((await store.getPlan('plan1')).activities[0].text).toBe('Long run');
+
+  fireEvent.click(screen.getByText('Load latest version'));
+  expect(screen.getByDisplayValue('Long run')).toBeInTheDocument();
+  expect(screen.queryByText('Load latest version')).not.toBeInTheDocument();
+});
+
+test('past cycles can be edited behind a toggle and the change is audited', async () => {
+  const backend = createMemoryBackend({
+    plans: { plan1: { name: 'Running', sessions: 1, activities: [{ text: 'Easy run', isRest: false }] } },
+    trackingData: { plan1: { grid: [{ row: [0, 1] }], currentCycleIndex: 1, highestCycleIndex: 1, planHistory: {} } },
+  });
+  render(<App backend={backend} />);
+  fireEvent.click(screen.getByText('Tracking'));
+  fireEvent.click(screen.getByLabelText('Edit past cycles'));
+  fireEvent.click(screen.getByLabelText('Session 1, Cycle 1: None'));
+  expect(await screen.findByLabelText('Session 1, Cycle 1: Done, backfilled')).toBeInTheDocument();
+  const tracking = await backend.getStore().getTracking('plan1');
+  expect(tracking.grid[0].row).toEqual([1, 1]);
+  expect(Object.values(tracking.auditLog)).toEqual([expect.objectContaining({ session: 0, cycle: 0, from: 0, to: 1, currentCycleIndex: 1 })]);
+  expect(await screen.findByText('Edit History')).toBeInTheDocument();
+  expect(screen.getByLabelText('Session 1, Cycle 1: Done, backfilled')).toBeInTheDocument();
+});
+
+test('deleting a plan can be undone from the toast and with Ctrl+Z after a tap', async () => {
+  const backend = seededBackend();
+  const store = backend.getStore();
+  await store.savePlan('plan2', { name: 'Cycling', sessions: 1, activities: [{ text: 'Ride', isRest: false }] });
+  render(<App backend={backend} />);
+  fireEvent.click(screen.getByText('Delete Plan'));
+  expect(await screen.findByText('Deleted "Running"')).toBeInTheDocument();
+  expect(await store.getPlan('plan1')).toBeNull();
+  fireEvent.click(screen.getByText('Undo'));
+  expect(await screen.findByDisplayValue('Running')).toBeInTheDocument();
+  expect(await store.getPlan('plan1')).not.toBeNull();
+
+  fireEvent.click(screen.getByText('Tracking'));
+  fireEvent.click(screen.getByLabelText('Session 1, Cycle 1: None'));
+  await screen.findByLabelText('Session 1, Cycle 1: Done');
+  fireEvent.keyDown(window, { key: 'z', ctrlKey: true });
+  await screen.findByLabelText('Session 1, Cycle 1: None');
+  expect((await store.getTracking('plan1')).grid[0].row[0] ?? 0).toBe(0);
+});
+
+test('a failed delete is reported and leaves the plan in place', async () => {
+  const backend = seededBackend();
+  const store = backend.getStore();
+  await store.savePlan('plan2', { name: 'Cycling', sessions: 1, activities: [{ text: 'Ride', isRest: false }] });
+  const failingStore = { ...store, deletePlan: () => Promise.reject(new Error('offline')) };
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  render(<App backend={{ ...backend, getStore: () => failingStore }} />);
+  fireEvent.click(await screen.findByText('Delete Plan'));
+  expect(await screen.findByText('Failed to delete plan.')).toBeInTheDocument();
+  expect(screen.queryByText('Deleted "Running"')).not.toBeInTheDocument();
+  expect(await store.getPlan('plan1')).not.toBeNull();
+});
+
+test('the delete toast closes once another action is recorded, so it never undoes that one', async () => {
+  const backend = seededBackend();
+  const store = backend.getStore();
+  await store.createPlan({ name: 'Cycling', sessions: 1, activities: [{ text: 'Ride', isRest: false }] }, { grid: [{ row: [] }], currentCycleIndex: 0, highestCycleIndex: 0, planHistory: {} });
+  render(<App backend={backend} />);
+  fireEvent.click(await screen.findByText('Delete Plan'));
+  expect(await screen.findByText('Deleted "Running"')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Tracking'));
+  fireEvent.click(await screen.findByLabelText('Session 1, Cycle 1: None'));
+  await waitFor(() => expect(screen.queryByText('Deleted "Running"')).not.toBeInTheDocument());
+  expect(await store.getPlan('plan1')).toBeNull();
+  expect(await screen.findByLabelText('Session 1, Cycle 1: Done')).toBeInTheDocument();
+});
+
+test('reordering sessions keeps tracked results with their activity', async () => {
+  const backend = createMemoryBackend({
+    plans: { plan1: { name: 'Running', sessions: 2, activities: [{ text: 'Easy run', isRest: false }, { text: 'Intervals', isRest: false }] } },
+    trackingData: { plan1: { grid: [{ row: [1, 0] }, { row: [3, 0] }], currentCycleIndex: 1, highestCycleIndex: 1, planHistory: {} } },
+  });
+  render(<App backend={backend} />);
+  fireEvent.dragStart(screen.getByLabelText('Drag session 2'));
+  fireEvent.drop(screen.getByDisplayValue('Easy run'));
+  fireEvent.click(screen.getByLabelText('Insert session after 2'));
+  fireEvent.click(screen.getByText('Save Plan'));
+  expect(await screen.findByText('Plan saved successfully!')).toBeInTheDocument();
+
+  const store = backend.getStore();
+  const plan = await store.getPlan('plan1');
+  expect(plan.activities.map(a => a.text)).toEqual(['Intervals', 'Easy run', 'Free']);
+  expect(plan.activities.slice(0, 2).map(a => a.id)).toEqual(['s1', 's0']);
+  const tracking = await store.getTracking('plan1');
+  expect(tracking.planHistory[1].activities.map(a => a.text)).toEqual(['Easy run', 'Intervals']);
+
+  fireEvent.click(screen.getByText('Tracking'));
+  const firstRow = screen.getAllByRole('row')[1];
+  expect(within(firstRow).getByText('Intervals')).toBeInTheDocument();
+  expect(within(firstRow).getByLabelText('Session 1, Cycle 1: Missed')).toHaveClass('bg-pink-300');
+});
+
+test('a guest can create an account and sign out again from the account page', async () => {
+  const memory = seededBackend();
+  const listeners = new Set();
+  let current = { uid: 'local-user', isAnonymous: true, email: null, providers: [] };
+  const setAccount = (next) => {
+    current = next;
+    listeners.forEach(callback => callback(next.uid, next));
+    return next;
+  };
+  const backend = {
+    ...memory,
+    supportsAccounts: true,
+    oauthProviders: ['google.com'],
+    onUserChanged: (callback) => {
+      listeners.add(callback);
+      callback(current.uid, current);
+      return () => listeners.delete(callback);
+    },
+    createAccount: async (email) => setAccount({ ...current, isAnonymous: false, email, providers: ['password'] }),
+    signOut: async () => setAccount({ uid: 'guest-2', isAnonymous: true, email: null, providers: [] }),
+  };
+  render(<App backend={backend} />);
+  fireEvent.click(screen.getByLabelText('Account'));
+  fireEvent.change(screen.getByLabelText('Email'), { target: { value: 'me@example.com' } });
+  fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'secret1' } });
+  fireEvent.click(screen.getByText('Create Account'));
+  expect(await screen.findByText('Account created. Your plans are now saved to it.')).toBeInTheDocument();
+  expect(screen.getByText('me@example.com')).toBeInTheDocument();
+  expect(screen.getByText('Sign-in methods: Email & password')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Running' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Sign Out'));
+  expect(await screen.findByText('Create Account')).toBeInTheDocument();
+});
+
+test('publishes a plan without tracking and imports it from its share code', async () => {
+  const backend = seededBackend();
+  const store = backend.getStore();
+  await store.saveTracking('plan1', { grid: [{ row: [1] }], currentCycleIndex: 0 });
+  render(<App backend={backend} />);
+  fireEvent.click(screen.getByText('Publish'));
+  const code = (await screen.findByText(/^[A-Z2-9]{8}$/)).textContent;
+  const shared = await store.getSharedPlan(code);
+  expect(shared.name).toBe('Running');
+  expect(JSON.stringify(shared)).not.toMatch(/grid|row/);
+
+  fireEvent.click(screen.getByText('New Plan'));
+  fireEvent.change(screen.getByPlaceholderText('Share code or link'), { target: { value: `https://example.com/#/shared/${code}` } });
+  fireEvent.click(screen.getByText('Open'));
+  expect(await screen.findByText('Shared plan · 2 sessions · read-only')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Import as New Plan'));
+  await waitFor(() => expect(screen.queryByRole('dialog')).not.toBeInTheDocument());
+  const plans = await new Promise(resolve => store.subscribePlans(resolve)());
+  const imported = plans.find(p => p.id !== 'plan1');
+  expect(imported.name).toBe('Running');
+  expect(await store.getTracking(imported.id)).toEqual({ grid: [], currentCycleIndex: 0, highestCycleIndex: 0, planHistory: {} });
+});
+
+test('shows queued changes while offline and reports failed syncs', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const syncStatus = createSyncTracker();
+  render(<App backend={{ ...seededBackend(), syncStatus }} />);
+  const setOnline = (isOnline) => act(() => {
+    jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(isOnline);
+    window.dispatchEvent(new Event(isOnline ? 'online' : 'offline'));
+  });
+
+  setOnline(false);
+  expect(screen.getByText('Offline')).toBeInTheDocument();
+  let acknowledge;
+  act(() => { syncStatus.track(new Promise(resolve => { acknowledge = resolve; })); });
+  expect(screen.getByText('Offline · 1 change waiting to sync')).toBeInTheDocument();
+
+  setOnline(true);
+  expect(screen.getByText('Syncing 1 change…')).toBeInTheDocument();
+  act(() => acknowledge());
+  await waitFor(() => expect(screen.queryByText(/Syncing/)).not.toBeInTheDocument());
+
+  act(() => { syncStatus.track(Promise.reject(new Error('permission-denied'))).catch(() => {}); });
+  expect(await screen.findByText('1 change failed to sync')).toBeInTheDocument();
+  fireEvent.click(screen.getByLabelText('Dismiss sync error'));
+  expect(screen.queryByText('1 change failed to sync')).not.toBeInTheDocument();
+  jest.restoreAllMocks();
+});
+
+test('follows hash routes and keeps them in sync with navigation and history', async () => {
+  window.history.replaceState(null, '', '/pasta-app/#/plans/plan2/tracking');
+  const backend = createMemoryBackend({
+    plans: {
+      plan1: { name: 'Running', sessions: 1, activities: [{ text: 'Easy run', isRest: false }] },
+      plan2: { name: 'Cycling', sessions: 1, activities: [{ text: 'Hill ride', isRest: false }] },
+    },
+    trackingData: {
+      plan1: { grid: [{ row: [] }], currentCycleIndex: 0, highestCycleIndex: 0, planHistory: {} },
+      plan2: { grid: [{ row: [] }], currentCycleIndex: 0, highestCycleIndex: 0, planHistory: {} },
+    },
+  });
+  render(<App backend={backend} />);
+  expect(await screen.findByText('Next Cycle')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Cycling' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Plan'));
+  expect(window.location.pathname).toBe('/pasta-app/');
+  expect(window.location.hash).toBe('#/plans/plan2/edit');
+  expect(screen.getByDisplayValue('Hill ride')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Cycling' }));
+  fireEvent.click(screen.getByRole('option', { name: 'Running' }));
+  expect(window.location.hash).toBe('#/plans/plan1/edit');
+  expect(screen.getByDisplayValue('Easy run')).toBeInTheDocument();
+
+  act(() => window.history.back());
+  expect(await screen.findByDisplayValue('Hill ride')).toBeInTheDocument();
+  act(() => window.history.back());
+  expect(await screen.findByText('Next Cycle')).toBeInTheDocument();
+});
+
+test('replaces an unknown plan id with the first plan', async () => {
+  window.history.replaceState(null, '', '/#/plans/missing/stats');
+  render(<App backend={seededBackend()} />);
+  await waitFor(() => expect(window.location.hash).toBe('#/plans/plan1/stats'));
+});
+
+test('a tap on a cell changed elsewhere is refused and explained', async () => {
+  const memory = seededBackend();
+  const store = memory.getStore();
+  // Snapshots from this store lag behind: only the first value ever arrives.
+  const laggingStore = { ...store, subscribeTracking: (planId, onNext) => store.subscribeTracking(planId, (data) => { onNext(data); onNext = () => {}; }) };
+  render(<App backend={{ ...memory, getStore: () => laggingStore }} />);
+  fireEvent.click(screen.getByText('Tracking'));
+  const cell = await screen.findByLabelText('Session 1, Cycle 1: None');
+  await act(() => store.saveTracking('plan1', { grid: [{ id: 's0', row: [2] }, { id: 's1', row: [] }] }, { merge: true }));
+  expect(screen.getByLabelText('Session 1, Cycle 1: None')).toBe(cell);
+  fireEvent.click(cell);
+  expect(await screen.findByText(/This session was updated on another device or tab/)).toBeInTheDocument();
+  expect((await store.getTracking('plan1')).grid[0].row).toEqual([2]);
+});
+
+test('backup files that cannot be restored are explained in the chosen language', async () => {
+  render(<App backend={seededBackend()} />);
+  fireEvent.change(screen.getByLabelText('Language'), { target: { value: 'fr' } });
+  const backup = { format: 'pasta-backup', version: 1, plans: [{ plan: { name: 'Vide', sessions: 0 } }] };
+  fireEvent.change(screen.getByLabelText('Importer un JSON'), { target: { files: [new File([JSON.stringify(backup)], 'b.json', { type: 'application/json' })] } });
+  expect(await screen.findByText("Plan 1 (Vide) : le plan n'a aucune séance.")).toBeInTheDocument();
+  window.localStorage.removeItem('pasta:locale');
+});
+
+test('switches the interface to French and remembers the choice', async () => {
+  const backend = seededBackend();
+  const { unmount } = render(<App backend={backend} />);
+  fireEvent.change(screen.getByLabelText('Language'), { target: { value: 'fr' } });
+  expect(screen.getByText('Longueur du cycle')).toBeInTheDocument();
+  expect(screen.getByText('est une Autre Application de Suivi Sportif')).toBeInTheDocument();
+  expect(document.documentElement.lang).toBe('fr');
+
+  fireEvent.click(screen.getByText('Suivi'));
+  expect(await screen.findByText('Prochain cycle')).toBeInTheDocument();
+  expect(screen.getByLabelText('Séance 1, cycle 1 : Aucun')).toBeInTheDocument();
+  expect(screen.getByText('Fait')).toBeInTheDocument();
+
+  unmount();
+  render(<App backend={backend} />);
+  expect(screen.getByLabelText('Langue')).toHaveValue('fr');
+  fireEvent.change(screen.getByLabelText('Langue'), { target: { value: 'en' } });
+  expect(screen.getByText('Next Cycle')).toBeInTheDocument();
+  window.localStorage.removeItem('pasta:locale');
 });
@@ -0,0 +1,35 @@
+import { collectBackupEntries, restoreBackup } from './backup';
+import { defaultI18n } from './i18n';
+
+// --- Account Helpers ---
+
+const PROVIDER_KEYS = { password: 'password', 'google.com': 'google' };
+
+export const describeProvider = (providerId, { t } = defaultI18n) => (PROVIDER_KEYS[providerId] ? t(`account.providers.${PROVIDER_KEYS[providerId]}`) : providerId);
+
+const AUTH_ERROR_KEYS = {
+    'auth/invalid-email': 'invalidEmail',
+    'auth/missing-password': 'missingPassword',
+    'auth/weak-password': 'weakPassword',
+    'auth/email-already-in-use': 'emailInUse',
+    'auth/credential-already-in-use': 'credentialInUse',
+    'auth/provider-already-linked': 'providerLinked',
+    'auth/invalid-credential': 'wrongCredentials',
+    'auth/wrong-password': 'wrongCredentials',
+    'auth/user-not-found': 'wrongCredentials',
+    'auth/too-many-requests': 'tooManyRequests',
+    'auth/popup-closed-by-user': 'popupClosed',
+    'auth/network-request-failed': 'network',
+};
+
+export const describeAuthError = (error, { t } = defaultI18n) => t(`account.errors.${AUTH_ERROR_KEYS[error?.code] ?? 'unknown'}`);
+
+// Signing in to an existing account leaves the guest's plans behind under the guest's
+// uid, which the account cannot read. So `plans` are read first, then `signIn` runs,
+// then they are copied into the account as new plans. Resolves to the signed-in account.
+export const signInKeepingPlans = async ({ backend, store, uid, plans }, signIn) => {
+    const entries = plans.length > 0 ? await collectBackupEntries(store, plans) : [];
+    const account = await signIn();
+    if (account.uid !== uid && entries.length > 0) await restoreBackup(backend.getStore(account.uid), entries, 'new');
+    return account;
+};
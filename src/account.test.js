@@ -0,0 +1,26 @@
+import { describeAuthError, signInKeepingPlans } from './account';
+import { createMemoryStore } from './storage/memoryStore';
+
+test('maps Firebase auth error codes to readable messages', () => {
+  expect(describeAuthError({ code: 'auth/email-already-in-use' })).toBe('An account already exists for this email. Sign in instead.');
+  expect(describeAuthError({ code: 'auth/unknown' })).toBe('Something went wrong. Please try again.');
+  expect(describeAuthError(null)).toBe('Something went wrong. Please try again.');
+});
+
+test('reads the guest\'s plans before signing in and copies them into the account', async () => {
+  const guest = createMemoryStore({
+    plans: { a: { name: 'Run', sessions: 1, activities: [{ text: 'Jog' }] } },
+    trackingData: { a: { grid: [{ row: [1] }], currentCycleIndex: 0 } },
+  });
+  const account = createMemoryStore();
+  const backend = { getStore: (uid) => (uid === 'member' ? account : guest) };
+  const plans = await new Promise(resolve => guest.subscribePlans(resolve)());
+  const signIn = async () => {
+    await guest.deletePlan('a');
+    return { uid: 'member' };
+  };
+  expect(await signInKeepingPlans({ backend, store: guest, uid: 'guest', plans }, signIn)).toEqual({ uid: 'member' });
+  const [copied] = await new Promise(resolve => account.subscribePlans(resolve)());
+  expect(copied.name).toBe('Run');
+  expect((await account.getTracking(copied.id)).grid[0].row).toEqual([1]);
+});
@@ -0,0 +1,20 @@
+import { sanitizePlanData, sanitizeTrackingData } from './plan';
+import { getTrackedSessions } from './stats';
+import { evaluateGoals } from './goals';
+
+// --- Achievements ---
+// Called by every update that writes tracking data, on the documents it is about to
+// write, so a badge is recorded in the same write as the change that earned it (and
+// undoing that change takes it back). Goals already recorded are left as they are.
+export const recordAchievements = (rawPlan, rawTracking, now = new Date()) => {
+    if (!rawTracking || !rawPlan?.goals) return rawTracking;
+    const plan = sanitizePlanData(rawPlan);
+    if (!plan.goals) return rawTracking;
+    const trackingData = sanitizeTrackingData(rawTracking);
+    const earned = {};
+    evaluateGoals(plan.goals, getTrackedSessions(plan, trackingData), trackingData.currentCycleIndex).forEach(({ key, type, target, achievedCycle }) => {
+        if (achievedCycle === null || trackingData.achievements[key]) return;
+        earned[key] = { type, target, cycle: achievedCycle, at: now.toISOString() };
+    });
+    return Object.keys(earned).length > 0 ? { ...rawTracking, achievements: { ...rawTracking.achievements, ...earned } } : rawTracking;
+};
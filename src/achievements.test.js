@@ -0,0 +1,26 @@
+import { recordAchievements } from './achievements';
+import { cycleStatus } from './trackingUpdates';
+import { savePlanVersion } from './planVersions';
+import { createMemoryStore } from './storage/memoryStore';
+
+const plan = { name: 'Run', sessions: 2, activities: [{ id: 'a', text: 'Run' }, { id: 'b', text: 'Bike' }], goals: [{ type: 'cycles', target: 1 }] };
+const tracking = { grid: [{ id: 'a', row: [1] }, { id: 'b', row: [0] }], currentCycleIndex: 0, highestCycleIndex: 0, planHistory: {} };
+const now = new Date('2024-03-01T10:00:00.000Z');
+
+test('records goals met once, with the cycle they were met in', () => {
+  expect(recordAchievements(plan, tracking, now)).toBe(tracking);
+  const done = { ...tracking, grid: [{ id: 'a', row: [1] }, { id: 'b', row: [3] }] };
+  const recorded = recordAchievements(plan, done, now);
+  expect(recorded.achievements).toEqual({ 'cycles-1': { type: 'cycles', target: 1, cycle: 0, at: now.toISOString() } });
+  expect(recordAchievements(plan, recorded, new Date())).toBe(recorded);
+  expect(recordAchievements({ ...plan, goals: undefined }, done, now)).toBe(done);
+});
+
+test('the tap that meets a goal records it, and badges outlive the goal', async () => {
+  const store = createMemoryStore({ plans: { p: plan }, trackingData: { p: tracking } });
+  await store.runTransaction('p', cycleStatus({ sessionId: 'b', sessionIndex: 1, cycle: 0, expected: 0 }));
+  expect(Object.keys((await store.getTracking('p')).achievements)).toEqual(['cycles-1']);
+
+  await savePlanVersion(store, 'p', { ...plan, goals: [{ type: 'cycles', target: 5 }] });
+  expect(Object.keys((await store.getTracking('p')).achievements)).toEqual(['cycles-1']);
+});
@@ -0,0 +1,42 @@
+import { sanitizeSessionId } from './sessions';
+import { MAX_STATUSES } from './statusScale';
+
+// --- Tracking Audit Log ---
+// Status changes made to a cycle before the current one are backfills. Each one
+// is kept in trackingData.auditLog, keyed by entry id, with the old and new value.
+// `session` is the position the session had when it was edited, `sessionId` its identity.
+
+const toIndex = (x, max = 1000) => {
+    const n = Number(x);
+    return Number.isInteger(n) && n >= 0 ? Math.min(n, max) : 0;
+};
+
+export const sanitizeAuditLog = (raw) => {
+    const log = {};
+    for (const id of Object.keys(raw && typeof raw === 'object' ? raw : {})) {
+        const e = raw[id];
+        if (!e || typeof e !== 'object' || typeof e.at !== 'string') continue;
+        log[id] = {
+            at: e.at,
+            session: toIndex(e.session),
+            sessionId: sanitizeSessionId(e.sessionId, toIndex(e.session)),
+            cycle: toIndex(e.cycle),
+            from: toIndex(e.from, MAX_STATUSES),
+            to: toIndex(e.to, MAX_STATUSES),
+            currentCycleIndex: toIndex(e.currentCycleIndex),
+        };
+    }
+    return log;
+};
+
+export const createAuditEntry = ({ session, sessionId, cycle, from, to, currentCycleIndex }, now = new Date()) => {
+    const id = `${now.getTime().toString(36)}-${session}-${cycle}`;
+    return [id, { at: now.toISOString(), session, sessionId, cycle, from, to, currentCycleIndex }];
+};
+
+export const listAuditEntries = (auditLog = {}) => Object.entries(auditLog)
+    .map(([id, e]) => ({ id, ...e }))
+    .sort((a, b) => b.at.localeCompare(a.at));
+
+export const isBackfilled = (auditLog = {}, sessionId, cycle) => Object.values(auditLog).some(e => e.sessionId === sessionId && e.cycle === cycle);
+
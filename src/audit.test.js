@@ -0,0 +1,21 @@
+import { createAuditEntry, sanitizeAuditLog, listAuditEntries, isBackfilled } from './audit';
+
+test('entries keep old value, new value and timestamp', () => {
+  const [id, entry] = createAuditEntry({ session: 2, sessionId: 'abc', cycle: 1, from: 0, to: 1, currentCycleIndex: 4 }, new Date('2024-03-01T09:00:00Z'));
+  expect(id).toMatch(/-2-1$/);
+  expect(entry).toEqual({ at: '2024-03-01T09:00:00.000Z', session: 2, sessionId: 'abc', cycle: 1, from: 0, to: 1, currentCycleIndex: 4 });
+});
+
+test('sanitizes entries and lists newest first', () => {
+  const log = sanitizeAuditLog({
+    a: { at: '2024-03-01T09:00:00Z', session: 0, cycle: 0, from: 0, to: 12 },
+    b: { at: '2024-03-02T09:00:00Z', session: 1, cycle: 0, from: 1, to: 2 },
+    bad: { session: 1 },
+  });
+  expect(Object.keys(log)).toEqual(['a', 'b']);
+  expect(log.a.to).toBe(10);
+  expect(listAuditEntries(log).map(e => e.id)).toEqual(['b', 'a']);
+  expect(log.b.sessionId).toBe('s1');
+  expect(isBackfilled(log, 's1', 0)).toBe(true);
+  expect(isBackfilled(log, 's1', 1)).toBe(false);
+});
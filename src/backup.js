@@ -0,0 +1,135 @@
+import { toSafeInt, sanitizePlanData, sanitizeTrackingData, getPlanForCycle, getSessionsForCycle } from './plan';
+import { getCycleDates, toDateKey } from './schedule';
+import { getSessionLog } from './sessionLog';
+import { findGridRow, getSessionStatus } from './sessions';
+import { getStatusScale, getStatusLabel } from './statusScale';
+
+// --- Backup & Restore ---
+// A backup is one JSON file holding every plan with its tracking document.
+// The CSV export is a flat, read-only view for spreadsheets.
+
+export const BACKUP_FORMAT = 'pasta-backup';
+export const BACKUP_VERSION = 1;
+
+export const collectBackupEntries = (store, plans) => Promise.all(plans.map(async (p) => ({
+    id: p.id,
+    plan: sanitizePlanData(p),
+    trackingData: sanitizeTrackingData(await store.getTracking(p.id)),
+})));
+
+export const buildBackup = (entries, exportedAt = new Date()) => ({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    plans: entries.map(({ id, plan, trackingData }) => ({ id, plan, trackingData })),
+});
+
+const csvField = (value) => {
+    const text = String(value ?? '');
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const CSV_COLUMNS = ['plan_id', 'plan_name', 'cycle', 'session', 'date', 'activity', 'rest', 'status', 'duration_min', 'distance_km', 'rpe', 'heart_rate', 'notes'];
+
+export const buildBackupCsv = (entries) => {
+    const rows = [CSV_COLUMNS];
+    entries.forEach(({ id, plan, trackingData }) => {
+        const { grid, planHistory, highestCycleIndex } = trackingData;
+        const sessionsForCycle = getSessionsForCycle(plan, planHistory);
+        for (let cycle = 0; cycle <= highestCycleIndex; cycle++) {
+            const cyclePlan = getPlanForCycle(cycle, plan, planHistory);
+            const scale = getStatusScale(cyclePlan);
+            const dates = plan.schedule ? getCycleDates(plan.schedule, cycle, sessionsForCycle).sessionDates : [];
+            cyclePlan.activities.forEach((activity, session) => {
+                const status = getSessionStatus(grid, activity.id, cycle);
+                const log = getSessionLog(grid, activity.id, cycle) || {};
+                rows.push([id, plan.name, cycle + 1, session + 1, dates[session] ? toDateKey(dates[session]) : '', activity.text, activity.isRest ? 'yes' : 'no', getStatusLabel(scale, status).toLowerCase(), log.duration, log.distance, log.rpe, log.heartRate, log.notes]);
+            });
+        }
+    });
+    return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+};
+
+// Returns the records that passed validation plus an error per rejected record. An
+// error's `code` names its message under backup.errors.* in the catalogs; errors about
+// one plan carry its position `n` and, when it has one, its `name`.
+export const parseBackup = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        return { records: [], errors: [{ code: 'invalidJson', params: {} }] };
+    }
+    if (data?.format !== BACKUP_FORMAT || !Array.isArray(data.plans)) {
+        return { records: [], errors: [{ code: 'notBackup', params: {} }] };
+    }
+    if (toSafeInt(data.version) > BACKUP_VERSION) {
+        return { records: [], errors: [{ code: 'newerVersion', params: { version: String(data.version) } }] };
+    }
+
+    const records = [];
+    const errors = [];
+    data.plans.forEach((entry, i) => {
+        const planError = (code) => errors.push({ code, params: { n: i + 1, name: typeof entry?.plan?.name === 'string' ? entry.plan.name : null } });
+        if (!entry || typeof entry.plan !== 'object' || entry.plan === null) {
+            planError('missingPlan');
+            return;
+        }
+        const plan = sanitizePlanData(entry.plan);
+        if (plan.sessions < 1) {
+            planError('noSessions');
+            return;
+        }
+        if (entry.trackingData !== undefined && (typeof entry.trackingData !== 'object' || entry.trackingData === null)) {
+            planError('malformedTracking');
+            return;
+        }
+        records.push({
+            sourceId: typeof entry.id === 'string' ? entry.id : null,
+            plan,
+            trackingData: sanitizeTrackingData(entry.trackingData),
+        });
+    });
+    return { records, errors };
+};
+
+// Rows are matched by session id. Cells already logged locally win; imported results only fill the blanks.
+export const mergeTrackingData = (existing, imported) => {
+    const ids = [...new Set([...existing.grid, ...imported.grid].map(item => item.id))];
+    const grid = ids.map(id => {
+        const ours = findGridRow(existing.grid, id);
+        const theirs = findGridRow(imported.grid, id);
+        const ourRow = ours?.row ?? [];
+        const theirRow = theirs?.row ?? [];
+        const row = Array.from({ length: Math.max(ourRow.length, theirRow.length) }, (_, cycle) => ourRow[cycle] || theirRow[cycle] || 0);
+        const logs = { ...theirs?.logs, ...ours?.logs };
+        return Object.keys(logs).length > 0 ? { id, row, logs } : { id, row };
+    });
+    return {
+        grid,
+        currentCycleIndex: Math.max(existing.currentCycleIndex, imported.currentCycleIndex),
+        highestCycleIndex: Math.max(existing.highestCycleIndex, imported.highestCycleIndex),
+        planHistory: { ...imported.planHistory, ...existing.planHistory },
+        planVersions: { ...imported.planVersions, ...existing.planVersions },
+        auditLog: { ...imported.auditLog, ...existing.auditLog },
+        achievements: { ...imported.achievements, ...existing.achievements },
+    };
+};
+
+// mode 'merge' folds records into the plan they were exported from when it still exists;
+// mode 'new' (and unmatched records) restores each record as a brand-new plan.
+export const restoreBackup = async (store, records, mode, existingPlanIds = []) => {
+    const result = { created: 0, merged: 0 };
+    for (const record of records) {
+        if (mode === 'merge' && record.sourceId && existingPlanIds.includes(record.sourceId)) {
+            await store.runTransaction(record.sourceId, ({ trackingData }) => ({
+                trackingData: mergeTrackingData(sanitizeTrackingData(trackingData), record.trackingData),
+            }));
+            result.merged++;
+        } else {
+            await store.createPlan(record.plan, record.trackingData);
+            result.created++;
+        }
+    }
+    return result;
+};
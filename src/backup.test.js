@@ -0,0 +1,60 @@
+import { buildBackup, buildBackupCsv, parseBackup, mergeTrackingData, restoreBackup } from './backup';
+import { sanitizePlanData, sanitizeTrackingData } from './plan';
+import { createMemoryStore } from './storage/memoryStore';
+
+const entry = {
+  id: 'p1',
+  plan: sanitizePlanData({ name: 'Run, walk', sessions: 2, activities: [{ text: 'Intervals' }, { isRest: true }] }),
+  trackingData: sanitizeTrackingData({ grid: [{ row: [1, 3], logs: { 0: { duration: 30, notes: 'felt "good"' } } }, { row: [] }], currentCycleIndex: 1, highestCycleIndex: 1 }),
+};
+
+test('JSON backups round-trip through parseBackup', () => {
+  const { records, errors } = parseBackup(JSON.stringify(buildBackup([entry])));
+  expect(errors).toEqual([]);
+  expect(records).toEqual([{ sourceId: 'p1', plan: entry.plan, trackingData: entry.trackingData }]);
+});
+
+test('CSV has one row per plan, cycle and session', () => {
+  const lines = buildBackupCsv([entry]).trim().split('\r\n');
+  expect(lines[0]).toBe('plan_id,plan_name,cycle,session,date,activity,rest,status,duration_min,distance_km,rpe,heart_rate,notes');
+  expect(lines.slice(1)).toEqual([
+    'p1,"Run, walk",1,1,,Intervals,no,done,30,,,,"felt ""good"""',
+    'p1,"Run, walk",1,2,,,yes,none,,,,,',
+    'p1,"Run, walk",2,1,,Intervals,no,missed,,,,,',
+    'p1,"Run, walk",2,2,,,yes,none,,,,,',
+  ]);
+});
+
+test('parseBackup reports bad records and keeps the good ones', () => {
+  const text = JSON.stringify({ format: 'pasta-backup', version: 1, plans: [entry, { plan: { name: 'Empty', sessions: 0 } }, { id: 'x' }] });
+  const { records, errors } = parseBackup(text);
+  expect(records).toHaveLength(1);
+  expect(errors).toEqual([{ code: 'noSessions', params: { n: 2, name: 'Empty' } }, { code: 'missingPlan', params: { n: 3, name: null } }]);
+  expect(parseBackup('nope').errors).toEqual([{ code: 'invalidJson', params: {} }]);
+  expect(parseBackup('{"format":"other"}').errors).toEqual([{ code: 'notBackup', params: {} }]);
+});
+
+test('merging keeps local results and fills blanks from the backup', () => {
+  const existing = sanitizeTrackingData({ grid: [{ row: [2, 0] }], currentCycleIndex: 1, highestCycleIndex: 1 });
+  const imported = sanitizeTrackingData({ grid: [{ row: [1, 1, 3] }, { row: [1] }], currentCycleIndex: 2, highestCycleIndex: 2 });
+  const merged = mergeTrackingData(existing, imported);
+  expect(merged.grid).toEqual([{ id: 's0', row: [2, 1, 3] }, { id: 's1', row: [1] }]);
+  expect(merged.currentCycleIndex).toBe(2);
+});
+
+test('merging keeps the achievements log of both sides, local entries first', () => {
+  const earned = (at) => ({ type: 'cycles', target: 1, cycle: 0, at });
+  const existing = sanitizeTrackingData({ grid: [], achievements: { 'cycles-1': earned('2024-03-02T10:00:00.000Z') } });
+  const imported = sanitizeTrackingData({ grid: [], achievements: { 'cycles-1': earned('2024-03-01T10:00:00.000Z'), 'cleanCycles-2': { type: 'cleanCycles', target: 2, cycle: 1, at: '2024-03-01T10:00:00.000Z' } } });
+  expect(mergeTrackingData(existing, imported).achievements).toEqual({
+    'cycles-1': earned('2024-03-02T10:00:00.000Z'),
+    'cleanCycles-2': { type: 'cleanCycles', target: 2, cycle: 1, at: '2024-03-01T10:00:00.000Z' },
+  });
+});
+
+test('restoreBackup merges matching plans and creates the rest', async () => {
+  const store = createMemoryStore({ plans: { p1: entry.plan }, trackingData: { p1: { grid: [] } } });
+  const records = parseBackup(JSON.stringify(buildBackup([entry, { ...entry, id: 'gone' }]))).records;
+  expect(await restoreBackup(store, records, 'merge', ['p1'])).toEqual({ created: 1, merged: 1 });
+  expect((await store.getTracking('p1')).grid[0].row).toEqual([1, 3]);
+});
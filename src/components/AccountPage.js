@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { describeProvider, describeAuthError, signInKeepingPlans } from '../account';
+import useI18n from '../hooks/useI18n';
+
+// --- Account Page ---
+const AccountPage = ({ backend, account, store, plans }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [keepGuestPlans, setKeepGuestPlans] = useState(true);
+    const [isBusy, setIsBusy] = useState(false);
+    const [status, setStatus] = useState({ message: '', type: '' });
+
+    const cardClass = 'bg-white/80 backdrop-blur-sm p-4 rounded-2xl shadow-lg space-y-3';
+    const inputClass = 'w-full px-4 py-2 bg-zinc-100 border-2 border-transparent rounded-lg focus:outline-none focus:ring-2 focus:ring-pink-500 focus:border-transparent transition';
+
+    if (!backend.supportsAccounts) {
+        return (
+            <div className="p-4 md:p-6">
+                <div className={cardClass}>
+                    <h2 className="text-xl font-bold text-zinc-800">{t('account.title')}</h2>
+                    <p className="text-zinc-600">{t('account.localOnly')}</p>
+                </div>
+            </div>
+        );
+    }
+
+    const run = async (action, successMessage) => {
+        setIsBusy(true);
+        setStatus({ message: '', type: '' });
+        try {
+            await action();
+            setPassword('');
+            setStatus({ message: successMessage, type: 'success' });
+        } catch (error) {
+            console.error("Account action failed:", error);
+            setStatus({ message: describeAuthError(error, i18n), type: 'error' });
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    // Creating an account or linking a provider keeps the guest's uid, so nothing needs
+    // copying. Signing in to another account does, when the guest asked for it.
+    const switchAccount = (signIn) => signInKeepingPlans({ backend, store, uid: account.uid, plans: keepGuestPlans ? plans : [] }, signIn);
+
+    const handleCreateAccount = (e) => {
+        e.preventDefault();
+        run(() => backend.createAccount(email, password), t('account.created'));
+    };
+    const handleSignIn = () => run(() => switchAccount(() => backend.signInWithEmail(email, password)), t('account.signedIn'));
+    const handleProvider = (providerId) => run(() => switchAccount(() => backend.signInWithProvider(providerId)), t('account.signedIn'));
+    const handleSignOut = () => run(() => backend.signOut(), t('account.signedOut'));
+
+    return (
+        <div className="p-4 md:p-6 space-y-6">
+            {account?.isAnonymous ? (
+                <form onSubmit={handleCreateAccount} className={cardClass}>
+                    <h2 className="text-xl font-bold text-zinc-800">{t('account.title')}</h2>
+                    <p className="text-zinc-600">{t('account.guestIntro')}</p>
+                    <label className="block text-sm font-semibold text-zinc-600">{t('account.email')}
+                        <input type="email" autoComplete="email" value={email} onChange={(e) => setEmail(e.target.value)} className={inputClass} />
+                    </label>
+                    <label className="block text-sm font-semibold text-zinc-600">{t('account.password')}
+                        <input type="password" autoComplete="current-password" value={password} onChange={(e) => setPassword(e.target.value)} className={inputClass} />
+                    </label>
+                    <div className="flex flex-wrap gap-2">
+                        <button type="submit" disabled={isBusy} className="bg-pink-500 text-white font-bold py-2 px-4 rounded-full hover:bg-pink-600 transition disabled:opacity-50">{t('account.create')}</button>
+                        <button type="button" onClick={handleSignIn} disabled={isBusy} className="bg-zinc-200 text-zinc-700 font-bold py-2 px-4 rounded-full hover:bg-zinc-300 transition disabled:opacity-50">{t('account.signIn')}</button>
+                        {(backend.oauthProviders || []).map(providerId => (
+                            <button key={providerId} type="button" onClick={() => handleProvider(providerId)} disabled={isBusy} className="bg-white border-2 border-zinc-200 text-zinc-700 font-bold py-2 px-4 rounded-full hover:bg-zinc-50 transition disabled:opacity-50">{t('account.continueWith', { provider: describeProvider(providerId, i18n) })}</button>
+                        ))}
+                    </div>
+                    {plans.length > 0 && (
+                        <label className="flex items-center gap-2 text-sm text-zinc-600">
+                            <input type="checkbox" checked={keepGuestPlans} onChange={(e) => setKeepGuestPlans(e.target.checked)} />
+                            {t('account.keepPlans', { count: plans.length })}
+                        </label>
+                    )}
+                </form>
+            ) : (
+                <div className={cardClass}>
+                    <h2 className="text-xl font-bold text-zinc-800">{t('account.title')}</h2>
+                    <p className="text-zinc-600">{t('account.signedInAs')} <span className="font-bold">{account?.email ?? t('account.unknownEmail')}</span></p>
+                    <p className="text-sm text-zinc-500">{t('account.methods', { methods: (account?.providers || []).map(p => describeProvider(p, i18n)).join(', ') || '—' })}</p>
+                    <button onClick={handleSignOut} disabled={isBusy} className="bg-zinc-200 text-zinc-700 font-bold py-2 px-4 rounded-full hover:bg-zinc-300 transition disabled:opacity-50">{t('account.signOut')}</button>
+                </div>
+            )}
+            {status.message && <div role="status" className={`p-3 rounded-xl text-center font-semibold text-white ${status.type === 'success' ? 'bg-green-500' : 'bg-pink-500'}`}>{status.message}</div>}
+        </div>
+    );
+};
+
+export default AccountPage;
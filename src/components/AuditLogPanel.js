@@ -0,0 +1,39 @@
+import React from 'react';
+import { getPlanForCycle } from '../plan';
+import { getStatusScale, getStatusLabel } from '../statusScale';
+import { listAuditEntries } from '../audit';
+import useI18n from '../hooks/useI18n';
+
+// --- Backfill Audit Log ---
+const AuditLogPanel = ({ plan, trackingData }) => {
+    const i18n = useI18n();
+    const { t, formatDate } = i18n;
+    const entries = listAuditEntries(trackingData?.auditLog);
+    if (entries.length === 0) return null;
+
+    return (
+        <div className="p-4 bg-white/80 backdrop-blur-sm rounded-2xl shadow-lg mt-6">
+            <h3 className="font-bold text-xl mb-4 text-zinc-700">{t('audit.title')}</h3>
+            <ul className="space-y-2">
+                {entries.map(entry => {
+                    const cyclePlan = getPlanForCycle(entry.cycle, plan, trackingData.planHistory);
+                    const activity = cyclePlan.activities.find(a => a.id === entry.sessionId);
+                    const scale = getStatusScale(cyclePlan, i18n);
+                    const formatStatus = (status) => getStatusLabel(scale, status, i18n);
+                    return (
+                        <li key={entry.id} className="text-sm">
+                            <div className="font-semibold text-zinc-700">
+                                {t('audit.entry', { cycle: entry.cycle + 1, session: entry.session + 1, activity: activity?.text || '', from: formatStatus(entry.from), to: formatStatus(entry.to) })}
+                            </div>
+                            <div className="text-xs text-zinc-500">
+                                {t('audit.backfilled', { date: formatDate(new Date(entry.at), { dateStyle: 'medium', timeStyle: 'short' }), cycle: entry.currentCycleIndex + 1 })}
+                            </div>
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+};
+
+export default AuditLogPanel;
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { collectBackupEntries, buildBackup, buildBackupCsv, parseBackup, restoreBackup } from '../backup';
+import { downloadFile, readFileAsText } from '../download';
+import useI18n from '../hooks/useI18n';
+
+// --- Backup & Restore Panel ---
+const BackupPanel = ({ store, plans }) => {
+    const { t } = useI18n();
+    const [pending, setPending] = useState(null);
+    const [mode, setMode] = useState('merge');
+    const [status, setStatus] = useState({ message: '', type: '' });
+
+    const dateStamp = () => new Date().toISOString().slice(0, 10);
+    const formatError = ({ code, params }) => {
+        const plan = params.n && t(params.name ? 'backup.errors.namedPlan' : 'backup.errors.plan', params);
+        return t(`backup.errors.${code}`, { ...params, plan });
+    };
+
+    const handleExport = async (format) => {
+        try {
+            const entries = await collectBackupEntries(store, plans);
+            if (format === 'csv') {
+                downloadFile(`pasta-backup-${dateStamp()}.csv`, buildBackupCsv(entries), 'text/csv');
+            } else {
+                downloadFile(`pasta-backup-${dateStamp()}.json`, JSON.stringify(buildBackup(entries), null, 2), 'application/json');
+            }
+        } catch (error) {
+            console.error("Error exporting backup:", error);
+            setStatus({ message: t('backup.exportFailed'), type: 'error' });
+        }
+    };
+
+    const handleFileChosen = async (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (!file) return;
+        setStatus({ message: '', type: '' });
+        try {
+            setPending({ fileName: file.name, ...parseBackup(await readFileAsText(file)) });
+        } catch (error) {
+            console.error("Error reading backup:", error);
+            setStatus({ message: t('backup.readFailed'), type: 'error' });
+        }
+    };
+
+    const handleRestore = async () => {
+        try {
+            const { created, merged } = await restoreBackup(store, pending.records, mode, plans.map(p => p.id));
+            setPending(null);
+            setStatus({ message: t('backup.restored', { created, merged }), type: 'success' });
+            setTimeout(() => setStatus({ message: '', type: '' }), 3000);
+        } catch (error) {
+            console.error("Error restoring backup:", error);
+            setStatus({ message: t('backup.restoreFailed'), type: 'error' });
+        }
+    };
+
+    return (
+        <div className="bg-white/80 backdrop-blur-sm p-4 rounded-2xl shadow-lg space-y-4">
+            <h2 className="text-xl font-bold text-zinc-800">{t('backup.title')}</h2>
+            <div className="flex flex-wrap gap-2">
+                <button onClick={() => handleExport('json')} disabled={plans.length === 0} className="bg-zinc-200 text-zinc-700 font-bold py-2 px-4 rounded-full hover:bg-zinc-300 transition disabled:opacity-50">{t('backup.exportJson')}</button>
+                <button onClick={() => handleExport('csv')} disabled={plans.length === 0} className="bg-zinc-200 text-zinc-700 font-bold py-2 px-4 rounded-full hover:bg-zinc-300 transition disabled:opacity-50">{t('backup.exportCsv')}</button>
+                <label className="bg-zinc-200 text-zinc-700 font-bold py-2 px-4 rounded-full hover:bg-zinc-300 transition cursor-pointer">
+                    {t('backup.importJson')}
+                    <input type="file" accept="application/json,.json" onChange={handleFileChosen} className="sr-only" />
+                </label>
+            </div>
+
+            {pending && (
+                <div className="p-3 bg-zinc-100 rounded-xl space-y-3">
+                    <p className="font-semibold text-zinc-700">{t('backup.ready', { file: pending.fileName, count: pending.records.length })}</p>
+                    {pending.errors.length > 0 && (
+                        <ul className="text-sm text-pink-600 list-disc pl-5">
+                            {pending.errors.map((error, i) => <li key={i}>{formatError(error)}</li>)}
+                        </ul>
+                    )}
+                    {pending.records.length > 0 && (
+                        <>
+                            <div className="flex flex-col gap-1 text-sm font-semibold text-zinc-600">
+                                <label className="flex items-center gap-2"><input type="radio" name="restoreMode" checked={mode === 'merge'} onChange={() => setMode('merge')} />{t('backup.merge')}</label>
+                                <label className="flex items-center gap-2"><input type="radio" name="restoreMode" checked={mode === 'new'} onChange={() => setMode('new')} />{t('backup.asNew')}</label>
+                            </div>
+                            <div className="flex gap-2">
+                                <button onClick={handleRestore} className="bg-green-500 text-white font-bold py-2 px-4 rounded-full hover:bg-green-600 transition">{t('common.restore')}</button>
+                                <button onClick={() => setPending(null)} className="bg-zinc-200 text-zinc-700 font-bold py-2 px-4 rounded-full hover:bg-zinc-300 transition">{t('common.cancel')}</button>
+                            </div>
+                        </>
+                    )}
+                </div>
+            )}
+            {status.message && <div role="status" className={`p-3 rounded-xl text-center font-semibold text-white ${status.type === 'success' ? 'bg-green-500' : 'bg-pink-500'}`}>{status.message}</div>}
+        </div>
+    );
+};
+
+export default BackupPanel;
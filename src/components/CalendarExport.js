@@ -0,0 +1,46 @@
+import React, { useState } from 'react';
+import { sanitizePlanData, sanitizeTrackingData } from '../plan';
+import { buildCalendar } from '../ical';
+import { downloadFile } from '../download';
+import useI18n from '../hooks/useI18n';
+
+// --- Calendar (.ics) Export ---
+// Exports the saved plan, so unsaved edits on the Plan page are not included.
+const CalendarExport = ({ store, planId }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+    const [includeRest, setIncludeRest] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleExport = async () => {
+        setError('');
+        try {
+            const rawPlan = await store.getPlan(planId);
+            const plan = sanitizePlanData(rawPlan, i18n);
+            if (!rawPlan || !plan.schedule) {
+                setError(t('calendar.needsStartDate'));
+                return;
+            }
+            const trackingData = sanitizeTrackingData(await store.getTracking(planId));
+            const calendar = buildCalendar({ planId, plan, trackingData, includeRest, i18n });
+            const fileName = `${plan.name.replace(/[^\w-]+/g, '-').toLowerCase() || 'plan'}.ics`;
+            downloadFile(fileName, calendar, 'text/calendar');
+        } catch (e) {
+            console.error("Error exporting calendar:", e);
+            setError(t('calendar.failed'));
+        }
+    };
+
+    return (
+        <div className="flex flex-wrap items-center justify-between gap-2 pt-2">
+            <label className="flex items-center gap-2 text-sm font-semibold text-zinc-600">
+                <input type="checkbox" checked={includeRest} onChange={(e) => setIncludeRest(e.target.checked)} />
+                {t('calendar.includeRest')}
+            </label>
+            <button onClick={handleExport} className="bg-zinc-200 text-zinc-700 font-bold py-2 px-4 rounded-full hover:bg-zinc-300 transition">{t('calendar.export')}</button>
+            {error && <p className="w-full text-sm font-semibold text-pink-600">{error}</p>}
+        </div>
+    );
+};
+
+export default CalendarExport;
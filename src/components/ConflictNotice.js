@@ -0,0 +1,15 @@
+import React from 'react';
+import useI18n from '../hooks/useI18n';
+
+// --- Notice for changes refused because of a conflicting edit elsewhere ---
+const ConflictNotice = ({ message, onDismiss }) => {
+    const { t } = useI18n();
+    return (
+        <div role="alert" className="fixed top-4 left-1/2 -translate-x-1/2 z-40 w-[calc(100%-2rem)] max-w-md flex items-start gap-3 bg-yellow-100 border-2 border-yellow-300 text-zinc-800 font-semibold py-3 px-4 rounded-2xl shadow-xl">
+            <span className="flex-1">{message}</span>
+            <button onClick={onDismiss} aria-label={t('conflict.dismiss')} className="font-bold text-zinc-500 hover:text-zinc-800">×</button>
+        </div>
+    );
+};
+
+export default ConflictNotice;
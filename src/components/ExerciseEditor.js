@@ -0,0 +1,64 @@
+import React from 'react';
+import { PROGRESSION_FIELDS, sanitizeProgression, describeProgression } from '../progression';
+import useI18n from '../hooks/useI18n';
+
+// --- Exercise Editor ---
+// Edits the raw exercise list of one activity; values are sanitized when the plan is saved.
+const inputClass = 'w-full px-2 py-1 bg-zinc-100 border-2 border-transparent rounded-lg focus:outline-none focus:ring-2 focus:ring-pink-500 focus:border-transparent transition';
+
+const NUMBER_FIELDS = ['sets', 'reps', 'duration', 'load'];
+
+const ExerciseEditor = ({ exercises = [], onChange }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+    const updateExercise = (index, changes) => onChange(exercises.map((exercise, i) => (i === index ? { ...exercise, ...changes } : exercise)));
+    const updateProgression = (index, changes) => {
+        const progression = { field: 'load', amount: '', every: 1, condition: 'always', ...exercises[index].progression, ...changes };
+        updateExercise(index, { progression });
+    };
+    const removeExercise = (index) => onChange(exercises.filter((_, i) => i !== index));
+    const addExercise = () => onChange([...exercises, { name: '', sets: '', reps: '', duration: '', load: '', progression: null }]);
+
+    return (
+        <div className="space-y-3 pl-12 pr-3 pb-3">
+            {exercises.map((exercise, index) => {
+                const progression = exercise.progression || {};
+                const validProgression = sanitizeProgression(progression);
+                return (
+                    <div key={index} className="p-3 bg-zinc-50 rounded-xl space-y-2">
+                        <div className="flex items-center gap-2">
+                            <input type="text" value={exercise.name} onChange={(e) => updateExercise(index, { name: e.target.value })} placeholder={t('exercise.placeholder')} aria-label={t('exercise.name')} className={`flex-1 ${inputClass}`} />
+                            <button onClick={() => removeExercise(index)} aria-label={t('exercise.remove')} className="w-8 h-8 rounded-full text-zinc-500 font-bold hover:bg-zinc-200 transition">×</button>
+                        </div>
+                        <div className="grid grid-cols-4 gap-2">
+                            {NUMBER_FIELDS.map(key => (
+                                <label key={key} className="text-xs font-semibold text-zinc-500">
+                                    {t(`exercise.${key}`)}
+                                    <input type="number" min="0" step="any" value={exercise[key] || ''} onChange={(e) => updateExercise(index, { [key]: e.target.value })} className={inputClass} />
+                                </label>
+                            ))}
+                        </div>
+                        <div className="flex flex-wrap items-center gap-2 text-xs font-semibold text-zinc-500">
+                            <span>{t('exercise.progression')}</span>
+                            <input type="number" min="0" step="any" value={progression.amount ?? ''} onChange={(e) => updateProgression(index, { amount: e.target.value })} aria-label={t('exercise.amount')} className={`w-16 ${inputClass}`} />
+                            <select value={progression.field ?? 'load'} onChange={(e) => updateProgression(index, { field: e.target.value })} aria-label={t('exercise.field')} className={`w-20 ${inputClass}`}>
+                                {PROGRESSION_FIELDS.map(({ key }) => <option key={key} value={key}>{t(`units.${key}`)}</option>)}
+                            </select>
+                            <span>{t('exercise.every')}</span>
+                            <input type="number" min="1" step="1" value={progression.every ?? 1} onChange={(e) => updateProgression(index, { every: e.target.value })} aria-label={t('exercise.cyclesBetween')} className={`w-14 ${inputClass}`} />
+                            <span>{t('exercise.cycles')}</span>
+                            <select value={progression.condition ?? 'always'} onChange={(e) => updateProgression(index, { condition: e.target.value })} aria-label={t('exercise.condition')} className={`w-auto ${inputClass}`}>
+                                <option value="always">{t('exercise.always')}</option>
+                                <option value="previousDone">{t('exercise.previousDone')}</option>
+                            </select>
+                        </div>
+                        {validProgression && <p className="text-xs text-green-600 font-semibold">{describeProgression(validProgression, i18n)}</p>}
+                    </div>
+                );
+            })}
+            <button onClick={addExercise} className="text-sm font-bold text-pink-500 hover:text-pink-600">{t('exercise.add')}</button>
+        </div>
+    );
+};
+
+export default ExerciseEditor;
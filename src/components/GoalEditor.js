@@ -0,0 +1,35 @@
+import React from 'react';
+import { GOAL_TYPES, MAX_GOALS } from '../goals';
+import useI18n from '../hooks/useI18n';
+
+// --- Goal Editor ---
+// Edits the plan's raw goals, or null for none; targets are sanitized when the plan is saved.
+const inputClass = 'px-2 py-1 bg-zinc-100 border-2 border-transparent rounded-lg focus:outline-none focus:ring-2 focus:ring-pink-500 focus:border-transparent transition';
+
+const GoalEditor = ({ goals, onChange }) => {
+    const { t } = useI18n();
+    const list = goals ?? [];
+    const update = (next) => onChange(next.length > 0 ? next : null);
+
+    const updateGoal = (index, changes) => update(list.map((goal, i) => (i === index ? { ...goal, ...changes } : goal)));
+    const changeType = (index, type) => updateGoal(index, { type, target: GOAL_TYPES[type].defaultTarget });
+    const addGoal = () => update([...list, { type: 'cycleRate', target: GOAL_TYPES.cycleRate.defaultTarget }]);
+
+    return (
+        <div className="space-y-2">
+            <p className="text-xs text-zinc-500">{t('goals.intro')}</p>
+            {list.map((goal, index) => (
+                <div key={index} className="p-3 bg-zinc-50 rounded-xl flex flex-wrap items-center gap-2">
+                    <select value={goal.type} onChange={(e) => changeType(index, e.target.value)} aria-label={t('goals.type', { n: index + 1 })} className={`flex-1 min-w-[10rem] ${inputClass}`}>
+                        {Object.keys(GOAL_TYPES).map(type => <option key={type} value={type}>{t(`goals.types.${type}`)}</option>)}
+                    </select>
+                    <input type="number" min="1" max={GOAL_TYPES[goal.type]?.max} value={goal.target} onChange={(e) => updateGoal(index, { target: e.target.value })} aria-label={t('goals.target', { n: index + 1 })} className={`w-20 ${inputClass}`} />
+                    <button onClick={() => update(list.filter((_, i) => i !== index))} aria-label={t('goals.remove', { n: index + 1 })} className="w-8 h-8 rounded-full text-zinc-500 font-bold hover:bg-zinc-200 transition">×</button>
+                </div>
+            ))}
+            <button onClick={addGoal} disabled={list.length >= MAX_GOALS} className="text-sm font-bold text-pink-500 hover:text-pink-600 disabled:opacity-30">{t('goals.add')}</button>
+        </div>
+    );
+};
+
+export default GoalEditor;
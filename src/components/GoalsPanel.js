@@ -0,0 +1,53 @@
+import React from 'react';
+import { getTrackedSessions } from '../stats';
+import { evaluateGoals, listAchievements, getGoalKey } from '../goals';
+import useI18n from '../hooks/useI18n';
+
+// --- Goals & Achievements ---
+// Progress towards the plan's goals, then every badge earned, including those of
+// goals since edited or removed.
+const GoalsPanel = ({ plan, trackingData }) => {
+    const i18n = useI18n();
+    const { t, formatDate, formatPercent } = i18n;
+    const goals = evaluateGoals(plan.goals, getTrackedSessions(plan, trackingData), trackingData.currentCycleIndex);
+    const achievements = listAchievements(trackingData.achievements);
+    if (goals.length === 0 && achievements.length === 0) return null;
+
+    const describe = ({ type, target }) => t(`goals.describe.${type}`, { count: target });
+    const formatProgress = ({ type, value, target }) => t(`goals.progress.${type}`, { value: type === 'cycleRate' ? formatPercent(value / 100) : value, target });
+
+    return (
+        <div className="p-4 bg-white/80 backdrop-blur-sm rounded-2xl shadow-lg mt-6">
+            <h3 className="font-bold text-xl mb-4 text-zinc-700">{t('goals.title')}</h3>
+            {goals.map(goal => {
+                const isEarned = !!trackingData.achievements[goal.key];
+                return (
+                    <div key={goal.key} className="py-1">
+                        <div className="flex justify-between gap-2 text-sm font-semibold text-zinc-700">
+                            <span>{describe(goal)}</span>
+                            <span className={isEarned ? 'text-green-600' : 'text-zinc-500'}>{isEarned ? t('goals.earned') : formatProgress(goal)}</span>
+                        </div>
+                        <div role="progressbar" aria-label={describe(goal)} aria-valuemin={0} aria-valuemax={goal.target} aria-valuenow={Math.min(goal.value, goal.target)} aria-valuetext={isEarned ? t('goals.earned') : formatProgress(goal)} className="h-2 bg-zinc-200 rounded-full overflow-hidden">
+                            <div className={`h-full ${isEarned ? 'bg-green-400' : 'bg-pink-400'}`} style={{ width: `${goal.progress * 100}%` }}></div>
+                        </div>
+                    </div>
+                );
+            })}
+            {achievements.length > 0 && (
+                <>
+                    <h4 className="font-bold text-md mt-4 mb-2 text-zinc-700">{t('goals.achievements')}</h4>
+                    <ul className="space-y-2">
+                        {achievements.map(achievement => (
+                            <li key={getGoalKey(achievement)} className="text-sm">
+                                <div className="font-semibold text-zinc-700"><span aria-hidden="true" className="text-yellow-500">★ </span>{describe(achievement)}</div>
+                                <div className="text-xs text-zinc-500">{t('goals.earnedOn', { date: formatDate(new Date(achievement.at), { dateStyle: 'medium' }), cycle: achievement.cycle + 1 })}</div>
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default GoalsPanel;
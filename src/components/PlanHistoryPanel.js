@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import usePlanTracking from '../hooks/usePlanTracking';
+import { listPlanVersions, diffPlans, savePlanVersion } from '../planVersions';
+import useI18n from '../hooks/useI18n';
+
+// --- Plan Version History ---
+const PlanHistoryPanel = ({ store, history, planId }) => {
+    const { t, formatDate } = useI18n();
+    const { trackingData } = usePlanTracking(store, planId);
+    const [fromId, setFromId] = useState('');
+    const [toId, setToId] = useState('');
+    const [status, setStatus] = useState({ message: '', type: '' });
+
+    const versions = listPlanVersions(trackingData?.planVersions);
+    if (versions.length === 0) return null;
+
+    const formatVersion = (version) => (version.savedAt
+        ? t('versions.savedAt', { date: formatDate(new Date(version.savedAt), { dateStyle: 'medium', timeStyle: 'short' }), n: version.cycleIndex + 1 })
+        : t('versions.original'));
+    const describeActivity = (activity) => (activity ? (activity.isRest ? t('common.rest') : activity.text || t('common.free')) : '—');
+
+    const newest = versions[versions.length - 1];
+    const from = versions.find(v => v.id === fromId) ?? versions[Math.max(0, versions.length - 2)];
+    const to = versions.find(v => v.id === toId) ?? newest;
+    const diff = diffPlans(from.plan, to.plan);
+
+    const handleRestore = async (version) => {
+        try {
+            await history.run({ store, planId, label: 'restoreVersion' }, () => savePlanVersion(store, planId, version.plan));
+            setStatus({ message: t('versions.restored'), type: 'success' });
+            setTimeout(() => setStatus({ message: '', type: '' }), 3000);
+        } catch (error) {
+            console.error("Error restoring plan version:", error);
+            setStatus({ message: t('versions.restoreFailed'), type: 'error' });
+        }
+    };
+
+    const selectClass = 'w-full px-3 py-2 bg-zinc-100 border-2 border-transparent rounded-lg focus:outline-none focus:ring-2 focus:ring-pink-500 transition';
+
+    return (
+        <div className="bg-white/80 backdrop-blur-sm p-4 rounded-2xl shadow-lg space-y-4">
+            <h2 className="text-xl font-bold text-zinc-800">{t('versions.title')}</h2>
+
+            <ul className="space-y-1">
+                {[...versions].reverse().map(version => (
+                    <li key={version.id} className="flex items-center justify-between gap-2 p-2 rounded-lg hover:bg-pink-50/50">
+                        <div>
+                            <div className="text-sm font-semibold text-zinc-700">{formatVersion(version)}</div>
+                            <div className="text-xs text-zinc-500">{t('versions.summary', { name: version.plan.name, count: version.plan.sessions })}</div>
+                        </div>
+                        {version.id === newest.id
+                            ? <span className="text-xs font-bold text-green-600">{t('versions.current')}</span>
+                            : <button onClick={() => handleRestore(version)} className="text-sm font-bold text-pink-500 hover:text-pink-600">{t('common.restore')}</button>}
+                    </li>
+                ))}
+            </ul>
+
+            {versions.length > 1 && (
+                <div className="space-y-2">
+                    <div className="grid grid-cols-2 gap-2">
+                        <label className="text-xs font-bold text-zinc-500">{t('versions.compare')}
+                            <select value={from.id} onChange={(e) => setFromId(e.target.value)} className={selectClass}>
+                                {versions.map(v => <option key={v.id} value={v.id}>{formatVersion(v)}</option>)}
+                            </select>
+                        </label>
+                        <label className="text-xs font-bold text-zinc-500">{t('versions.with')}
+                            <select value={to.id} onChange={(e) => setToId(e.target.value)} className={selectClass}>
+                                {versions.map(v => <option key={v.id} value={v.id}>{formatVersion(v)}</option>)}
+                            </select>
+                        </label>
+                    </div>
+                    {diff.nameChanged && <p className="text-sm text-zinc-700">{t('versions.name')} <span className="line-through text-zinc-400">{from.plan.name}</span> → {to.plan.name}</p>}
+                    {diff.statusesChanged && <p className="text-sm text-zinc-700">{t('versions.statusesChanged')}</p>}
+                    {diff.sessions.length === 0 && !diff.nameChanged && !diff.statusesChanged && <p className="text-sm text-zinc-500">{t('versions.noDifferences')}</p>}
+                    {diff.sessions.map(change => (
+                        <div key={(change.after ?? change.before).id} className="text-sm flex flex-wrap gap-x-2">
+                            <span className="font-bold text-pink-500">{change.index + 1}#</span>
+                            <span className="line-through text-zinc-400">{describeActivity(change.before)}</span>
+                            <span>→ {describeActivity(change.after)}</span>
+                            <span className="text-xs text-zinc-500">({change.changes.map(c => t(`versions.changes.${c}`)).join(', ')})</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+            {status.message && <div role="status" className={`p-3 rounded-xl text-center font-semibold text-white ${status.type === 'success' ? 'bg-green-500' : 'bg-pink-500'}`}>{status.message}</div>}
+        </div>
+    );
+};
+
+export default PlanHistoryPanel;
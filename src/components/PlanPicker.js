@@ -0,0 +1,75 @@
+import React, { useState, useEffect, useRef } from 'react';
+import useI18n from '../hooks/useI18n';
+
+// --- Plan Picker ---
+// A button opening a listbox of plans. Arrow keys, Home and End move between plans,
+// Enter or Space picks one, Escape closes the list and returns to the button.
+const PlanPicker = ({ plans, activePlanId, onSelect }) => {
+    const { t } = useI18n();
+    const [isOpen, setIsOpen] = useState(false);
+    const [focusIndex, setFocusIndex] = useState(0);
+    const buttonRef = useRef(null);
+    const optionRefs = useRef([]);
+    const activePlan = plans.find(p => p.id === activePlanId);
+
+    useEffect(() => {
+        if (isOpen) optionRefs.current[focusIndex]?.focus();
+    }, [isOpen, focusIndex]);
+
+    const open = () => {
+        setFocusIndex(Math.max(0, plans.findIndex(p => p.id === activePlanId)));
+        setIsOpen(true);
+    };
+    const close = () => {
+        setIsOpen(false);
+        buttonRef.current?.focus();
+    };
+    const select = (planId) => {
+        onSelect(planId);
+        close();
+    };
+
+    const handleButtonKeyDown = (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            open();
+        }
+    };
+
+    const handleListKeyDown = (e) => {
+        const last = plans.length - 1;
+        const moves = { ArrowDown: Math.min(focusIndex + 1, last), ArrowUp: Math.max(focusIndex - 1, 0), Home: 0, End: last };
+        if (e.key in moves) {
+            e.preventDefault();
+            setFocusIndex(moves[e.key]);
+        } else if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            if (plans[focusIndex]) select(plans[focusIndex].id);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            close();
+        } else if (e.key === 'Tab') {
+            setIsOpen(false);
+        }
+    };
+
+    return (
+        <div className="relative">
+            <button ref={buttonRef} onClick={() => (isOpen ? close() : open())} onKeyDown={handleButtonKeyDown} aria-haspopup="listbox" aria-expanded={isOpen} aria-controls="plan-picker-list" className="flex items-center gap-2 bg-white/80 backdrop-blur-sm p-2 rounded-full shadow-md focus:outline-none focus:ring-2 focus:ring-pink-500">
+                <span className="font-bold text-zinc-700 pl-2">{activePlan ? activePlan.name : t('app.selectPlan')}</span>
+                <svg aria-hidden="true" className={`w-5 h-5 text-zinc-500 transition-transform ${isOpen ? 'rotate-180' : ''}`} xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor"><path fillRule="evenodd" d="M5.293 7.293a1 1 0 011.414 0L10 10.586l3.293-3.293a1 1 0 111.414 1.414l-4 4a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414z" clipRule="evenodd" /></svg>
+            </button>
+            {isOpen && (
+                <ul id="plan-picker-list" role="listbox" aria-label={t('app.selectPlan')} onKeyDown={handleListKeyDown} className="absolute right-0 mt-2 w-56 p-2 bg-white/90 backdrop-blur-sm rounded-2xl shadow-xl z-10">
+                    {plans.map((plan, index) => (
+                        <li key={plan.id} ref={el => { optionRefs.current[index] = el; }} role="option" aria-selected={activePlanId === plan.id} tabIndex={index === focusIndex ? 0 : -1} onClick={() => select(plan.id)} className={`w-full text-left px-4 py-2 rounded-lg font-semibold cursor-pointer focus:outline-none focus:ring-2 focus:ring-pink-500 ${activePlanId === plan.id ? 'bg-pink-100 text-pink-600' : 'text-zinc-700 hover:bg-zinc-100'}`}>
+                            {plan.name}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default PlanPicker;
@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import useI18n from '../hooks/useI18n';
+import { requestNotificationPermission } from '../hooks/useReminders';
+
+// --- Reminder Settings ---
+// Switching reminders on asks for the browser's permission to show notifications.
+const DEFAULT_REMINDERS = { time: '18:00', skipRest: true, nudge: true };
+const inputClass = 'px-3 py-1 bg-zinc-100 border-2 border-transparent rounded-lg focus:outline-none focus:ring-2 focus:ring-pink-500 focus:border-transparent transition';
+
+const ReminderSettings = ({ reminders, onChange }) => {
+    const { t } = useI18n();
+    const [notice, setNotice] = useState('');
+
+    const handleToggle = async (enabled) => {
+        setNotice('');
+        if (!enabled) {
+            onChange(null);
+            return;
+        }
+        if (typeof Notification === 'undefined') {
+            setNotice(t('reminders.unsupported'));
+            return;
+        }
+        try {
+            if (await requestNotificationPermission() === 'granted') onChange(DEFAULT_REMINDERS);
+            else setNotice(t('reminders.blocked'));
+        } catch (error) {
+            console.error("Error requesting notification permission:", error);
+            setNotice(t('reminders.blocked'));
+        }
+    };
+
+    return (
+        <div className="space-y-3">
+            <label className="flex items-center gap-2 text-sm font-semibold text-zinc-700">
+                <input type="checkbox" checked={!!reminders} onChange={(e) => handleToggle(e.target.checked)} className="accent-pink-500" />
+                {t('reminders.enable')}
+            </label>
+            {reminders && (
+                <div className="space-y-2 pl-6">
+                    <label className="flex items-center gap-2 text-sm font-semibold text-zinc-600">
+                        {t('reminders.time')}
+                        <input type="time" value={reminders.time} onChange={(e) => onChange({ ...reminders, time: e.target.value })} className={inputClass} />
+                    </label>
+                    <label className="flex items-center gap-2 text-sm font-semibold text-zinc-600">
+                        <input type="checkbox" checked={reminders.skipRest} onChange={(e) => onChange({ ...reminders, skipRest: e.target.checked })} className="accent-pink-500" />
+                        {t('reminders.skipRest')}
+                    </label>
+                    <label className="flex items-center gap-2 text-sm font-semibold text-zinc-600">
+                        <input type="checkbox" checked={reminders.nudge} onChange={(e) => onChange({ ...reminders, nudge: e.target.checked })} className="accent-pink-500" />
+                        {t('reminders.nudge')}
+                    </label>
+                    <p className="text-xs text-zinc-500">{t('reminders.whileOpen')}</p>
+                </div>
+            )}
+            {notice && <p role="status" className="text-sm font-semibold text-pink-600">{notice}</p>}
+        </div>
+    );
+};
+
+export default ReminderSettings;
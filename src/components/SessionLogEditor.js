@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import { LOG_FIELDS, sanitizeSessionLog } from '../sessionLog';
+import { formatTarget } from '../progression';
+import useI18n from '../hooks/useI18n';
+
+// --- Session Log Editor ---
+const SessionLogEditor = ({ title, log, targets = [], onSave, onClose }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+    const [values, setValues] = useState(() => ({
+        ...Object.fromEntries(LOG_FIELDS.map(({ key }) => [key, log?.[key] ?? ''])),
+        notes: log?.notes ?? '',
+    }));
+
+    const handleChange = (key, value) => setValues(current => ({ ...current, [key]: value }));
+
+    return (
+        <div className="fixed inset-0 z-30 flex items-end sm:items-center justify-center bg-zinc-900/40 p-4" onClick={onClose}>
+            <div role="dialog" aria-modal="true" aria-labelledby="sessionLogTitle" className="w-full max-w-md bg-white rounded-2xl shadow-xl p-5 space-y-4" onClick={(e) => e.stopPropagation()}>
+                <h2 id="sessionLogTitle" className="text-xl font-bold text-zinc-800">{title}</h2>
+                {targets.length > 0 && (
+                    <ul className="text-sm font-semibold text-zinc-600">
+                        {targets.map((target, i) => <li key={i}>{formatTarget(target, i18n)}</li>)}
+                    </ul>
+                )}
+                <div className="grid grid-cols-2 gap-3">
+                    {LOG_FIELDS.map(({ key, unit, max, step }) => (
+                        <label key={key} className="text-sm font-semibold text-zinc-600">
+                            {t(`log.${key}`)} <span className="font-medium text-zinc-400">({unit})</span>
+                            <input type="number" min="0" max={max} step={step} value={values[key]} onChange={(e) => handleChange(key, e.target.value)} className="mt-1 w-full px-3 py-2 bg-zinc-100 border-2 border-transparent rounded-lg focus:outline-none focus:ring-2 focus:ring-pink-500 focus:border-transparent transition" />
+                        </label>
+                    ))}
+                </div>
+                <label className="block text-sm font-semibold text-zinc-600">
+                    {t('log.notes')}
+                    <textarea rows={3} value={values.notes} onChange={(e) => handleChange('notes', e.target.value)} className="mt-1 w-full px-3 py-2 bg-zinc-100 border-2 border-transparent rounded-lg focus:outline-none focus:ring-2 focus:ring-pink-500 focus:border-transparent transition" />
+                </label>
+                <div className="flex justify-end gap-2">
+                    {log && <button onClick={() => onSave(null)} className="mr-auto text-pink-600 font-bold py-2 px-4 rounded-full hover:bg-pink-50 transition">{t('log.clear')}</button>}
+                    <button onClick={onClose} className="bg-zinc-200 text-zinc-700 font-bold py-2 px-4 rounded-full hover:bg-zinc-300 transition">{t('common.cancel')}</button>
+                    <button onClick={() => onSave(sanitizeSessionLog(values))} className="bg-pink-500 text-white font-bold py-2 px-4 rounded-full hover:bg-pink-600 transition">{t('log.save')}</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SessionLogEditor;
@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { generateShareCode, createSharedPlan, getShareLink } from '../sharing';
+import useI18n from '../hooks/useI18n';
+
+// --- Share Plan Panel ---
+const SharePlanPanel = ({ store, planId }) => {
+    const { t } = useI18n();
+    const [code, setCode] = useState(null);
+    const [status, setStatus] = useState({ message: '', type: '' });
+
+    const handlePublish = async () => {
+        try {
+            const plan = await store.getPlan(planId);
+            if (!plan) return;
+            const newCode = generateShareCode();
+            await store.publishPlan(newCode, createSharedPlan(plan));
+            setCode(newCode);
+            setStatus({ message: '', type: '' });
+        } catch (error) {
+            console.error("Error publishing plan:", error);
+            setStatus({ message: t('share.failed'), type: 'error' });
+        }
+    };
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(getShareLink(code));
+            setStatus({ message: t('share.copied'), type: 'success' });
+            setTimeout(() => setStatus({ message: '', type: '' }), 3000);
+        } catch (error) {
+            console.error("Error copying link:", error);
+            setStatus({ message: t('share.copyFailed'), type: 'error' });
+        }
+    };
+
+    return (
+        <div className="bg-white/80 backdrop-blur-sm p-4 rounded-2xl shadow-lg space-y-3">
+            <h2 className="text-xl font-bold text-zinc-800">{t('share.title')}</h2>
+            <p className="text-sm text-zinc-600">{t('share.intro')}</p>
+            <button onClick={handlePublish} className="bg-zinc-200 text-zinc-700 font-bold py-2 px-4 rounded-full hover:bg-zinc-300 transition">{code ? t('share.publishAgain') : t('share.publish')}</button>
+            {code && (
+                <div className="space-y-2">
+                    <p className="text-sm text-zinc-600">{t('share.code')} <span className="font-mono font-bold text-zinc-800">{code}</span></p>
+                    <div className="flex gap-2">
+                        <input readOnly value={getShareLink(code)} aria-label={t('share.link')} onFocus={(e) => e.target.select()} className="flex-1 px-3 py-2 bg-zinc-100 rounded-lg text-sm" />
+                        <button onClick={handleCopy} className="bg-pink-500 text-white font-bold py-2 px-4 rounded-full hover:bg-pink-600 transition">{t('share.copy')}</button>
+                    </div>
+                </div>
+            )}
+            {status.message && <div role="status" className={`p-3 rounded-xl text-center font-semibold text-white ${status.type === 'success' ? 'bg-green-500' : 'bg-pink-500'}`}>{status.message}</div>}
+        </div>
+    );
+};
+
+export default SharePlanPanel;
@@ -0,0 +1,56 @@
+import React, { useState, useEffect } from 'react';
+import { sanitizeSharedPlan } from '../sharing';
+import { formatTarget } from '../progression';
+import useI18n from '../hooks/useI18n';
+
+// --- Read-only Preview of a Shared Plan ---
+const SharedPlanPreview = ({ store, code, onImport, onClose }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+    const [plan, setPlan] = useState(undefined);
+
+    useEffect(() => {
+        let isCurrent = true;
+        store.getSharedPlan(code)
+            .then(raw => { if (isCurrent) setPlan(raw ? sanitizeSharedPlan(raw) : null); })
+            .catch(error => {
+                console.error("Error loading shared plan:", error);
+                if (isCurrent) setPlan(null);
+            });
+        return () => { isCurrent = false; };
+    }, [store, code]);
+
+    return (
+        <div className="fixed inset-0 z-30 flex items-end sm:items-center justify-center bg-zinc-900/40 p-4" onClick={onClose}>
+            <div role="dialog" aria-modal="true" aria-labelledby="sharedPlanTitle" className="w-full max-w-md max-h-[85vh] overflow-y-auto bg-white rounded-2xl shadow-xl p-5 space-y-4" onClick={(e) => e.stopPropagation()}>
+                {plan === undefined && <p className="text-zinc-500 font-semibold">{t('shared.loading')}</p>}
+                {plan === null && <p id="sharedPlanTitle" className="text-pink-600 font-semibold">{t('shared.notFound', { code })}</p>}
+                {plan && (
+                    <>
+                        <div>
+                            <h2 id="sharedPlanTitle" className="text-xl font-bold text-zinc-800">{plan.name}</h2>
+                            <p className="text-xs text-zinc-500">{t('shared.summary', { count: plan.sessions })}</p>
+                        </div>
+                        <ol className="space-y-2">
+                            {plan.activities.map((activity, index) => (
+                                <li key={activity.id} className="flex gap-3 text-sm">
+                                    <span className="font-bold text-pink-500 w-8 text-center">{index + 1}#</span>
+                                    <div>
+                                        <div className={`font-semibold ${activity.isRest ? 'text-zinc-400' : 'text-zinc-700'}`}>{activity.isRest ? t('common.rest') : activity.text || t('common.free')}</div>
+                                        {(activity.exercises || []).map((exercise, i) => <div key={i} className="text-xs text-zinc-500">{formatTarget(exercise, i18n)}</div>)}
+                                    </div>
+                                </li>
+                            ))}
+                        </ol>
+                    </>
+                )}
+                <div className="flex justify-end gap-2">
+                    <button onClick={onClose} className="bg-zinc-200 text-zinc-700 font-bold py-2 px-4 rounded-full hover:bg-zinc-300 transition">{t('common.close')}</button>
+                    {plan && <button onClick={() => onImport(plan)} className="bg-pink-500 text-white font-bold py-2 px-4 rounded-full hover:bg-pink-600 transition">{t('shared.import')}</button>}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SharedPlanPreview;
@@ -0,0 +1,100 @@
+import React from 'react';
+import usePlanTracking from '../hooks/usePlanTracking';
+import { computeStats } from '../stats';
+import { getStatusScale, getStatusLabel } from '../statusScale';
+import useI18n from '../hooks/useI18n';
+
+// --- Statistics Page ---
+const Card = ({ title, children }) => (
+    <div className="bg-white/80 backdrop-blur-sm p-4 rounded-2xl shadow-lg">
+        <h3 className="font-bold text-xl mb-3 text-zinc-700">{title}</h3>
+        {children}
+    </div>
+);
+
+const Figure = ({ label, value }) => (
+    <div className="flex-1 text-center">
+        <div className="text-3xl font-extrabold text-pink-500">{value}</div>
+        <div className="text-xs font-bold text-zinc-500 uppercase">{label}</div>
+    </div>
+);
+
+const RateBar = ({ label, rate, detail }) => {
+    const { formatPercent } = useI18n();
+    return (
+        <div className="py-1">
+            <div className="flex justify-between text-sm font-semibold text-zinc-700">
+                <span className="truncate pr-2">{label}</span>
+                <span>{formatPercent(rate)}</span>
+            </div>
+            <div className="h-2 bg-zinc-200 rounded-full overflow-hidden" title={detail}>
+                <div className="h-full bg-green-400" style={{ width: `${(rate ?? 0) * 100}%` }}></div>
+            </div>
+        </div>
+    );
+};
+
+const StatsPage = ({ store, activePlanId }) => {
+    const i18n = useI18n();
+    const { t, formatNumber, formatPercent } = i18n;
+    const { plan, trackingData } = usePlanTracking(store, activePlanId);
+
+    if (!plan || !trackingData) {
+        return <div className="p-4 text-center"><p className="text-zinc-600 font-semibold">{t('common.loading')}</p></div>;
+    }
+    if (plan.sessions <= 0) {
+        return (
+            <div className="p-4 text-center">
+                <div className="bg-white/80 backdrop-blur-sm p-6 rounded-2xl shadow-lg">
+                    <p className="text-zinc-700 font-bold text-lg">{t('common.noPlanFound')}</p>
+                    <p className="text-zinc-500 mt-2">{t('common.selectOrCreate')}</p>
+                </div>
+            </div>
+        );
+    }
+
+    const stats = computeStats(plan, trackingData, {}, i18n);
+    const scale = getStatusScale(plan, i18n);
+    const detail = ({ counts }) => Object.keys(counts).map(Number).sort((a, b) => a - b).map(status => (status === 0
+        ? t('stats.notLogged', { count: counts[status] })
+        : t('stats.statusCount', { count: counts[status], label: getStatusLabel(scale, status, i18n).toLowerCase() }))).join(', ');
+    const cycleLabel = (cycle) => (cycle ? t('stats.cycleRate', { n: cycle.cycle + 1, rate: formatPercent(cycle.rate) }) : '–');
+
+    return (
+        <div className="p-4 md:p-6 space-y-6">
+            <Card title={t('stats.overview')}>
+                <div className="flex gap-2">
+                    <Figure label={t('stats.currentStreak')} value={formatNumber(stats.streaks.current)} />
+                    <Figure label={t('stats.longestStreak')} value={formatNumber(stats.streaks.longest)} />
+                    <Figure label={t('stats.adherence')} value={formatPercent(stats.adherence)} />
+                    <Figure label={t('stats.allTime')} value={formatPercent(stats.overall.rate)} />
+                </div>
+                <p className="mt-3 text-xs text-center text-zinc-500">{t('stats.adherenceNote', { count: 3 })}</p>
+            </Card>
+
+            <Card title={t('stats.cycles')}>
+                <p className="text-sm font-semibold text-zinc-700">{t('stats.best', { cycle: cycleLabel(stats.best) })}</p>
+                <p className="text-sm font-semibold text-zinc-700">{t('stats.worst', { cycle: cycleLabel(stats.worst) })}</p>
+                <div className="flex items-end gap-1 h-24 mt-3" aria-label={t('stats.rolling')}>
+                    {stats.rolling.map(({ cycle, rate }) => (
+                        <div key={cycle} className="flex-1 bg-pink-300 rounded-t" style={{ height: `${(rate ?? 0) * 100}%` }} title={t('stats.rollingBar', { n: cycle + 1, rate: formatPercent(rate) })}></div>
+                    ))}
+                </div>
+            </Card>
+
+            <Card title={t('stats.bySession')}>
+                {stats.bySlot.map(s => (
+                    <RateBar key={s.session} label={`${s.session + 1}# ${plan.activities[s.session]?.text ?? ''}`} rate={s.rate} detail={detail(s)} />
+                ))}
+            </Card>
+
+            <Card title={t('stats.byActivity')}>
+                {stats.byActivity.map(a => (
+                    <RateBar key={a.activity} label={a.activity} rate={a.rate} detail={detail(a)} />
+                ))}
+            </Card>
+        </div>
+    );
+};
+
+export default StatsPage;
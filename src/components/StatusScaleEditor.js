@@ -0,0 +1,60 @@
+import React from 'react';
+import { STATUS_COLORS, MAX_STATUSES, getDefaultStatusScale, getStatusSwatchClass } from '../statusScale';
+import { moveItem } from '../sessions';
+import useI18n from '../hooks/useI18n';
+
+// --- Status Scale Editor ---
+// Edits the plan's raw status scale, or null for the default one; values are
+// sanitized when the plan is saved.
+const inputClass = 'w-full px-2 py-1 bg-zinc-100 border-2 border-transparent rounded-lg focus:outline-none focus:ring-2 focus:ring-pink-500 focus:border-transparent transition';
+const iconButtonClass = 'w-8 h-8 rounded-full text-zinc-500 font-bold hover:bg-zinc-200 transition disabled:opacity-30';
+
+const StatusScaleEditor = ({ statusScale, onChange }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+
+    if (!statusScale) {
+        return (
+            <div className="flex flex-wrap items-center gap-3">
+                <span className="flex-1 text-sm text-zinc-600">{t('statuses.usingDefault', { labels: getDefaultStatusScale(i18n).map(s => s.label).join(', ') })}</span>
+                <button onClick={() => onChange(getDefaultStatusScale(i18n))} className="text-sm font-bold text-pink-500 hover:text-pink-600">{t('statuses.customise')}</button>
+            </div>
+        );
+    }
+
+    const updateStatus = (index, changes) => onChange(statusScale.map((status, i) => (i === index ? { ...status, ...changes } : status)));
+    const removeStatus = (index) => onChange(statusScale.filter((_, i) => i !== index));
+    const addStatus = () => onChange([...statusScale, { label: '', color: 'gray', weight: 0, positive: false }]);
+
+    return (
+        <div className="space-y-2">
+            <p className="text-xs text-zinc-500">{t('statuses.intro')}</p>
+            {statusScale.map((status, index) => (
+                <div key={index} className="p-3 bg-zinc-50 rounded-xl flex flex-wrap items-center gap-2">
+                    <span aria-hidden="true" className={`w-4 h-4 rounded-full ${getStatusSwatchClass(status)}`}></span>
+                    <input type="text" value={status.label} onChange={(e) => updateStatus(index, { label: e.target.value })} maxLength={30} placeholder={t('statuses.labelPlaceholder')} aria-label={t('statuses.label', { n: index + 1 })} className={`flex-1 min-w-[8rem] ${inputClass}`} />
+                    <select value={status.color} onChange={(e) => updateStatus(index, { color: e.target.value })} aria-label={t('statuses.color', { n: index + 1 })} className={`w-28 ${inputClass}`}>
+                        {Object.keys(STATUS_COLORS).map(color => <option key={color} value={color}>{t(`statuses.colors.${color}`)}</option>)}
+                    </select>
+                    <label className="flex items-center gap-1 text-xs font-semibold text-zinc-500">
+                        {t('statuses.weight')}
+                        <input type="number" min="0" max="1" step="0.1" value={status.weight} onChange={(e) => updateStatus(index, { weight: e.target.value })} className={`w-16 ${inputClass}`} />
+                    </label>
+                    <label className="flex items-center gap-1 text-xs font-semibold text-zinc-500">
+                        <input type="checkbox" checked={!!status.positive} onChange={(e) => updateStatus(index, { positive: e.target.checked })} className="accent-pink-500" />
+                        {t('statuses.positive')}
+                    </label>
+                    <button onClick={() => onChange(moveItem(statusScale, index, index - 1))} disabled={index === 0} aria-label={t('statuses.moveUp', { n: index + 1 })} className={iconButtonClass}>↑</button>
+                    <button onClick={() => onChange(moveItem(statusScale, index, index + 1))} disabled={index === statusScale.length - 1} aria-label={t('statuses.moveDown', { n: index + 1 })} className={iconButtonClass}>↓</button>
+                    <button onClick={() => removeStatus(index)} disabled={statusScale.length <= 1} aria-label={t('statuses.remove', { n: index + 1 })} className={iconButtonClass}>×</button>
+                </div>
+            ))}
+            <div className="flex flex-wrap justify-between gap-2">
+                <button onClick={addStatus} disabled={statusScale.length >= MAX_STATUSES} className="text-sm font-bold text-pink-500 hover:text-pink-600 disabled:opacity-30">{t('statuses.add')}</button>
+                <button onClick={() => onChange(null)} className="text-sm font-bold text-zinc-500 hover:text-pink-500">{t('statuses.useDefault')}</button>
+            </div>
+        </div>
+    );
+};
+
+export default StatusScaleEditor;
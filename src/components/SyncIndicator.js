@@ -0,0 +1,48 @@
+import React, { useState, useEffect } from 'react';
+import useI18n from '../hooks/useI18n';
+
+// --- Pending-Sync Indicator ---
+// Shown only while there is something to report: no connection, local changes the
+// server has not acknowledged yet, or writes the server rejected.
+
+const useOnline = () => {
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine !== false);
+    useEffect(() => {
+        const update = () => setIsOnline(navigator.onLine !== false);
+        window.addEventListener('online', update);
+        window.addEventListener('offline', update);
+        return () => {
+            window.removeEventListener('online', update);
+            window.removeEventListener('offline', update);
+        };
+    }, []);
+    return isOnline;
+};
+
+const useSyncState = (syncStatus) => {
+    const [state, setState] = useState(() => syncStatus.getState());
+    useEffect(() => syncStatus.subscribe(setState), [syncStatus]);
+    return state;
+};
+
+const SyncIndicator = ({ syncStatus }) => {
+    const { t } = useI18n();
+    const changes = (count) => t('sync.changes', { count });
+    const isOnline = useOnline();
+    const { pending, failed, lastError } = useSyncState(syncStatus);
+
+    if (failed > 0) {
+        return (
+            <div role="alert" className="flex items-center gap-2 bg-pink-500 text-white text-sm font-semibold py-1 px-3 rounded-full shadow-md" title={lastError ?? ''}>
+                <span>{t('sync.failed', { changes: changes(failed) })}</span>
+                <button onClick={syncStatus.clearFailures} aria-label={t('sync.dismiss')} className="font-bold hover:text-pink-100">×</button>
+            </div>
+        );
+    }
+    if (isOnline && pending === 0) return null;
+
+    const message = isOnline ? t('sync.syncing', { changes: changes(pending) }) : pending > 0 ? t('sync.offlinePending', { changes: changes(pending) }) : t('sync.offline');
+    return <div role="status" className="bg-white/80 backdrop-blur-sm text-zinc-600 text-sm font-semibold py-1 px-3 rounded-full shadow-md">{message}</div>;
+};
+
+export default SyncIndicator;
@@ -0,0 +1,72 @@
+import React, { useState, useEffect } from 'react';
+import { BUILT_IN_TEMPLATES } from '../templates';
+import { parseShareCode } from '../sharing';
+import useI18n from '../hooks/useI18n';
+
+// --- New Plan Template Picker ---
+const TemplatePicker = ({ store, onSelect, onOpenShared, onClose }) => {
+    const { t } = useI18n();
+    const [userTemplates, setUserTemplates] = useState([]);
+    const [shareInput, setShareInput] = useState('');
+    const shareCode = parseShareCode(shareInput);
+
+    useEffect(() => {
+        if (!store) return;
+        return store.subscribeTemplates(
+            (templates) => setUserTemplates([...templates].sort((a, b) => (a.createdAt ?? '').localeCompare(b.createdAt ?? ''))),
+            (err) => console.error("Error fetching templates:", err)
+        );
+    }, [store]);
+
+    const handleDelete = async (templateId) => {
+        try {
+            await store.deleteTemplate(templateId);
+        } catch (error) {
+            console.error("Error deleting template:", error);
+        }
+    };
+
+    // Built-in templates are shown, and named once created, in the chosen language.
+    const builtInTemplates = BUILT_IN_TEMPLATES.map(template => ({
+        ...template,
+        name: t(`templates.builtIn.${template.id}.name`),
+        description: t(`templates.builtIn.${template.id}.description`),
+    }));
+
+    const renderTemplate = (template, canDelete) => (
+        <li key={template.id} className="flex items-center gap-2">
+            <button onClick={() => onSelect(template)} className="flex-1 text-left p-3 rounded-xl bg-zinc-100 hover:bg-pink-50 transition">
+                <div className="font-bold text-zinc-800">{template.name}</div>
+                <div className="text-xs text-zinc-500">{template.description}</div>
+            </button>
+            {canDelete && <button onClick={() => handleDelete(template.id)} aria-label={t('templates.delete', { name: template.name })} className="w-8 h-8 rounded-full text-zinc-500 font-bold hover:bg-pink-100 hover:text-pink-600 transition">×</button>}
+        </li>
+    );
+
+    return (
+        <div className="fixed inset-0 z-30 flex items-end sm:items-center justify-center bg-zinc-900/40 p-4" onClick={onClose}>
+            <div role="dialog" aria-modal="true" aria-labelledby="templatePickerTitle" className="w-full max-w-md max-h-[85vh] overflow-y-auto bg-white rounded-2xl shadow-xl p-5 space-y-4" onClick={(e) => e.stopPropagation()}>
+                <h2 id="templatePickerTitle" className="text-xl font-bold text-zinc-800">{t('templates.title')}</h2>
+                <ul className="space-y-2">{builtInTemplates.map(template => renderTemplate(template, false))}</ul>
+                {userTemplates.length > 0 && (
+                    <>
+                        <h3 className="text-sm font-bold text-zinc-500">{t('templates.mine')}</h3>
+                        <ul className="space-y-2">{userTemplates.map(template => renderTemplate(template, true))}</ul>
+                    </>
+                )}
+                <form onSubmit={(e) => { e.preventDefault(); if (shareCode) onOpenShared(shareCode); }} className="space-y-1">
+                    <label htmlFor="shareCode" className="block text-sm font-bold text-zinc-500">{t('templates.importShared')}</label>
+                    <div className="flex gap-2">
+                        <input id="shareCode" value={shareInput} onChange={(e) => setShareInput(e.target.value)} placeholder={t('templates.sharePlaceholder')} className="flex-1 px-3 py-2 bg-zinc-100 border-2 border-transparent rounded-lg focus:outline-none focus:ring-2 focus:ring-pink-500 transition" />
+                        <button type="submit" disabled={!shareCode} className="bg-zinc-200 text-zinc-700 font-bold py-2 px-4 rounded-full hover:bg-zinc-300 transition disabled:opacity-50">{t('templates.open')}</button>
+                    </div>
+                </form>
+                <div className="flex justify-end">
+                    <button onClick={onClose} className="bg-zinc-200 text-zinc-700 font-bold py-2 px-4 rounded-full hover:bg-zinc-300 transition">{t('common.cancel')}</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default TemplatePicker;
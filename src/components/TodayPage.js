@@ -0,0 +1,107 @@
+import React, { useState, useMemo } from 'react';
+import useAllTracking from '../hooks/useAllTracking';
+import { toSafeInt, sanitizePlanData, getPlanForCycle, getSessionsForCycle } from '../plan';
+import { getSessionStatus } from '../sessions';
+import { getWeeklyAdherence } from '../stats';
+import { setStatus } from '../trackingUpdates';
+import { isConflict } from '../conflicts';
+import { getStatusScale, getStatusLabel, getStatusCellClass, getStatusSymbol } from '../statusScale';
+import { getCycleDates, formatShortDate } from '../schedule';
+import useI18n from '../hooks/useI18n';
+
+// --- Today Page ---
+// Every plan side by side: the first session of its current cycle not logged yet,
+// with one button per status, and the week's adherence across all of them.
+
+// Null once every non-rest session of the current cycle has a status.
+const findNextSession = (plan, { grid, planHistory, currentCycleIndex }) => {
+    const cycle = toSafeInt(currentCycleIndex);
+    const { activities } = getPlanForCycle(cycle, plan, planHistory);
+    const session = activities.findIndex(a => !a.isRest && getSessionStatus(grid, a.id, cycle) === 0);
+    if (session < 0) return null;
+    const date = plan.schedule ? getCycleDates(plan.schedule, cycle, getSessionsForCycle(plan, planHistory)).sessionDates[session] : null;
+    return { cycle, session, sessionId: activities[session].id, activity: activities[session].text, date };
+};
+
+const PlanCard = ({ id, plan, trackingData, isSaving, onStatus, onOpen }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+    const next = trackingData && plan.sessions > 0 ? findNextSession(plan, trackingData) : null;
+    const scale = next ? getStatusScale(getPlanForCycle(next.cycle, plan, trackingData.planHistory), i18n) : [];
+
+    return (
+        <div className="bg-white/80 backdrop-blur-sm p-4 rounded-2xl shadow-lg space-y-3">
+            <div className="flex justify-between items-baseline gap-2">
+                <h3 className="font-bold text-xl text-zinc-700 truncate">{plan.name}</h3>
+                <button onClick={() => onOpen(id)} className="text-sm font-bold text-pink-500 hover:text-pink-600 whitespace-nowrap">{t('today.open')}</button>
+            </div>
+            {!trackingData ? (
+                <p className="text-sm text-zinc-500 font-semibold">{t('common.loading')}</p>
+            ) : next ? (
+                <>
+                    <div>
+                        <div className="font-bold text-lg text-zinc-800">{next.activity || t('tracking.noActivity')}</div>
+                        <div className="text-sm font-semibold text-zinc-500">
+                            {[t('today.next', { session: next.session + 1, cycle: next.cycle + 1 }), ...(next.date ? [formatShortDate(next.date, i18n)] : [])].join(' · ')}
+                        </div>
+                    </div>
+                    <div role="group" aria-label={t('today.statusFor', { activity: next.activity || t('tracking.noActivity') })} className="flex flex-wrap gap-2">
+                        {scale.map((status, index) => (
+                            <button key={index} onClick={() => onStatus(id, plan, next, scale, index + 1)} disabled={isSaving} className={`px-4 py-2 rounded-full font-bold text-zinc-800 transition disabled:opacity-50 ${getStatusCellClass(scale, index + 1)}`}>
+                                <span aria-hidden="true" className="mr-1">{getStatusSymbol(scale, index + 1)}</span>
+                                {getStatusLabel(scale, index + 1, i18n)}
+                            </button>
+                        ))}
+                    </div>
+                </>
+            ) : (
+                <p className="text-sm text-zinc-600 font-semibold">{t('today.allLogged', { cycle: toSafeInt(trackingData.currentCycleIndex) + 1 })}</p>
+            )}
+        </div>
+    );
+};
+
+const TodayPage = ({ store, history, plans, onOpenPlan, onConflict }) => {
+    const i18n = useI18n();
+    const { t, formatPercent } = i18n;
+    const trackingByPlan = useAllTracking(store, plans);
+    const [savingPlans, setSavingPlans] = useState({});
+    const [announcement, setAnnouncement] = useState('');
+    const entries = useMemo(() => plans.map(({ id, ...rawPlan }) => ({ id, plan: sanitizePlanData(rawPlan, i18n), trackingData: trackingByPlan[id] ?? null })), [plans, trackingByPlan, i18n]);
+    const weekly = getWeeklyAdherence(entries.filter(e => e.trackingData));
+
+    const handleStatus = async (planId, plan, { cycle, session, sessionId }, scale, status) => {
+        if (!store) return;
+        setSavingPlans(current => ({ ...current, [planId]: true }));
+        try {
+            await history.run({ store, planId, label: 'statusChange' }, () => store.runTransaction(planId, setStatus({ sessionId, sessionIndex: session, cycle, expected: 0, status })));
+            setAnnouncement(t('today.saved', { plan: plan.name, session: session + 1, status: getStatusLabel(scale, status, i18n) }));
+        } catch (error) {
+            if (isConflict(error)) onConflict(error);
+            else console.error("Error saving status:", error);
+        } finally {
+            setSavingPlans(current => ({ ...current, [planId]: false }));
+        }
+    };
+
+    return (
+        <div className="p-4 md:p-6 space-y-6">
+            <div className="bg-white/80 backdrop-blur-sm p-4 rounded-2xl shadow-lg">
+                <h3 className="font-bold text-xl mb-3 text-zinc-700">{t('today.week')}</h3>
+                <div className="flex items-baseline gap-4">
+                    <div className="text-3xl font-extrabold text-pink-500">{formatPercent(weekly.rate)}</div>
+                    <div className="text-sm font-semibold text-zinc-600">
+                        {weekly.counted > 0 ? t('today.weekDone', { count: weekly.counted, positive: weekly.positive }) : t('today.weekEmpty')}
+                    </div>
+                </div>
+                <p className="mt-3 text-xs text-zinc-500">{t('today.weekNote')}</p>
+            </div>
+            {entries.map(entry => (
+                <PlanCard key={entry.id} {...entry} isSaving={!!savingPlans[entry.id]} onStatus={handleStatus} onOpen={onOpenPlan} />
+            ))}
+            <p role="status" className="sr-only">{announcement}</p>
+        </div>
+    );
+};
+
+export default TodayPage;
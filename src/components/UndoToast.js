@@ -0,0 +1,22 @@
+import React, { useEffect } from 'react';
+import useI18n from '../hooks/useI18n';
+
+// --- Short-lived "Undo" toast shown after destructive actions ---
+const TOAST_MS = 6000;
+
+const UndoToast = ({ message, onUndo, onDismiss }) => {
+    const { t } = useI18n();
+    useEffect(() => {
+        const timer = setTimeout(onDismiss, TOAST_MS);
+        return () => clearTimeout(timer);
+    }, [message, onDismiss]);
+
+    return (
+        <div role="status" className="fixed bottom-24 left-1/2 -translate-x-1/2 z-30 flex items-center gap-4 bg-zinc-800 text-white font-semibold py-3 px-5 rounded-full shadow-xl">
+            <span>{message}</span>
+            <button onClick={onUndo} className="text-pink-300 font-bold hover:text-pink-200">{t('common.undo')}</button>
+        </div>
+    );
+};
+
+export default UndoToast;
@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { getStatusLabel } from '../statusScale';
+import { formatShortDate } from '../schedule';
+import useI18n from '../hooks/useI18n';
+
+// --- Workout Import Dialog ---
+// Lists what each imported file was matched to; only the ticked matches are written.
+const WorkoutImportDialog = ({ results, failed = [], scale, onConfirm, onClose }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+    const [selected, setSelected] = useState(() => new Set(results.filter(r => r.match).map(r => r.match.sessionId)));
+
+    const toggle = (sessionId) => setSelected(current => {
+        const next = new Set(current);
+        if (next.has(sessionId)) next.delete(sessionId);
+        else next.add(sessionId);
+        return next;
+    });
+    const chosen = results.filter(r => r.match && selected.has(r.match.sessionId)).map(r => r.match);
+
+    const describeWorkout = ({ start, sport, duration, distance }) => [
+        formatShortDate(start, i18n),
+        t(`import.sports.${sport}`),
+        t('units.minutes', { value: Math.round(duration) }),
+        ...(distance > 0 ? [t('units.km', { value: distance })] : []),
+    ].join(' · ');
+
+    return (
+        <div className="fixed inset-0 z-30 flex items-end sm:items-center justify-center bg-zinc-900/40 p-4" onClick={onClose}>
+            <div role="dialog" aria-modal="true" aria-labelledby="workoutImportTitle" className="w-full max-w-md bg-white rounded-2xl shadow-xl p-5 space-y-4" onClick={(e) => e.stopPropagation()}>
+                <h2 id="workoutImportTitle" className="text-xl font-bold text-zinc-800">{t('import.title')}</h2>
+                <ul className="space-y-3">
+                    {results.map(({ workout, match }, i) => (
+                        <li key={i} className="text-sm">
+                            <div className="font-semibold text-zinc-500">{describeWorkout(workout)}</div>
+                            {match ? (
+                                <label className="flex items-center gap-2 font-semibold text-zinc-700">
+                                    <input type="checkbox" checked={selected.has(match.sessionId)} onChange={() => toggle(match.sessionId)} className="accent-pink-500" />
+                                    {t('import.match', { session: match.session + 1, activity: match.activity || t('tracking.noActivity'), status: getStatusLabel(scale, match.status, i18n) })}
+                                </label>
+                            ) : (
+                                <div className="font-semibold text-pink-600">{t('import.noMatch')}</div>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+                {failed.length > 0 && <p className="text-sm font-semibold text-pink-600">{t('import.unreadable', { files: failed.join(', ') })}</p>}
+                <div className="flex justify-end gap-2">
+                    <button onClick={onClose} className="bg-zinc-200 text-zinc-700 font-bold py-2 px-4 rounded-full hover:bg-zinc-300 transition">{t('common.cancel')}</button>
+                    <button onClick={() => onConfirm(chosen)} disabled={chosen.length === 0} className="bg-pink-500 text-white font-bold py-2 px-4 rounded-full hover:bg-pink-600 transition disabled:opacity-50">{t('import.confirm', { count: chosen.length })}</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default WorkoutImportDialog;
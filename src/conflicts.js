@@ -0,0 +1,33 @@
+import { defaultI18n } from './i18n';
+
+// --- Write Conflicts ---
+// Tracking and plan changes are applied as updates to the latest stored documents
+// (see store.runTransaction), so edits to different cells or fields from two tabs
+// or devices both survive. When the very value a change was based on has been
+// changed elsewhere, the update throws a ConflictError instead of overwriting it.
+// Its `code` names the message under conflict.* in the catalogs, so the screen can
+// show it in the user's language; `message` is the English text.
+
+export class ConflictError extends Error {
+    constructor(code) {
+        super(defaultI18n.t(`conflict.${code}`));
+        this.name = 'ConflictError';
+        this.code = code;
+    }
+}
+
+export const isConflict = (error) => error?.name === 'ConflictError';
+
+// Deep equality that ignores key order, which Firestore does not preserve.
+export const isSameValue = (a, b) => {
+    if (a === b) return true;
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && isSameValue(a[key], b[key]));
+};
+
+export const expectUnchanged = (actual, expected, code) => {
+    if (!isSameValue(actual ?? null, expected ?? null)) throw new ConflictError(code);
+};
@@ -0,0 +1,113 @@
+// --- Goals ---
+// A plan may set goals, each a type and a target:
+//   cycleRate     complete `target`% of the non-rest sessions of a cycle with a
+//                 full-weight status (Done in the default scale)
+//   cleanCycles   `target` cycles in a row where every non-rest session got a
+//                 positive status; a past session left unlogged breaks the run
+//   cycles        finish `target` cycles, i.e. give every non-rest session a status
+// Progress is worked out from the tracked sessions of stats.getTrackedSessions, so
+// each cycle is judged by the plan version it was tracked under.
+//
+// Goals met are recorded in trackingData.achievements, keyed by goal (see
+// achievements.js). An achievement keeps its own copy of the goal, so it stays when
+// the goal is edited or removed, or when later changes take the progress back down.
+
+export const GOAL_TYPES = {
+    cycleRate: { defaultTarget: 90, max: 100 },
+    cleanCycles: { defaultTarget: 10, max: 1000 },
+    cycles: { defaultTarget: 12, max: 1000 },
+};
+export const MAX_GOALS = 10;
+
+const toTarget = (raw, max) => {
+    const n = Number(raw);
+    return Number.isFinite(n) && n >= 1 ? Math.min(Math.round(n), max) : null;
+};
+
+const sanitizeGoal = (raw) => {
+    const type = GOAL_TYPES[raw?.type] ? raw.type : null;
+    const target = type && toTarget(raw.target, GOAL_TYPES[type].max);
+    return target ? { type, target } : null;
+};
+
+export const getGoalKey = ({ type, target }) => `${type}-${target}`;
+
+// Valid goals without duplicates, or null when there are none.
+export const sanitizeGoals = (raw) => {
+    if (!Array.isArray(raw)) return null;
+    const goals = [];
+    raw.map(sanitizeGoal).forEach(goal => {
+        if (goal && goals.length < MAX_GOALS && !goals.some(g => getGoalKey(g) === getGoalKey(goal))) goals.push(goal);
+    });
+    return goals.length > 0 ? goals : null;
+};
+
+// Per cycle: how many non-rest sessions it has, how many have a status, a full one
+// and one that is not positive. Cycles with only rest sessions are left out.
+const summarizeCycles = (sessions, currentCycleIndex) => Array.from({ length: currentCycleIndex + 1 }, (_, cycle) => {
+    const entries = sessions.filter(s => s.cycle === cycle);
+    return {
+        cycle,
+        total: entries.length,
+        logged: entries.filter(s => s.status !== 0).length,
+        full: entries.filter(s => s.score >= 1).length,
+        negative: entries.filter(s => s.status !== 0 && !s.isPositive).length,
+        isPast: cycle < currentCycleIndex,
+    };
+}).filter(c => c.total > 0);
+
+// Each measure walks the cycles in order and returns the current value and the
+// first cycle where the target was reached, or null.
+const MEASURES = {
+    cycleRate: (cycles, target) => {
+        const reached = cycles.find(c => (c.full / c.total) * 100 >= target);
+        const current = cycles[cycles.length - 1];
+        const value = current && !current.isPast ? Math.round((current.full / current.total) * 100) : 0;
+        return { value, achievedCycle: reached?.cycle ?? null };
+    },
+    cleanCycles: (cycles, target) => {
+        let run = 0;
+        let achievedCycle = null;
+        cycles.forEach(c => {
+            const isClean = c.negative === 0 && c.logged === c.total;
+            if (isClean) run++;
+            else if (c.isPast || c.negative > 0) run = 0;
+            if (run >= target && achievedCycle === null) achievedCycle = c.cycle;
+        });
+        return { value: run, achievedCycle };
+    },
+    cycles: (cycles, target) => {
+        let count = 0;
+        let achievedCycle = null;
+        cycles.forEach(c => {
+            if (c.logged === c.total) count++;
+            if (count >= target && achievedCycle === null) achievedCycle = c.cycle;
+        });
+        return { value: count, achievedCycle };
+    },
+};
+
+// One entry per goal: its current value towards the target, progress from 0 to 1,
+// and the cycle it was first met in (null if not yet).
+export const evaluateGoals = (goals, sessions, currentCycleIndex) => {
+    const cycles = summarizeCycles(sessions, currentCycleIndex);
+    return (goals || []).map(goal => {
+        const { value, achievedCycle } = MEASURES[goal.type](cycles, goal.target);
+        return { ...goal, key: getGoalKey(goal), value, progress: Math.min(1, value / goal.target), achievedCycle };
+    });
+};
+
+export const sanitizeAchievements = (raw) => {
+    const achievements = {};
+    for (const key of Object.keys(raw && typeof raw === 'object' ? raw : {})) {
+        const goal = sanitizeGoal(raw[key]);
+        const { at, cycle } = raw[key];
+        if (!goal || getGoalKey(goal) !== key || typeof at !== 'string') continue;
+        const n = Number(cycle);
+        achievements[key] = { ...goal, cycle: Number.isInteger(n) && n >= 0 ? n : 0, at };
+    }
+    return achievements;
+};
+
+// Most recent first.
+export const listAchievements = (achievements = {}) => Object.values(achievements).sort((a, b) => b.at.localeCompare(a.at));
@@ -0,0 +1,50 @@
+import { sanitizeGoals, evaluateGoals, sanitizeAchievements, listAchievements } from './goals';
+import { getTrackedSessions } from './stats';
+import { sanitizePlanData, sanitizeTrackingData } from './plan';
+
+const plan = sanitizePlanData({ sessions: 3, activities: [{ id: 'a', text: 'Run' }, { id: 'r', isRest: true }, { id: 'b', text: 'Bike' }] });
+// Cycle 1 has a Missed, cycle 2 a Partial; the current cycle 4 is half logged.
+const trackingData = sanitizeTrackingData({
+  grid: [{ id: 'a', row: [1, 1, 2, 1, 1] }, { id: 'r', row: [] }, { id: 'b', row: [1, 3, 1, 1, 0] }],
+  currentCycleIndex: 4,
+  highestCycleIndex: 4,
+});
+const evaluate = (goals) => evaluateGoals(goals, getTrackedSessions(plan, trackingData), trackingData.currentCycleIndex);
+
+test('keeps valid goals once each, with targets clamped to their type', () => {
+  expect(sanitizeGoals([
+    { type: 'cycleRate', target: '95' },
+    { type: 'cycleRate', target: 95 },
+    { type: 'bogus', target: 3 },
+    { type: 'cycleRate', target: 150 },
+    { type: 'cycles', target: 0 },
+  ])).toEqual([{ type: 'cycleRate', target: 95 }, { type: 'cycleRate', target: 100 }]);
+  expect(sanitizeGoals([])).toBeNull();
+  expect(sanitizeGoals('cycles')).toBeNull();
+});
+
+test('evaluates each goal from the grid and remembers the cycle it was first met in', () => {
+  expect(evaluate([{ type: 'cycleRate', target: 90 }, { type: 'cleanCycles', target: 3 }, { type: 'cleanCycles', target: 1 }, { type: 'cycles', target: 4 }, { type: 'cycles', target: 12 }])
+    .map(({ key, value, progress, achievedCycle }) => [key, value, progress, achievedCycle])).toEqual([
+    ['cycleRate-90', 50, 50 / 90, 0],
+    ['cleanCycles-3', 2, 2 / 3, null],
+    ['cleanCycles-1', 2, 1, 0],
+    ['cycles-4', 4, 1, 3],
+    ['cycles-12', 4, 4 / 12, null],
+  ]);
+});
+
+test('a past session left unlogged breaks a clean run, a pending one does not', () => {
+  const sessions = getTrackedSessions(plan, sanitizeTrackingData({ grid: [{ id: 'a', row: [1, 0, 1, 0] }, { id: 'r', row: [] }, { id: 'b', row: [1, 1, 1, 0] }], currentCycleIndex: 3 }));
+  expect(evaluateGoals([{ type: 'cleanCycles', target: 2 }], sessions, 3)[0]).toMatchObject({ value: 1, achievedCycle: null });
+});
+
+test('achievements keep their own goal and are listed newest first', () => {
+  const achievements = sanitizeAchievements({
+    'cycles-4': { type: 'cycles', target: 4, cycle: 3, at: '2024-03-01T10:00:00.000Z' },
+    'cycleRate-90': { type: 'cycleRate', target: 90, cycle: 0, at: '2024-03-05T10:00:00.000Z' },
+    'cycles-5': { type: 'cycles', target: 4, cycle: 3, at: '2024-03-01T10:00:00.000Z' },
+    'cycles-6': { type: 'cycles', target: 6 },
+  });
+  expect(listAchievements(achievements).map(a => `${a.type}-${a.target}`)).toEqual(['cycleRate-90', 'cycles-4']);
+});
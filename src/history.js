@@ -0,0 +1,95 @@
+import { expectUnchanged, isConflict } from './conflicts';
+
+// --- Undo / Redo ---
+// Every undoable action touches a single plan. The history snapshots that plan's
+// plan and tracking documents before and after the action, so undo and redo
+// simply write a snapshot back, and deleting a plan can be reversed by recreating it.
+// A snapshot is only written back while the plan is still exactly as the action
+// left it; if it has been changed on another device or tab since, the step is
+// dropped with a ConflictError rather than overwriting that change.
+
+const takeSnapshot = async (store, planId) => ({
+    plan: await store.getPlan(planId),
+    trackingData: await store.getTracking(planId),
+});
+
+const restoreSnapshot = (store, planId, expected, snapshot, step) => store.runTransaction(planId, (current) => {
+    expectUnchanged(current, expected, step);
+    if (!snapshot.plan) return { plan: null, trackingData: null };
+    return { plan: snapshot.plan, trackingData: snapshot.trackingData ?? undefined };
+});
+
+export const createCommandHistory = ({ limit = 50 } = {}) => {
+    let undoStack = [];
+    let redoStack = [];
+    let queue = Promise.resolve();
+    const listeners = new Set();
+
+    const getState = () => ({
+        canUndo: undoStack.length > 0,
+        canRedo: redoStack.length > 0,
+        undoLabel: undoStack[undoStack.length - 1]?.label ?? null,
+        redoLabel: redoStack[redoStack.length - 1]?.label ?? null,
+    });
+    const emit = () => listeners.forEach(listener => listener(getState()));
+
+    const dropConflicting = (error, entry) => {
+        if (isConflict(error)) {
+            undoStack = undoStack.filter(e => e !== entry);
+            redoStack = redoStack.filter(e => e !== entry);
+            emit();
+        }
+        throw error;
+    };
+
+    // Operations run one at a time so a fast undo cannot interleave with the action it reverts.
+    const enqueue = (operation) => {
+        const result = queue.then(operation);
+        queue = result.catch(() => {});
+        return result;
+    };
+
+    return {
+        getState,
+        subscribe: (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+        // Runs `action` and records it. Resolves to the recorded entry.
+        run: ({ store, planId, label }, action) => enqueue(async () => {
+            const before = await takeSnapshot(store, planId);
+            await action();
+            const after = await takeSnapshot(store, planId);
+            const entry = { store, planId, label, before, after };
+            undoStack = [...undoStack, entry].slice(-limit);
+            redoStack = [];
+            emit();
+            return entry;
+        }),
+        // With `only`, nothing is undone unless that entry is still the latest one.
+        undo: (only) => enqueue(async () => {
+            const entry = undoStack[undoStack.length - 1];
+            if (!entry || (only && entry !== only)) return null;
+            await restoreSnapshot(entry.store, entry.planId, entry.after, entry.before, 'undo').catch(error => dropConflicting(error, entry));
+            undoStack = undoStack.slice(0, -1);
+            redoStack = [...redoStack, entry];
+            emit();
+            return entry;
+        }),
+        redo: () => enqueue(async () => {
+            const entry = redoStack[redoStack.length - 1];
+            if (!entry) return null;
+            await restoreSnapshot(entry.store, entry.planId, entry.before, entry.after, 'redo').catch(error => dropConflicting(error, entry));
+            redoStack = redoStack.slice(0, -1);
+            undoStack = [...undoStack, entry];
+            emit();
+            return entry;
+        }),
+        isLatest: (entry) => undoStack[undoStack.length - 1] === entry,
+        clear: () => {
+            undoStack = [];
+            redoStack = [];
+            emit();
+        },
+    };
+};
@@ -0,0 +1,78 @@
+import { createCommandHistory } from './history';
+import { createMemoryStore } from './storage/memoryStore';
+import { isConflict } from './conflicts';
+
+const plan = { name: 'Base', sessions: 1, activities: [{ text: 'Run', isRest: false }] };
+const setup = () => createMemoryStore({ plans: { p: plan }, trackingData: { p: { grid: [{ row: [0] }], currentCycleIndex: 0 } } });
+
+test('undoes and redoes a tracking change', async () => {
+  const store = setup();
+  const history = createCommandHistory();
+  await history.run({ store, planId: 'p', label: 'Status change' }, () => store.saveTracking('p', { grid: [{ row: [1] }], currentCycleIndex: 0 }));
+  expect(history.getState()).toMatchObject({ canUndo: true, canRedo: false, undoLabel: 'Status change' });
+
+  await history.undo();
+  expect((await store.getTracking('p')).grid[0].row).toEqual([0]);
+  expect(history.getState()).toMatchObject({ canUndo: false, canRedo: true });
+
+  await history.redo();
+  expect((await store.getTracking('p')).grid[0].row).toEqual([1]);
+});
+
+test('undoing a deletion restores both documents under the same id', async () => {
+  const store = setup();
+  const history = createCommandHistory();
+  await history.run({ store, planId: 'p', label: 'Delete plan' }, () => store.deletePlan('p'));
+  expect(await store.getPlan('p')).toBeNull();
+  await history.undo();
+  expect(await store.getPlan('p')).toEqual(plan);
+  expect((await store.getTracking('p')).grid).toEqual([{ row: [0] }]);
+});
+
+test('a new action clears the redo stack and the stack is bounded', async () => {
+  const store = setup();
+  const history = createCommandHistory({ limit: 2 });
+  const tap = (v) => history.run({ store, planId: 'p', label: `tap ${v}` }, () => store.saveTracking('p', { grid: [{ row: [v] }] }));
+  await tap(1);
+  await tap(2);
+  await tap(3);
+  await history.undo();
+  await tap(4);
+  expect(history.getState()).toMatchObject({ canRedo: false, undoLabel: 'tap 4' });
+  await history.undo();
+  await history.undo();
+  expect(history.getState().canUndo).toBe(false);
+  expect((await store.getTracking('p')).grid[0].row).toEqual([1]);
+});
+
+test('notifies subscribers of availability changes', async () => {
+  const store = setup();
+  const history = createCommandHistory();
+  const states = [];
+  history.subscribe(s => states.push(s.canUndo));
+  await history.run({ store, planId: 'p', label: 'x' }, async () => {});
+  await history.undo();
+  expect(states).toEqual([true, false]);
+});
+
+test('does not undo over a change made elsewhere since, and drops that step', async () => {
+  const store = setup();
+  const history = createCommandHistory();
+  await history.run({ store, planId: 'p', label: 'Status change' }, () => store.saveTracking('p', { grid: [{ row: [1] }], currentCycleIndex: 0 }));
+  await store.saveTracking('p', { grid: [{ row: [2] }], currentCycleIndex: 0 });
+  const error = await history.undo().catch(e => e);
+  expect(isConflict(error)).toBe(true);
+  expect((await store.getTracking('p')).grid[0].row).toEqual([2]);
+  expect(history.getState()).toMatchObject({ canUndo: false, canRedo: false });
+});
+
+test('undoing a given entry does nothing once a later action was recorded', async () => {
+  const store = setup();
+  const history = createCommandHistory();
+  const entry = await history.run({ store, planId: 'p', label: 'First' }, () => store.saveTracking('p', { grid: [{ row: [1] }], currentCycleIndex: 0 }));
+  expect(history.isLatest(entry)).toBe(true);
+  await history.run({ store, planId: 'p', label: 'Second' }, () => store.saveTracking('p', { grid: [{ row: [2] }], currentCycleIndex: 0 }));
+  expect(history.isLatest(entry)).toBe(false);
+  expect(await history.undo(entry)).toBeNull();
+  expect((await store.getTracking('p')).grid[0].row).toEqual([2]);
+});
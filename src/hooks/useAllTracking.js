@@ -0,0 +1,23 @@
+import { useState, useEffect, useMemo } from 'react';
+import { sanitizeTrackingData } from '../plan';
+
+// --- Live tracking documents for every plan ---
+// Keyed by plan id. Subscriptions follow the list of plan ids, so editing a plan
+// does not resubscribe all of them.
+const useAllTracking = (store, plans) => {
+    const [trackingByPlan, setTrackingByPlan] = useState({});
+    const planIds = useMemo(() => plans.map(p => p.id).join('\n'), [plans]);
+
+    useEffect(() => {
+        setTrackingByPlan({});
+        if (!store || !planIds) return;
+        const unsubscribes = planIds.split('\n').map(planId => store.subscribeTracking(planId, (rawTracking) => {
+            setTrackingByPlan(current => ({ ...current, [planId]: sanitizeTrackingData(rawTracking) }));
+        }));
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [store, planIds]);
+
+    return trackingByPlan;
+};
+
+export default useAllTracking;
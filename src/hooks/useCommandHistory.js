@@ -0,0 +1,13 @@
+import { useState, useEffect } from 'react';
+
+// --- Undo/redo availability, kept in sync with a command history ---
+const useCommandHistory = (history) => {
+    const [state, setState] = useState(() => history.getState());
+    useEffect(() => {
+        setState(history.getState());
+        return history.subscribe(setState);
+    }, [history]);
+    return state;
+};
+
+export default useCommandHistory;
@@ -0,0 +1,30 @@
+import { useState, useEffect, useCallback } from 'react';
+import { parseRoute, formatRoute } from '../routes';
+
+// --- Current hash route, kept in sync with the browser history ---
+// navigate() pushes a history entry (or replaces the current one) without
+// touching the path, so the app keeps working under the GitHub Pages sub-path.
+const useHashRoute = () => {
+    const [route, setRoute] = useState(() => parseRoute(window.location.hash));
+
+    useEffect(() => {
+        const onChange = () => setRoute(parseRoute(window.location.hash));
+        window.addEventListener('popstate', onChange);
+        window.addEventListener('hashchange', onChange);
+        return () => {
+            window.removeEventListener('popstate', onChange);
+            window.removeEventListener('hashchange', onChange);
+        };
+    }, []);
+
+    const navigate = useCallback((nextRoute, { replace = false } = {}) => {
+        const url = `${window.location.pathname}${window.location.search}${formatRoute(nextRoute)}`;
+        if (replace) window.history.replaceState(null, '', url);
+        else if (formatRoute(nextRoute) !== window.location.hash) window.history.pushState(null, '', url);
+        setRoute(parseRoute(formatRoute(nextRoute)));
+    }, []);
+
+    return [route, navigate];
+};
+
+export default useHashRoute;
@@ -0,0 +1,41 @@
+import React, { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
+import { createI18n, detectLocale, defaultI18n } from '../i18n';
+
+// --- Active language ---
+// Follows the browser's languages until one is picked, which is then remembered
+// in this browser.
+const STORAGE_KEY = 'pasta:locale';
+
+const I18nContext = createContext({ ...defaultI18n, setLocale: () => {} });
+
+const readStoredLocale = () => {
+    try {
+        return window.localStorage.getItem(STORAGE_KEY);
+    } catch {
+        return null;
+    }
+};
+
+export const I18nProvider = ({ children }) => {
+    const [locale, setLocaleState] = useState(() => createI18n(readStoredLocale() ?? detectLocale(navigator.languages ?? [navigator.language])).locale);
+
+    useEffect(() => {
+        document.documentElement.lang = locale;
+    }, [locale]);
+
+    const setLocale = useCallback((nextLocale) => {
+        setLocaleState(nextLocale);
+        try {
+            window.localStorage.setItem(STORAGE_KEY, nextLocale);
+        } catch (error) {
+            console.error("Error saving language:", error);
+        }
+    }, []);
+
+    const value = useMemo(() => ({ ...createI18n(locale), setLocale }), [locale, setLocale]);
+    return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+const useI18n = () => useContext(I18nContext);
+
+export default useI18n;
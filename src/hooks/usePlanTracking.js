@@ -0,0 +1,29 @@
+import { useState, useEffect } from 'react';
+import { sanitizePlanData, sanitizeTrackingData } from '../plan';
+
+// --- Live plan + tracking document for one plan ---
+const usePlanTracking = (store, planId) => {
+    const [plan, setPlan] = useState(null);
+    const [trackingData, setTrackingData] = useState(null);
+
+    useEffect(() => {
+        if (!store || !planId) {
+            setPlan(null);
+            setTrackingData(null);
+            return;
+        }
+
+        const unsubPlan = store.subscribePlan(planId, (rawPlan) => {
+            setPlan(rawPlan ? sanitizePlanData(rawPlan) : { sessions: 0, activities: [] });
+        });
+        const unsubTracking = store.subscribeTracking(planId, (rawTracking) => {
+            setTrackingData(sanitizeTrackingData(rawTracking));
+        });
+
+        return () => { unsubPlan(); unsubTracking(); };
+    }, [store, planId]);
+
+    return { plan, trackingData };
+};
+
+export default usePlanTracking;
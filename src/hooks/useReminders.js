@@ -0,0 +1,57 @@
+import { useState, useEffect } from 'react';
+import { sanitizePlanData, sanitizeTrackingData } from '../plan';
+import { scheduleReminders } from '../reminders';
+import useI18n from './useI18n';
+
+// --- Reminder notifications ---
+// Schedules the reminders of every plan that has them, for as long as the app is open,
+// starting as soon as permission to notify is granted through requestNotificationPermission.
+const getPermission = () => (typeof Notification === 'undefined' ? 'unsupported' : Notification.permission);
+const permissionListeners = new Set();
+
+export const requestNotificationPermission = async () => {
+    const permission = getPermission() === 'granted' ? 'granted' : await Notification.requestPermission();
+    permissionListeners.forEach(listener => listener(permission));
+    return permission;
+};
+
+const describeReminder = ({ session, unlogged, cycle }, { t }) => {
+    const lines = [];
+    if (session?.isRest) lines.push(t('reminders.rest'));
+    else if (session) lines.push(t('reminders.session', { activity: session.activity || t('common.free'), session: session.session + 1, cycle: session.cycle + 1 }));
+    if (unlogged > 0) lines.push(t('reminders.unlogged', { count: unlogged, cycle: cycle + 1 }));
+    return lines.join(' ');
+};
+
+const useReminders = (store, plans) => {
+    const i18n = useI18n();
+    const [permission, setPermission] = useState(getPermission);
+
+    useEffect(() => {
+        permissionListeners.add(setPermission);
+        return () => permissionListeners.delete(setPermission);
+    }, []);
+
+    useEffect(() => {
+        if (!store || permission !== 'granted') return;
+        const stops = plans.filter(p => p.reminders).map(({ id, ...rawPlan }) => {
+            const plan = sanitizePlanData(rawPlan, i18n);
+            let cancel = () => {};
+            const unsubscribe = store.subscribeTracking(id, (rawTracking) => {
+                cancel();
+                cancel = scheduleReminders(plan, sanitizeTrackingData(rawTracking), (reminder) => {
+                    try {
+                        const notification = new Notification(plan.name, { body: describeReminder(reminder, i18n), tag: `pasta-reminder-${id}` });
+                        notification.onclick = () => window.focus();
+                    } catch (error) {
+                        console.error("Error showing reminder:", error);
+                    }
+                });
+            });
+            return () => { unsubscribe(); cancel(); };
+        });
+        return () => stops.forEach(stop => stop());
+    }, [store, plans, i18n, permission]);
+};
+
+export default useReminders;
@@ -0,0 +1,374 @@
+// --- English Messages ---
+const en = {
+    common: {
+        loading: 'Loading...',
+        cancel: 'Cancel',
+        close: 'Close',
+        restore: 'Restore',
+        undo: 'Undo',
+        rest: 'Rest',
+        free: 'Free',
+        noPlanFound: 'No training plan found.',
+        selectOrCreate: 'Select a plan, or create a new one to get started.',
+    },
+    app: {
+        tagline: 'is Another Sport Tracking App',
+        language: 'Language',
+        authFailed: 'Authentication failed. Please refresh.',
+        account: 'Account',
+        guestAccount: 'Guest account',
+        selectPlan: 'Select Plan',
+        undo: 'Undo',
+        redo: 'Redo',
+        undoAction: 'Undo {action} (Ctrl+Z)',
+        redoAction: 'Redo {action} (Ctrl+Shift+Z)',
+        newPlanName: 'New Plan {count}',
+        deleted: 'Deleted "{name}"',
+        deletedFallback: 'plan',
+        nav: { today: 'Today', tracking: 'Tracking', stats: 'Stats', plan: 'Plan' },
+    },
+    history: {
+        statusChange: 'status change',
+        savePlan: 'save plan',
+        sessionLog: 'session log',
+        cycleChange: 'cycle change',
+        deletePlan: 'delete plan',
+        restoreVersion: 'restore version',
+        workoutImport: 'workout import',
+    },
+    conflict: {
+        sessionStatus: 'This session was updated on another device or tab. Check its status and tap again.',
+        sessionLog: "This session's log was changed on another device or tab. Open it again to see the latest version.",
+        cycle: 'The cycle was changed on another device or tab.',
+        planSave: 'This plan was changed on another device or tab while you were editing. Your edits were not saved; check the latest version and save again.',
+        undo: 'This plan was changed on another device or tab, so the last step can no longer be undone.',
+        redo: 'This plan was changed on another device or tab, so the last step can no longer be redone.',
+        workoutImport: 'A session was logged on another device or tab during the import. Nothing was imported; check the grid and import again.',
+        dismiss: 'Dismiss conflict notice',
+    },
+    status: { none: 'None', done: 'Done', partial: 'Partial', missed: 'Missed' },
+    plan: {
+        name: 'Plan Name',
+        notFound: 'Plan not found',
+        cycleLength: 'Cycle Length',
+        startDate: 'Start Date',
+        cadence: 'One session per day, or only on:',
+        sessionsTitle: 'Define Your Sessions',
+        activityPlaceholder: 'Activity...',
+        exercises: 'Exercises',
+        exercisesCount: 'Exercises ({count})',
+        dragSession: 'Drag session {n}',
+        insertSession: 'Insert session after {n}',
+        removeSession: 'Remove session {n}',
+        restSession: 'Session {n} is a rest day',
+        save: 'Save Plan',
+        saved: 'Plan saved successfully!',
+        saveFailed: 'Failed to save plan.',
+        loadFailed: 'Failed to load plan.',
+        defaultName: 'My Plan',
+        changedElsewhere: 'This plan was changed on another device or tab while you were editing. Your edits cannot be saved over it; load the latest version to continue.',
+        loadLatest: 'Load latest version',
+        noActivePlan: 'No active plan to save.',
+        savedAsTemplate: 'Saved as template.',
+        templateFailed: 'Failed to save template.',
+        duplicateFailed: 'Failed to duplicate plan.',
+        deleteFailed: 'Failed to delete plan.',
+        duplicatePrompt: 'Duplicate this plan:',
+        planOnly: 'Plan only',
+        withTracking: 'With tracking',
+        saveAsTemplate: 'Save as Template',
+        duplicate: 'Duplicate',
+        newPlan: 'New Plan',
+        deletePlan: 'Delete Plan',
+        loading: 'Loading Plan...',
+        noneSelected: 'No Plan Selected',
+        getStarted: 'Create a new plan to get started.',
+    },
+    tracking: {
+        session: 'Session',
+        cycle: 'Cycle {n}',
+        noActivity: 'No activity',
+        cell: 'Session {session}, Cycle {cycle}: {status}',
+        cellLogged: ', logged',
+        cellBackfilled: ', backfilled',
+        previous: 'Previous',
+        nextCycle: 'Next Cycle',
+        editPast: 'Edit past cycles',
+        logTitle: '{activity} - Cycle {n}',
+        logSaved: 'Session log saved.',
+        cycleChanged: 'Cycle {n} is now the current cycle.',
+        keyboardHelp: 'Use the arrow keys to move between sessions, Enter or Space to change the status, and Shift+Enter to open the session log.',
+    },
+    today: {
+        week: 'This week',
+        weekDone: { one: '{positive} of {count} session done', other: '{positive} of {count} sessions done' },
+        weekEmpty: 'No sessions to count yet this week.',
+        weekNote: 'Covers the last seven days of plans with a start date, and the current cycle of the others.',
+        next: 'Session {session} of cycle {cycle}',
+        allLogged: 'Every session of cycle {cycle} is logged.',
+        open: 'Open tracking',
+        statusFor: 'Status of {activity}',
+        saved: '{plan}: session {session} marked {status}.',
+    },
+    chart: {
+        title: 'Cycle Summary',
+        cycle: 'C{n}',
+    },
+    units: {
+        minutes: '{value} min',
+        km: '{value} km',
+        load: 'kg',
+        reps: 'reps',
+        duration: 'min',
+        sets: 'sets',
+    },
+    target: {
+        exercise: 'Exercise',
+        setsReps: '{sets}×{reps}',
+        sets: { one: '{count} set', other: '{count} sets' },
+        reps: { one: '{count} rep', other: '{count} reps' },
+        load: '@ {value} kg',
+    },
+    progression: {
+        summary: '+{amount} {unit} {cadence}',
+        perCycle: 'per cycle',
+        everyCycles: 'every {count} cycles',
+        ifDone: ' if previous cycle was Done',
+    },
+    exercise: {
+        placeholder: 'Exercise...',
+        name: 'Exercise name',
+        remove: 'Remove exercise',
+        sets: 'Sets',
+        reps: 'Reps',
+        duration: 'Min',
+        load: 'Kg',
+        progression: 'Progression +',
+        amount: 'Progression amount',
+        field: 'Progression field',
+        every: 'every',
+        cyclesBetween: 'Cycles between progressions',
+        cycles: 'cycle(s)',
+        condition: 'Progression condition',
+        always: 'always',
+        previousDone: 'if previous cycle was Done',
+        add: '+ Add exercise',
+    },
+    statuses: {
+        title: 'Statuses',
+        usingDefault: 'Using the default statuses: {labels}.',
+        customise: 'Customise',
+        intro: 'Tapping a session steps through these statuses in order. The weight (0 to 1) is what a session scores for adherence; a weight of 1 counts as Done for progressions. Positive statuses keep a streak going.',
+        labelPlaceholder: 'Status...',
+        label: 'Status {n} label',
+        color: 'Status {n} colour',
+        weight: 'Weight',
+        positive: 'Positive',
+        moveUp: 'Move status {n} up',
+        moveDown: 'Move status {n} down',
+        remove: 'Remove status {n}',
+        add: '+ Add status',
+        useDefault: 'Use default statuses',
+        colors: { green: 'Green', teal: 'Teal', blue: 'Blue', purple: 'Purple', yellow: 'Yellow', orange: 'Orange', pink: 'Pink', red: 'Red', gray: 'Grey' },
+    },
+    reminders: {
+        title: 'Reminders',
+        enable: 'Remind me to train',
+        time: 'Time',
+        skipRest: 'Skip rest days',
+        nudge: 'Mention sessions not logged yet',
+        whileOpen: 'Reminders are shown while PASTA is open in a tab or installed on this device.',
+        unsupported: 'This browser cannot show notifications.',
+        blocked: 'Notifications are blocked. Allow them for this site to get reminders.',
+        session: 'Time for {activity} (session {session}, cycle {cycle}).',
+        rest: 'Rest day today.',
+        unlogged: { one: '{count} session of cycle {cycle} is not logged yet.', other: '{count} sessions of cycle {cycle} are not logged yet.' },
+    },
+    goals: {
+        title: 'Goals',
+        intro: 'Progress is worked out from the tracking grid. Each goal met is kept in the achievements log, even if the goal changes later.',
+        add: '+ Add goal',
+        type: 'Goal {n}',
+        target: 'Goal {n} target',
+        remove: 'Remove goal {n}',
+        types: { cycleRate: 'Share of a cycle completed (%)', cleanCycles: 'Cycles in a row without a miss', cycles: 'Cycles finished' },
+        describe: {
+            cycleRate: 'Complete {count}% of the sessions in a cycle',
+            cleanCycles: { one: '{count} cycle without a miss', other: '{count} cycles in a row without a miss' },
+            cycles: { one: 'Finish {count} cycle', other: 'Finish {count} cycles' },
+        },
+        progress: { cycleRate: '{value} this cycle', cleanCycles: '{value} of {target} in a row', cycles: '{value} of {target}' },
+        earned: 'Earned',
+        achievements: 'Achievements',
+        earnedOn: 'Earned {date}, in cycle {cycle}',
+    },
+    import: {
+        button: 'Import GPX / TCX',
+        hint: 'or drop workout files on this page',
+        title: 'Import Workouts',
+        match: 'Session {session}# {activity} → {status}',
+        noMatch: 'No matching session in this cycle.',
+        unreadable: 'Could not read: {files}',
+        confirm: { one: 'Mark {count} session', other: 'Mark {count} sessions' },
+        applied: { one: '{count} session marked from imported workouts.', other: '{count} sessions marked from imported workouts.' },
+        sports: { running: 'Run', cycling: 'Ride', swimming: 'Swim', walking: 'Walk', other: 'Workout' },
+    },
+    log: {
+        duration: 'Duration',
+        distance: 'Distance',
+        rpe: 'Effort (RPE)',
+        heartRate: 'Avg Heart Rate',
+        notes: 'Notes',
+        clear: 'Clear',
+        save: 'Save Log',
+    },
+    stats: {
+        overview: 'Overview',
+        currentStreak: 'Current streak',
+        longestStreak: 'Longest streak',
+        adherence: 'Adherence',
+        allTime: 'All time',
+        adherenceNote: 'Adherence covers the last {count} cycles.',
+        cycles: 'Cycles',
+        best: 'Best: {cycle}',
+        worst: 'Worst: {cycle}',
+        cycleRate: 'Cycle {n} ({rate})',
+        rolling: 'Rolling adherence per cycle',
+        rollingBar: 'Cycle {n}: {rate}',
+        bySession: 'By Session',
+        byActivity: 'By Activity',
+        statusCount: '{count} {label}',
+        notLogged: '{count} not logged',
+    },
+    versions: {
+        title: 'Version History',
+        original: 'Original plan',
+        savedAt: '{date} · Cycle {n}',
+        summary: { one: '{name} · {count} session', other: '{name} · {count} sessions' },
+        current: 'Current',
+        compare: 'Compare',
+        with: 'With',
+        name: 'Name:',
+        statusesChanged: 'Statuses changed.',
+        noDifferences: 'No differences.',
+        restored: 'Version restored.',
+        restoreFailed: 'Failed to restore version.',
+        changes: { added: 'added', removed: 'removed', moved: 'moved', text: 'activity', rest: 'rest flag', exercises: 'exercises' },
+    },
+    audit: {
+        title: 'Edit History',
+        entry: 'Cycle {cycle}, {session}# {activity}: {from} → {to}',
+        backfilled: 'Backfilled {date} during cycle {cycle}',
+    },
+    backup: {
+        title: 'Backup & Restore',
+        exportJson: 'Export JSON',
+        exportCsv: 'Export CSV',
+        importJson: 'Import JSON',
+        exportFailed: 'Failed to export data.',
+        readFailed: 'Failed to read file.',
+        restored: 'Restored {created} new plan(s), merged {merged}.',
+        restoreFailed: 'Failed to restore backup.',
+        ready: '{file}: {count} plan(s) ready to restore.',
+        merge: 'Merge into existing plans',
+        asNew: 'Restore as new plans',
+        errors: {
+            plan: 'Plan {n}',
+            namedPlan: 'Plan {n} ({name})',
+            invalidJson: 'File is not valid JSON.',
+            notBackup: 'File is not a PASTA backup.',
+            newerVersion: 'Backup version {version} is newer than this app supports.',
+            missingPlan: '{plan}: missing plan definition.',
+            noSessions: '{plan}: plan has no sessions.',
+            malformedTracking: '{plan}: tracking data is malformed.',
+        },
+    },
+    calendar: {
+        includeRest: 'Include rest days',
+        export: 'Export to Calendar (.ics)',
+        needsStartDate: 'Save the plan with a start date first.',
+        failed: 'Failed to export calendar.',
+        description: '{plan} - Cycle {cycle}, session {session}',
+    },
+    sync: {
+        changes: { one: '{count} change', other: '{count} changes' },
+        failed: '{changes} failed to sync',
+        dismiss: 'Dismiss sync error',
+        syncing: 'Syncing {changes}…',
+        offlinePending: 'Offline · {changes} waiting to sync',
+        offline: 'Offline',
+    },
+    templates: {
+        title: 'Start a New Plan',
+        mine: 'My Templates',
+        delete: 'Delete template {name}',
+        importShared: 'Import a shared plan',
+        sharePlaceholder: 'Share code or link',
+        open: 'Open',
+        summary: '{sessions}, {workouts}',
+        sessionCount: { one: '{count} session', other: '{count} sessions' },
+        workoutCount: { one: '{count} workout', other: '{count} workouts' },
+        copyName: '{name} (copy)',
+        builtIn: {
+            blank: { name: 'Blank plan', description: 'Seven free sessions to fill in yourself.' },
+            'couch-to-5k': { name: 'Couch to 5K', description: 'Three run/walk sessions a week; the jogging grows by 2 minutes after every completed session.' },
+            'strength-3-day': { name: '3-Day Strength Split', description: 'Upper body, lower body and full body days with load progression.' },
+            'push-pull-legs': { name: 'Push / Pull / Legs', description: 'Each muscle group twice a week, with one rest day.' },
+        },
+    },
+    share: {
+        title: 'Share Plan',
+        intro: 'Publishes a read-only copy of the saved plan: its name and sessions. Your schedule and tracking stay private.',
+        publish: 'Publish',
+        publishAgain: 'Publish Again',
+        code: 'Share code:',
+        link: 'Share link',
+        copy: 'Copy Link',
+        copied: 'Link copied.',
+        copyFailed: 'Could not copy; select the link instead.',
+        failed: 'Failed to share plan.',
+    },
+    shared: {
+        loading: 'Loading shared plan...',
+        notFound: 'No shared plan found for code {code}.',
+        summary: { one: 'Shared plan · {count} session · read-only', other: 'Shared plan · {count} sessions · read-only' },
+        import: 'Import as New Plan',
+    },
+    account: {
+        title: 'Account',
+        localOnly: 'Your plans are saved in this browser only. Accounts and syncing between devices are available when the app is connected to Firebase.',
+        guestIntro: "You are using PASTA as a guest. Create an account to keep your plans if this browser's data is cleared and to use them on other devices.",
+        email: 'Email',
+        password: 'Password',
+        create: 'Create Account',
+        signIn: 'Sign In',
+        continueWith: 'Continue with {provider}',
+        keepPlans: {
+            one: "When signing in to an existing account, copy this guest's {count} plan into it",
+            other: "When signing in to an existing account, copy this guest's {count} plans into it",
+        },
+        signedInAs: 'Signed in as',
+        unknownEmail: 'unknown',
+        methods: 'Sign-in methods: {methods}',
+        signOut: 'Sign Out',
+        created: 'Account created. Your plans are now saved to it.',
+        signedIn: 'Signed in.',
+        signedOut: 'Signed out.',
+        providers: { password: 'Email & password', google: 'Google' },
+        errors: {
+            invalidEmail: 'That email address is not valid.',
+            missingPassword: 'Enter a password.',
+            weakPassword: 'Use a password with at least 6 characters.',
+            emailInUse: 'An account already exists for this email. Sign in instead.',
+            credentialInUse: 'This sign-in is already linked to another account.',
+            providerLinked: 'This sign-in method is already linked to your account.',
+            wrongCredentials: 'Wrong email or password.',
+            tooManyRequests: 'Too many attempts. Try again in a few minutes.',
+            popupClosed: 'The sign-in window was closed before finishing.',
+            network: 'No connection. Check your network and try again.',
+            unknown: 'Something went wrong. Please try again.',
+        },
+    },
+};
+
+export default en;
@@ -0,0 +1,374 @@
+// --- Messages en français ---
+const fr = {
+    common: {
+        loading: 'Chargement...',
+        cancel: 'Annuler',
+        close: 'Fermer',
+        restore: 'Restaurer',
+        undo: 'Annuler',
+        rest: 'Repos',
+        free: 'Libre',
+        noPlanFound: "Aucun plan d'entraînement trouvé.",
+        selectOrCreate: 'Choisissez un plan, ou créez-en un nouveau pour commencer.',
+    },
+    app: {
+        tagline: 'est une Autre Application de Suivi Sportif',
+        language: 'Langue',
+        authFailed: "Échec de l'authentification. Veuillez recharger la page.",
+        account: 'Compte',
+        guestAccount: 'Compte invité',
+        selectPlan: 'Choisir un plan',
+        undo: 'Annuler',
+        redo: 'Rétablir',
+        undoAction: 'Annuler : {action} (Ctrl+Z)',
+        redoAction: 'Rétablir : {action} (Ctrl+Maj+Z)',
+        newPlanName: 'Nouveau plan {count}',
+        deleted: '« {name} » supprimé',
+        deletedFallback: 'plan',
+        nav: { today: "Aujourd'hui", tracking: 'Suivi', stats: 'Stats', plan: 'Plan' },
+    },
+    history: {
+        statusChange: 'changement de statut',
+        savePlan: 'enregistrement du plan',
+        sessionLog: 'journal de séance',
+        cycleChange: 'changement de cycle',
+        deletePlan: 'suppression du plan',
+        restoreVersion: 'restauration de version',
+        workoutImport: "import d'entraînements",
+    },
+    conflict: {
+        sessionStatus: 'Cette séance a été modifiée sur un autre appareil ou onglet. Vérifiez son statut et touchez à nouveau.',
+        sessionLog: 'Le journal de cette séance a été modifié sur un autre appareil ou onglet. Rouvrez-le pour voir la dernière version.',
+        cycle: 'Le cycle a été changé sur un autre appareil ou onglet.',
+        planSave: "Ce plan a été modifié sur un autre appareil ou onglet pendant que vous l'éditiez. Vos modifications n'ont pas été enregistrées ; consultez la dernière version et enregistrez à nouveau.",
+        undo: 'Ce plan a été modifié sur un autre appareil ou onglet, la dernière étape ne peut donc plus être annulée.',
+        redo: 'Ce plan a été modifié sur un autre appareil ou onglet, la dernière étape ne peut donc plus être rétablie.',
+        workoutImport: "Une séance a été saisie sur un autre appareil ou onglet pendant l'import. Rien n'a été importé ; vérifiez la grille et importez à nouveau.",
+        dismiss: "Fermer l'avis de conflit",
+    },
+    status: { none: 'Aucun', done: 'Fait', partial: 'Partiel', missed: 'Manqué' },
+    plan: {
+        name: 'Nom du plan',
+        notFound: 'Plan introuvable',
+        cycleLength: 'Longueur du cycle',
+        startDate: 'Date de début',
+        cadence: 'Une séance par jour, ou seulement le :',
+        sessionsTitle: 'Définissez vos séances',
+        activityPlaceholder: 'Activité...',
+        exercises: 'Exercices',
+        exercisesCount: 'Exercices ({count})',
+        dragSession: 'Déplacer la séance {n}',
+        insertSession: 'Insérer une séance après la {n}',
+        removeSession: 'Supprimer la séance {n}',
+        restSession: 'La séance {n} est un jour de repos',
+        save: 'Enregistrer le plan',
+        saved: 'Plan enregistré !',
+        saveFailed: "Échec de l'enregistrement du plan.",
+        loadFailed: 'Échec du chargement du plan.',
+        defaultName: 'Mon plan',
+        changedElsewhere: "Ce plan a été modifié sur un autre appareil ou onglet pendant votre saisie. Vos modifications ne peuvent pas l'écraser ; chargez la dernière version pour continuer.",
+        loadLatest: 'Charger la dernière version',
+        noActivePlan: 'Aucun plan actif à enregistrer.',
+        savedAsTemplate: 'Enregistré comme modèle.',
+        templateFailed: "Échec de l'enregistrement du modèle.",
+        duplicateFailed: 'Échec de la duplication du plan.',
+        deleteFailed: 'Échec de la suppression du plan.',
+        duplicatePrompt: 'Dupliquer ce plan :',
+        planOnly: 'Plan seul',
+        withTracking: 'Avec le suivi',
+        saveAsTemplate: 'Enregistrer comme modèle',
+        duplicate: 'Dupliquer',
+        newPlan: 'Nouveau plan',
+        deletePlan: 'Supprimer le plan',
+        loading: 'Chargement du plan...',
+        noneSelected: 'Aucun plan sélectionné',
+        getStarted: 'Créez un nouveau plan pour commencer.',
+    },
+    tracking: {
+        session: 'Séance',
+        cycle: 'Cycle {n}',
+        noActivity: 'Aucune activité',
+        cell: 'Séance {session}, cycle {cycle} : {status}',
+        cellLogged: ', journal rempli',
+        cellBackfilled: ', rempli après coup',
+        previous: 'Précédent',
+        nextCycle: 'Prochain cycle',
+        editPast: 'Modifier les cycles passés',
+        logTitle: '{activity} - Cycle {n}',
+        logSaved: 'Journal de séance enregistré.',
+        cycleChanged: 'Le cycle {n} est maintenant le cycle en cours.',
+        keyboardHelp: "Utilisez les flèches pour passer d'une séance à l'autre, Entrée ou Espace pour changer le statut, et Maj+Entrée pour ouvrir le journal de séance.",
+    },
+    today: {
+        week: 'Cette semaine',
+        weekDone: { one: 'Séances faites : {positive} sur {count}', other: 'Séances faites : {positive} sur {count}' },
+        weekEmpty: 'Aucune séance à compter cette semaine pour le moment.',
+        weekNote: 'Couvre les sept derniers jours des plans avec une date de début, et le cycle en cours des autres.',
+        next: 'Séance {session} du cycle {cycle}',
+        allLogged: 'Toutes les séances du cycle {cycle} sont enregistrées.',
+        open: 'Ouvrir le suivi',
+        statusFor: 'Statut de {activity}',
+        saved: '{plan} : séance {session} marquée {status}.',
+    },
+    chart: {
+        title: 'Résumé des cycles',
+        cycle: 'C{n}',
+    },
+    units: {
+        minutes: '{value} min',
+        km: '{value} km',
+        load: 'kg',
+        reps: 'rép.',
+        duration: 'min',
+        sets: 'séries',
+    },
+    target: {
+        exercise: 'Exercice',
+        setsReps: '{sets}×{reps}',
+        sets: { one: '{count} série', other: '{count} séries' },
+        reps: { one: '{count} rép.', other: '{count} rép.' },
+        load: 'à {value} kg',
+    },
+    progression: {
+        summary: '+{amount} {unit} {cadence}',
+        perCycle: 'par cycle',
+        everyCycles: 'tous les {count} cycles',
+        ifDone: ' si le cycle précédent est Fait',
+    },
+    exercise: {
+        placeholder: 'Exercice...',
+        name: "Nom de l'exercice",
+        remove: "Supprimer l'exercice",
+        sets: 'Séries',
+        reps: 'Rép.',
+        duration: 'Min',
+        load: 'Kg',
+        progression: 'Progression +',
+        amount: 'Valeur de progression',
+        field: 'Champ de progression',
+        every: 'tous les',
+        cyclesBetween: 'Cycles entre deux progressions',
+        cycles: 'cycle(s)',
+        condition: 'Condition de progression',
+        always: 'toujours',
+        previousDone: 'si le cycle précédent est Fait',
+        add: '+ Ajouter un exercice',
+    },
+    statuses: {
+        title: 'Statuts',
+        usingDefault: 'Statuts par défaut : {labels}.',
+        customise: 'Personnaliser',
+        intro: "Toucher une séance fait défiler ces statuts dans l'ordre. Le poids (de 0 à 1) est le score de la séance pour l'assiduité ; un poids de 1 compte comme Fait pour les progressions. Les statuts positifs prolongent une série.",
+        labelPlaceholder: 'Statut...',
+        label: 'Libellé du statut {n}',
+        color: 'Couleur du statut {n}',
+        weight: 'Poids',
+        positive: 'Positif',
+        moveUp: 'Monter le statut {n}',
+        moveDown: 'Descendre le statut {n}',
+        remove: 'Supprimer le statut {n}',
+        add: '+ Ajouter un statut',
+        useDefault: 'Utiliser les statuts par défaut',
+        colors: { green: 'Vert', teal: 'Sarcelle', blue: 'Bleu', purple: 'Violet', yellow: 'Jaune', orange: 'Orange', pink: 'Rose', red: 'Rouge', gray: 'Gris' },
+    },
+    reminders: {
+        title: 'Rappels',
+        enable: "M'envoyer des rappels",
+        time: 'Heure',
+        skipRest: 'Ignorer les jours de repos',
+        nudge: 'Signaler les séances pas encore saisies',
+        whileOpen: "Les rappels s'affichent tant que PASTA est ouvert dans un onglet ou installé sur cet appareil.",
+        unsupported: "Ce navigateur ne peut pas afficher de notifications.",
+        blocked: 'Les notifications sont bloquées. Autorisez-les pour ce site pour recevoir des rappels.',
+        session: "C'est l'heure de {activity} (séance {session}, cycle {cycle}).",
+        rest: "Jour de repos aujourd'hui.",
+        unlogged: { one: "{count} séance du cycle {cycle} n'est pas encore saisie.", other: "{count} séances du cycle {cycle} ne sont pas encore saisies." },
+    },
+    goals: {
+        title: 'Objectifs',
+        intro: "La progression est calculée à partir de la grille de suivi. Chaque objectif atteint reste dans le journal des réussites, même si l'objectif change ensuite.",
+        add: '+ Ajouter un objectif',
+        type: 'Objectif {n}',
+        target: "Cible de l'objectif {n}",
+        remove: "Supprimer l'objectif {n}",
+        types: { cycleRate: "Part d'un cycle réussie (%)", cleanCycles: "Cycles d'affilée sans séance manquée", cycles: 'Cycles terminés' },
+        describe: {
+            cycleRate: "Réussir {count} % des séances d'un cycle",
+            cleanCycles: { one: '{count} cycle sans séance manquée', other: "{count} cycles d'affilée sans séance manquée" },
+            cycles: { one: 'Terminer {count} cycle', other: 'Terminer {count} cycles' },
+        },
+        progress: { cycleRate: '{value} ce cycle-ci', cleanCycles: "{value} sur {target} d'affilée", cycles: '{value} sur {target}' },
+        earned: 'Obtenu',
+        achievements: 'Réussites',
+        earnedOn: 'Obtenu le {date}, au cycle {cycle}',
+    },
+    import: {
+        button: 'Importer GPX / TCX',
+        hint: "ou déposez des fichiers d'entraînement sur cette page",
+        title: 'Importer des entraînements',
+        match: 'Séance {session}# {activity} → {status}',
+        noMatch: 'Aucune séance correspondante dans ce cycle.',
+        unreadable: 'Lecture impossible : {files}',
+        confirm: { one: 'Marquer {count} séance', other: 'Marquer {count} séances' },
+        applied: { one: '{count} séance marquée depuis les entraînements importés.', other: '{count} séances marquées depuis les entraînements importés.' },
+        sports: { running: 'Course', cycling: 'Vélo', swimming: 'Natation', walking: 'Marche', other: 'Entraînement' },
+    },
+    log: {
+        duration: 'Durée',
+        distance: 'Distance',
+        rpe: 'Effort (RPE)',
+        heartRate: 'Fréquence cardiaque moy.',
+        notes: 'Notes',
+        clear: 'Effacer',
+        save: 'Enregistrer',
+    },
+    stats: {
+        overview: "Vue d'ensemble",
+        currentStreak: 'Série en cours',
+        longestStreak: 'Meilleure série',
+        adherence: 'Assiduité',
+        allTime: 'Depuis le début',
+        adherenceNote: "L'assiduité porte sur les {count} derniers cycles.",
+        cycles: 'Cycles',
+        best: 'Meilleur : {cycle}',
+        worst: 'Moins bon : {cycle}',
+        cycleRate: 'Cycle {n} ({rate})',
+        rolling: 'Assiduité glissante par cycle',
+        rollingBar: 'Cycle {n} : {rate}',
+        bySession: 'Par séance',
+        byActivity: 'Par activité',
+        statusCount: '{count} {label}',
+        notLogged: '{count} non saisies',
+    },
+    versions: {
+        title: 'Historique des versions',
+        original: 'Plan initial',
+        savedAt: '{date} · Cycle {n}',
+        summary: { one: '{name} · {count} séance', other: '{name} · {count} séances' },
+        current: 'Actuelle',
+        compare: 'Comparer',
+        with: 'Avec',
+        name: 'Nom :',
+        statusesChanged: 'Statuts modifiés.',
+        noDifferences: 'Aucune différence.',
+        restored: 'Version restaurée.',
+        restoreFailed: 'Échec de la restauration de la version.',
+        changes: { added: 'ajoutée', removed: 'supprimée', moved: 'déplacée', text: 'activité', rest: 'repos', exercises: 'exercices' },
+    },
+    audit: {
+        title: 'Historique des modifications',
+        entry: 'Cycle {cycle}, {session}# {activity} : {from} → {to}',
+        backfilled: 'Rempli après coup le {date} pendant le cycle {cycle}',
+    },
+    backup: {
+        title: 'Sauvegarde et restauration',
+        exportJson: 'Exporter en JSON',
+        exportCsv: 'Exporter en CSV',
+        importJson: 'Importer un JSON',
+        exportFailed: "Échec de l'export des données.",
+        readFailed: 'Échec de la lecture du fichier.',
+        restored: '{created} nouveau(x) plan(s) restauré(s), {merged} fusionné(s).',
+        restoreFailed: 'Échec de la restauration de la sauvegarde.',
+        ready: '{file} : {count} plan(s) prêt(s) à restaurer.',
+        merge: 'Fusionner avec les plans existants',
+        asNew: 'Restaurer comme nouveaux plans',
+        errors: {
+            plan: 'Plan {n}',
+            namedPlan: 'Plan {n} ({name})',
+            invalidJson: "Le fichier n'est pas un JSON valide.",
+            notBackup: "Le fichier n'est pas une sauvegarde PASTA.",
+            newerVersion: 'La sauvegarde en version {version} est plus récente que ce que gère cette application.',
+            missingPlan: '{plan} : définition du plan manquante.',
+            noSessions: "{plan} : le plan n'a aucune séance.",
+            malformedTracking: '{plan} : les données de suivi sont mal formées.',
+        },
+    },
+    calendar: {
+        includeRest: 'Inclure les jours de repos',
+        export: 'Exporter vers le calendrier (.ics)',
+        needsStartDate: "Enregistrez d'abord le plan avec une date de début.",
+        failed: "Échec de l'export du calendrier.",
+        description: '{plan} - Cycle {cycle}, séance {session}',
+    },
+    sync: {
+        changes: { one: '{count} modification', other: '{count} modifications' },
+        failed: 'Échec de la synchronisation : {changes}',
+        dismiss: "Fermer l'erreur de synchronisation",
+        syncing: 'Synchronisation : {changes}…',
+        offlinePending: 'Hors ligne · {changes} en attente',
+        offline: 'Hors ligne',
+    },
+    templates: {
+        title: 'Commencer un nouveau plan',
+        mine: 'Mes modèles',
+        delete: 'Supprimer le modèle {name}',
+        importShared: 'Importer un plan partagé',
+        sharePlaceholder: 'Code ou lien de partage',
+        open: 'Ouvrir',
+        summary: '{sessions}, {workouts}',
+        sessionCount: { one: '{count} séance', other: '{count} séances' },
+        workoutCount: { one: '{count} entraînement', other: '{count} entraînements' },
+        copyName: '{name} (copie)',
+        builtIn: {
+            blank: { name: 'Plan vide', description: 'Sept séances libres à remplir vous-même.' },
+            'couch-to-5k': { name: 'Du canapé au 5 km', description: 'Trois séances de course/marche par semaine ; le temps de course augmente de 2 minutes après chaque séance réussie.' },
+            'strength-3-day': { name: 'Force sur 3 jours', description: 'Haut du corps, bas du corps et corps entier, avec progression de charge.' },
+            'push-pull-legs': { name: 'Poussée / Tirage / Jambes', description: 'Chaque groupe musculaire deux fois par semaine, avec un jour de repos.' },
+        },
+    },
+    share: {
+        title: 'Partager le plan',
+        intro: 'Publie une copie en lecture seule du plan enregistré : son nom et ses séances. Votre calendrier et votre suivi restent privés.',
+        publish: 'Publier',
+        publishAgain: 'Publier à nouveau',
+        code: 'Code de partage :',
+        link: 'Lien de partage',
+        copy: 'Copier le lien',
+        copied: 'Lien copié.',
+        copyFailed: 'Copie impossible ; sélectionnez le lien à la place.',
+        failed: 'Échec du partage du plan.',
+    },
+    shared: {
+        loading: 'Chargement du plan partagé...',
+        notFound: 'Aucun plan partagé trouvé pour le code {code}.',
+        summary: { one: 'Plan partagé · {count} séance · lecture seule', other: 'Plan partagé · {count} séances · lecture seule' },
+        import: 'Importer comme nouveau plan',
+    },
+    account: {
+        title: 'Compte',
+        localOnly: "Vos plans sont enregistrés dans ce navigateur uniquement. Les comptes et la synchronisation entre appareils sont disponibles lorsque l'application est connectée à Firebase.",
+        guestIntro: 'Vous utilisez PASTA en invité. Créez un compte pour conserver vos plans si les données de ce navigateur sont effacées et pour les retrouver sur vos autres appareils.',
+        email: 'E-mail',
+        password: 'Mot de passe',
+        create: 'Créer un compte',
+        signIn: 'Se connecter',
+        continueWith: 'Continuer avec {provider}',
+        keepPlans: {
+            one: 'En se connectant à un compte existant, y copier le {count} plan de cet invité',
+            other: 'En se connectant à un compte existant, y copier les {count} plans de cet invité',
+        },
+        signedInAs: 'Connecté en tant que',
+        unknownEmail: 'inconnu',
+        methods: 'Méthodes de connexion : {methods}',
+        signOut: 'Se déconnecter',
+        created: 'Compte créé. Vos plans y sont désormais enregistrés.',
+        signedIn: 'Connecté.',
+        signedOut: 'Déconnecté.',
+        providers: { password: 'E-mail et mot de passe', google: 'Google' },
+        errors: {
+            invalidEmail: "Cette adresse e-mail n'est pas valide.",
+            missingPassword: 'Saisissez un mot de passe.',
+            weakPassword: "Choisissez un mot de passe d'au moins 6 caractères.",
+            emailInUse: 'Un compte existe déjà pour cet e-mail. Connectez-vous plutôt.',
+            credentialInUse: 'Cette connexion est déjà liée à un autre compte.',
+            providerLinked: 'Cette méthode de connexion est déjà liée à votre compte.',
+            wrongCredentials: 'E-mail ou mot de passe incorrect.',
+            tooManyRequests: 'Trop de tentatives. Réessayez dans quelques minutes.',
+            popupClosed: 'La fenêtre de connexion a été fermée avant la fin.',
+            network: 'Pas de connexion. Vérifiez votre réseau et réessayez.',
+            unknown: "Une erreur s'est produite. Veuillez réessayer.",
+        },
+    },
+};
+
+export default fr;
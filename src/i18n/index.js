@@ -0,0 +1,46 @@
+import en from './en';
+import fr from './fr';
+
+// --- Translations & Locale Formatting ---
+// Messages are looked up by dotted key in the active catalog, falling back to
+// English. `{name}` placeholders are filled from params, numbers formatted for the
+// locale. A message given as { one, other, ... } is picked by params.count using
+// the locale's plural rules.
+
+export const LOCALES = { en: 'English', fr: 'Français' };
+export const DEFAULT_LOCALE = 'en';
+const CATALOGS = { en, fr };
+
+// The first supported language in the browser's preference list.
+export const detectLocale = (languages = []) => {
+    const match = languages.map(tag => String(tag).toLowerCase().split('-')[0]).find(tag => tag in CATALOGS);
+    return match ?? DEFAULT_LOCALE;
+};
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+
+const isPlural = (message) => !!message && typeof message === 'object' && typeof message.other === 'string';
+
+export const createI18n = (requestedLocale) => {
+    const locale = requestedLocale in CATALOGS ? requestedLocale : DEFAULT_LOCALE;
+    const pluralRules = new Intl.PluralRules(locale);
+
+    const formatNumber = (value, options) => new Intl.NumberFormat(locale, options).format(value);
+    const formatPercent = (rate) => (rate === null || rate === undefined ? '–' : formatNumber(rate, { style: 'percent', maximumFractionDigits: 0 }));
+    const formatDate = (date, options) => new Intl.DateTimeFormat(locale, options).format(date);
+
+    const t = (key, params = {}) => {
+        let message = lookup(CATALOGS[locale], key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key);
+        if (isPlural(message)) message = message[pluralRules.select(params.count ?? 0)] ?? message.other;
+        if (typeof message !== 'string') return key;
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const value = params[name];
+            if (value === undefined || value === null) return placeholder;
+            return typeof value === 'number' ? formatNumber(value) : String(value);
+        });
+    };
+
+    return { locale, t, formatNumber, formatPercent, formatDate };
+};
+
+export const defaultI18n = createI18n(DEFAULT_LOCALE);
@@ -0,0 +1,42 @@
+import { createI18n, detectLocale } from './index';
+import en from './en';
+import fr from './fr';
+
+const keysOf = (catalog, prefix = '') => Object.entries(catalog).flatMap(([key, value]) => (
+  value && typeof value === 'object' && typeof value.other !== 'string' ? keysOf(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+));
+
+test('picks the first supported browser language', () => {
+  expect(detectLocale(['fr-CA', 'en-US'])).toBe('fr');
+  expect(detectLocale(['de-DE', 'en-GB'])).toBe('en');
+  expect(detectLocale(['de-DE'])).toBe('en');
+  expect(detectLocale([])).toBe('en');
+});
+
+test('fills placeholders, formats numbers and picks plural forms', () => {
+  const { t } = createI18n('fr');
+  expect(t('tracking.nextCycle')).toBe('Prochain cycle');
+  expect(t('units.km', { value: 12.5 })).toBe('12,5 km');
+  expect(t('sync.changes', { count: 1 })).toBe('1 modification');
+  expect(t('sync.changes', { count: 3 })).toBe('3 modifications');
+  expect(createI18n('en').t('sync.changes', { count: 1 })).toBe('1 change');
+  expect(createI18n('en').t('units.km', { value: 1234.5 })).toBe('1,234.5 km');
+});
+
+test('falls back to English, then to the key', () => {
+  expect(createI18n('de').locale).toBe('en');
+  expect(createI18n('fr').t('no.such.key')).toBe('no.such.key');
+});
+
+test('formats dates and rates for the locale', () => {
+  const date = new Date(2024, 2, 5);
+  expect(createI18n('en').formatDate(date, { day: 'numeric', month: 'short' })).toBe('Mar 5');
+  expect(createI18n('fr').formatDate(date, { day: 'numeric', month: 'short' })).toBe('5 mars');
+  expect(createI18n('en').formatPercent(0.425)).toBe('43%');
+  expect(createI18n('fr').formatPercent(0.425)).toBe('43\u00a0%');
+  expect(createI18n('fr').formatPercent(null)).toBe('–');
+});
+
+test('the French catalog translates every English message', () => {
+  expect(keysOf(fr).sort()).toEqual(keysOf(en).sort());
+});
@@ -0,0 +1,76 @@
+import { getPlanForCycle, getSessionsForCycle } from './plan';
+import { addDays, getCycleDates } from './schedule';
+import { defaultI18n } from './i18n';
+
+// --- iCalendar Export (RFC 5545) ---
+// Sessions become all-day events. UIDs are derived from plan, cycle and session id
+// only, so importing a fresh export updates existing events instead of duplicating them.
+
+const pad = (n) => String(n).padStart(2, '0');
+const formatDate = (date) => `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+const formatTimestamp = (date) => `${formatDate(new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+export const escapeText = (text) => String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+const utf8Length = (char) => {
+    const code = char.codePointAt(0);
+    return code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+};
+
+// Content lines are folded at 75 octets without splitting a character; continuation lines start with a space.
+export const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (size + utf8Length(char) > limit) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += utf8Length(char);
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+export const getEventUid = (planId, cycleIndex, sessionId) => `${planId}-c${cycleIndex}-${sessionId}@pasta-app`;
+
+export const buildCalendar = ({ planId, plan, trackingData, includeRest = false, upcomingCycles = 4, now = new Date(), i18n: { t } = defaultI18n }) => {
+    if (!plan.schedule) return null;
+    const planHistory = trackingData?.planHistory || {};
+    const lastCycle = Math.max(trackingData?.highestCycleIndex ?? 0, trackingData?.currentCycleIndex ?? 0) + upcomingCycles;
+    const sessionsForCycle = getSessionsForCycle(plan, planHistory);
+    const stamp = formatTimestamp(now);
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//PASTA//Training Schedule//EN',
+        'CALSCALE:GREGORIAN',
+        `X-WR-CALNAME:${escapeText(plan.name)}`,
+    ];
+    for (let cycle = 0; cycle <= lastCycle; cycle++) {
+        const { activities } = getPlanForCycle(cycle, plan, planHistory);
+        const { sessionDates } = getCycleDates(plan.schedule, cycle, sessionsForCycle);
+        activities.forEach((activity, session) => {
+            if (activity.isRest && !includeRest) return;
+            const date = sessionDates[session];
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${getEventUid(planId, cycle, activity.id)}`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${formatDate(date)}`,
+                `DTEND;VALUE=DATE:${formatDate(addDays(date, 1))}`,
+                `SUMMARY:${escapeText(activity.isRest ? t('common.rest') : activity.text || t('common.free'))}`,
+                `DESCRIPTION:${escapeText(t('calendar.description', { plan: plan.name, cycle: cycle + 1, session: session + 1 }))}`,
+                `TRANSP:${activity.isRest ? 'TRANSPARENT' : 'OPAQUE'}`,
+                'END:VEVENT'
+            );
+        });
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
@@ -0,0 +1,51 @@
+import { buildCalendar, foldLine, escapeText, getEventUid } from './ical';
+import { sanitizePlanData, sanitizeTrackingData } from './plan';
+import { createI18n } from './i18n';
+
+const plan = sanitizePlanData({
+  name: 'Base, week',
+  sessions: 2,
+  activities: [{ text: 'Run; easy' }, { isRest: true }],
+  schedule: { startDate: '2024-03-04', cadence: { type: 'daily' } },
+});
+const trackingData = sanitizeTrackingData({ currentCycleIndex: 0, highestCycleIndex: 0 });
+const now = new Date(Date.UTC(2024, 2, 1, 8, 30, 0));
+
+const events = (ics) => ics.split('BEGIN:VEVENT').slice(1);
+
+test('builds one all-day event per non-rest session', () => {
+  const ics = buildCalendar({ planId: 'p1', plan, trackingData, upcomingCycles: 1, now });
+  expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+  expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+  expect(events(ics)).toHaveLength(2);
+  expect(ics).toContain('UID:p1-c0-s0@pasta-app\r\nDTSTAMP:20240301T083000Z\r\nDTSTART;VALUE=DATE:20240304\r\nDTEND;VALUE=DATE:20240305\r\nSUMMARY:Run\\; easy');
+  expect(ics).toContain('DTSTART;VALUE=DATE:20240306');
+  expect(ics).toContain('X-WR-CALNAME:Base\\, week');
+});
+
+test('optionally includes rest days as transparent markers', () => {
+  const ics = buildCalendar({ planId: 'p1', plan, trackingData, includeRest: true, upcomingCycles: 0, now });
+  expect(events(ics)).toHaveLength(2);
+  expect(ics).toContain('SUMMARY:Rest\r\nDESCRIPTION:Base\\, week - Cycle 1\\, session 2\r\nTRANSP:TRANSPARENT');
+  const french = buildCalendar({ planId: 'p1', plan, trackingData, includeRest: true, upcomingCycles: 0, now, i18n: createI18n('fr') });
+  expect(french).toContain('SUMMARY:Repos\r\nDESCRIPTION:Base\\, week - Cycle 1\\, séance 2\r\n');
+});
+
+test('UIDs are stable across exports', () => {
+  const first = buildCalendar({ planId: 'p1', plan, trackingData, now });
+  const second = buildCalendar({ planId: 'p1', plan, trackingData, now: new Date() });
+  const uids = (ics) => ics.match(/^UID:.*$/gm);
+  expect(uids(first)).toEqual(uids(second));
+  expect(getEventUid('p1', 3, 's1')).toBe('p1-c3-s1@pasta-app');
+});
+
+test('plans without a schedule cannot be exported', () => {
+  expect(buildCalendar({ planId: 'p1', plan: { ...plan, schedule: null }, trackingData })).toBeNull();
+});
+
+test('folds long lines at 75 octets and escapes text', () => {
+  const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`);
+  folded.split('\r\n').forEach(line => expect(unescape(encodeURIComponent(line)).length).toBeLessThanOrEqual(75));
+  expect(folded.replace(/\r\n /g, '')).toBe(`SUMMARY:${'é'.repeat(60)}`);
+  expect(escapeText('a\\b\nc')).toBe('a\\\\b\\nc');
+});
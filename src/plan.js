@@ -0,0 +1,84 @@
+import { sanitizeSchedule, sanitizeReminders } from './schedule';
+import { sanitizeSessionLogs } from './sessionLog';
+import { sanitizeExercises } from './progression';
+import { sanitizeAuditLog } from './audit';
+import { sanitizeSessionIds } from './sessions';
+import { sanitizeStatusScale, MAX_STATUSES } from './statusScale';
+import { sanitizeGoals, sanitizeAchievements } from './goals';
+import { defaultI18n } from './i18n';
+
+// --- Plan Helpers ---
+export const toSafeInt = (x, def = 0, max = 1000) => {
+  const n = Number(x);
+  return Number.isFinite(n) && n >= 0 ? Math.min(Math.floor(n), max) : def;
+};
+
+export const sanitizePlanData = (raw, { t } = defaultI18n) => {
+  const sessions = toSafeInt(raw?.sessions, 0, 30);
+  const rawActivities = Array.from({ length: sessions }, (_, i) => raw?.activities?.[i] ?? {});
+  const ids = sanitizeSessionIds(rawActivities);
+  const activities = rawActivities.map((a, i) => {
+    const activity = { id: ids[i], text: typeof a.text === 'string' ? a.text : '', isRest: !!a.isRest };
+    const exercises = a.isRest ? [] : sanitizeExercises(a.exercises);
+    return exercises.length > 0 ? { ...activity, exercises } : activity;
+  });
+  const plan = { sessions, activities, name: raw?.name || t('plan.defaultName'), schedule: sanitizeSchedule(raw?.schedule) };
+  const statusScale = sanitizeStatusScale(raw?.statusScale);
+  const reminders = sanitizeReminders(raw?.reminders);
+  const goals = sanitizeGoals(raw?.goals);
+  return { ...plan, ...(statusScale && { statusScale }), ...(reminders && { reminders }), ...(goals && { goals }) };
+};
+
+// --- Helper to get the correct historical plan for a given cycle ---
+export const getPlanForCycle = (cycleIndex, currentPlan, planHistory = {}) => {
+    let applicableKey = Infinity;
+    for (const key in planHistory) {
+        const historyCycleIndex = parseInt(key, 10);
+        if (historyCycleIndex > cycleIndex && historyCycleIndex < applicableKey) {
+            applicableKey = historyCycleIndex;
+        }
+    }
+    if (applicableKey !== Infinity) {
+        return sanitizePlanData(planHistory[applicableKey]);
+    }
+    return currentPlan;
+};
+
+export const getSessionsForCycle = (plan, planHistory) => (cycleIndex) => toSafeInt(getPlanForCycle(cycleIndex, plan, planHistory)?.sessions);
+
+export const sanitizePlanVersions = (raw) => {
+  const versions = {};
+  for (const id of Object.keys(raw && typeof raw === 'object' ? raw : {})) {
+    const v = raw[id];
+    if (!v || typeof v !== 'object' || !v.plan) continue;
+    versions[id] = {
+      savedAt: typeof v.savedAt === 'string' ? v.savedAt : null,
+      cycleIndex: toSafeInt(v.cycleIndex),
+      plan: sanitizePlanData(v.plan),
+    };
+  }
+  return versions;
+};
+
+export const sanitizeTrackingData = (raw) => {
+  const rawGrid = Array.isArray(raw?.grid) ? raw.grid : [];
+  const ids = sanitizeSessionIds(rawGrid);
+  const grid = rawGrid.map((item, i) => {
+    const logs = sanitizeSessionLogs(item?.logs);
+    const row = Array.isArray(item?.row) ? item.row.map(v => toSafeInt(v, 0, MAX_STATUSES)) : [];
+    return Object.keys(logs).length > 0 ? { id: ids[i], row, logs } : { id: ids[i], row };
+  });
+  const planHistory = {};
+  for (const key of Object.keys(raw?.planHistory || {})) {
+    if (/^\d+$/.test(key)) planHistory[key] = sanitizePlanData(raw.planHistory[key]);
+  }
+  return {
+    grid,
+    currentCycleIndex: toSafeInt(raw?.currentCycleIndex, 0),
+    highestCycleIndex: toSafeInt(raw?.highestCycleIndex, 0),
+    planHistory,
+    planVersions: sanitizePlanVersions(raw?.planVersions),
+    auditLog: sanitizeAuditLog(raw?.auditLog),
+    achievements: sanitizeAchievements(raw?.achievements),
+  };
+};
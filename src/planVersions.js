@@ -0,0 +1,74 @@
+import { toSafeInt, sanitizePlanData, sanitizePlanVersions } from './plan';
+import { expectUnchanged } from './conflicts';
+import { recordAchievements } from './achievements';
+
+// --- Plan Versions ---
+// Every save is kept in trackingData.planVersions, keyed by version id.
+// planHistory stays the per-cycle lookup used by the grid: planHistory[k] is the
+// plan that was in effect before cycle k, so only the first save in a cycle writes it.
+
+// Oldest first; the original plan (no timestamp) sorts before any save.
+export const listPlanVersions = (planVersions = {}) => Object.entries(planVersions)
+    .map(([id, v]) => ({ id, ...v }))
+    .sort((a, b) => (a.savedAt ?? '').localeCompare(b.savedAt ?? '') || a.id.localeCompare(b.id));
+
+const newVersionId = (date) => `${date.getTime().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+const isSamePlan = (a, b) => a.name === b.name && a.sessions === b.sessions && JSON.stringify(a.activities) === JSON.stringify(b.activities)
+    && JSON.stringify(a.statusScale ?? null) === JSON.stringify(b.statusScale ?? null);
+
+// Saves `newPlan` as the current plan and records it as a new version, in one
+// transaction. With `basedOn` (the stored plan the edits started from), the save is
+// refused if the plan has been changed elsewhere in the meantime.
+export const savePlanVersion = (store, planId, newPlan, now = new Date(), { basedOn } = {}) => store.runTransaction(planId, ({ plan: rawOldPlan, trackingData: rawTracking }) => {
+    if (basedOn !== undefined) {
+        expectUnchanged(rawOldPlan, basedOn, 'planSave');
+    }
+    const oldPlan = rawOldPlan ? sanitizePlanData(rawOldPlan) : { sessions: 0, activities: [], name: 'Default' };
+    const trackingData = rawTracking || { currentCycleIndex: 0 };
+    const currentCycleIndex = toSafeInt(trackingData.currentCycleIndex);
+    const planHistory = trackingData.planHistory || {};
+    const planVersions = sanitizePlanVersions(trackingData.planVersions);
+
+    const newVersions = {};
+    const hasChanged = !isSamePlan(oldPlan, newPlan);
+    const newHistory = hasChanged && oldPlan.sessions > 0 && !(currentCycleIndex in planHistory) ? { [currentCycleIndex]: oldPlan } : {};
+    if (Object.keys(planVersions).length === 0 && oldPlan.sessions > 0) {
+        newVersions.original = { savedAt: null, cycleIndex: 0, plan: oldPlan };
+    }
+    newVersions[newVersionId(now)] = { savedAt: now.toISOString(), cycleIndex: currentCycleIndex, plan: sanitizePlanData(newPlan) };
+
+    // Goals added now may already be met.
+    return {
+        plan: newPlan,
+        trackingData: recordAchievements(newPlan, {
+            ...trackingData,
+            planHistory: { ...planHistory, ...newHistory },
+            planVersions: { ...trackingData.planVersions, ...newVersions },
+        }, now),
+    };
+});
+
+// Lists the differences between two plan versions, session by session.
+// Sessions are matched by id; `index` is the position in `after`, or in `before` for removed ones.
+export const diffPlans = (before, after) => {
+    const sessions = [];
+    after.activities.forEach((b, index) => {
+        const beforeIndex = before.activities.findIndex(a => a.id === b.id);
+        const a = before.activities[beforeIndex];
+        const changes = [];
+        if (!a) changes.push('added');
+        else {
+            if (beforeIndex !== index) changes.push('moved');
+            if (a.text !== b.text) changes.push('text');
+            if (a.isRest !== b.isRest) changes.push('rest');
+            if (JSON.stringify(a.exercises ?? []) !== JSON.stringify(b.exercises ?? [])) changes.push('exercises');
+        }
+        if (changes.length > 0) sessions.push({ index, before: a ?? null, after: b, changes });
+    });
+    before.activities.forEach((a, index) => {
+        if (!after.activities.some(b => b.id === a.id)) sessions.push({ index, before: a, after: null, changes: ['removed'] });
+    });
+    const statusesChanged = JSON.stringify(before.statusScale ?? null) !== JSON.stringify(after.statusScale ?? null);
+    return { nameChanged: before.name !== after.name, statusesChanged, sessions };
+};
@@ -0,0 +1,52 @@
+import { savePlanVersion, listPlanVersions, diffPlans } from './planVersions';
+import { sanitizePlanData, getPlanForCycle } from './plan';
+import { createMemoryStore } from './storage/memoryStore';
+
+const planA = { name: 'Base', sessions: 2, activities: [{ text: 'Run', isRest: false }, { text: 'Free', isRest: false }], schedule: null };
+const planB = { ...planA, activities: [{ text: 'Run', isRest: false }, { text: '', isRest: true }] };
+const planC = { ...planA, activities: [{ text: 'Bike', isRest: false }, { text: '', isRest: true }] };
+
+const setup = () => createMemoryStore({ plans: { p: planA }, trackingData: { p: { grid: [], currentCycleIndex: 2, highestCycleIndex: 2, planHistory: {} } } });
+
+test('keeps every save as a timestamped version', async () => {
+  const store = setup();
+  await savePlanVersion(store, 'p', planB, new Date('2024-03-01T10:00:00Z'));
+  await savePlanVersion(store, 'p', planC, new Date('2024-03-01T11:00:00Z'));
+  const versions = listPlanVersions((await store.getTracking('p')).planVersions);
+  expect(versions.map(v => [v.savedAt, v.plan.activities[0].text])).toEqual([
+    [null, 'Run'],
+    ['2024-03-01T10:00:00.000Z', 'Run'],
+    ['2024-03-01T11:00:00.000Z', 'Bike'],
+  ]);
+  expect(versions[2].cycleIndex).toBe(2);
+  expect(await store.getPlan('p')).toEqual(planC);
+});
+
+test('a second save in the same cycle does not overwrite the plan earlier cycles used', async () => {
+  const store = setup();
+  await savePlanVersion(store, 'p', planB);
+  await savePlanVersion(store, 'p', planC);
+  const { planHistory } = await store.getTracking('p');
+  expect(getPlanForCycle(1, sanitizePlanData(planC), planHistory).activities[1]).toEqual({ id: 's1', text: 'Free', isRest: false });
+});
+
+test('diffs text and rest flag changes per session', () => {
+  const diff = diffPlans(sanitizePlanData(planA), sanitizePlanData({ ...planC, name: 'Renamed', sessions: 3, activities: [...planC.activities, { text: 'Swim' }] }));
+  expect(diff.nameChanged).toBe(true);
+  expect(diff.sessions.map(s => [s.index, s.changes])).toEqual([[0, ['text']], [1, ['text', 'rest']], [2, ['added']]]);
+});
+
+test('diffs follow sessions by id when they move or are removed', () => {
+  const before = sanitizePlanData({ sessions: 3, activities: [{ id: 'a', text: 'Run' }, { id: 'b', text: 'Bike' }, { id: 'c', text: 'Swim' }] });
+  const after = sanitizePlanData({ sessions: 2, activities: [{ id: 'b', text: 'Bike' }, { id: 'a', text: 'Run' }] });
+  expect(diffPlans(before, after).sessions.map(s => [s.index, s.changes])).toEqual([[0, ['moved']], [1, ['moved']], [2, ['removed']]]);
+});
+
+test('refuses to save over a plan that changed since the edits started', async () => {
+  const store = setup();
+  await store.savePlan('p', planB);
+  await expect(savePlanVersion(store, 'p', planC, new Date(), { basedOn: planA })).rejects.toThrow(/changed on another device or tab/);
+  expect(await store.getPlan('p')).toEqual(planB);
+  await savePlanVersion(store, 'p', planC, new Date(), { basedOn: planB });
+  expect(await store.getPlan('p')).toEqual(planC);
+});
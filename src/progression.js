@@ -0,0 +1,89 @@
+import { getSessionStatus } from './sessions';
+import { getDefaultStatusScale, isFullStatus } from './statusScale';
+import { defaultI18n } from './i18n';
+
+// --- Exercises & Progression ---
+// An activity may list exercises with sets, reps or a duration, and a load.
+// A progression rule raises one of those values as cycles go by, either
+// unconditionally or only when the session was Done in the previous cycle, that
+// is, logged with a status of full weight in the plan's status scale.
+// The values typed into a plan version are the targets for that version's
+// first cycle; saving a new version starts again from the values it holds.
+
+export const PROGRESSION_FIELDS = [{ key: 'load' }, { key: 'reps' }, { key: 'duration' }, { key: 'sets' }];
+export const PROGRESSION_CONDITIONS = ['always', 'previousDone'];
+
+const toAmount = (value, max) => {
+    const n = Number(value);
+    return Number.isFinite(n) && n > 0 ? Math.min(Math.round(n * 100) / 100, max) : 0;
+};
+
+export const sanitizeProgression = (raw) => {
+    if (!raw || !PROGRESSION_FIELDS.some(f => f.key === raw.field)) return null;
+    const amount = toAmount(raw.amount, 1000);
+    if (amount === 0) return null;
+    return {
+        field: raw.field,
+        amount,
+        every: Math.max(1, Math.min(Math.floor(toAmount(raw.every, 100)) || 1, 100)),
+        condition: PROGRESSION_CONDITIONS.includes(raw.condition) ? raw.condition : 'always',
+    };
+};
+
+export const sanitizeExercise = (raw) => ({
+    name: typeof raw?.name === 'string' ? raw.name.slice(0, 100) : '',
+    sets: Math.floor(toAmount(raw?.sets, 100)),
+    reps: Math.floor(toAmount(raw?.reps, 1000)),
+    duration: toAmount(raw?.duration, 1440),
+    load: toAmount(raw?.load, 1000),
+    progression: sanitizeProgression(raw?.progression),
+});
+
+export const sanitizeExercises = (raw) => (Array.isArray(raw) ? raw.slice(0, 30).map(sanitizeExercise) : []);
+
+// First cycle a plan version applies to. planHistory[k] holds the version used up to cycle k - 1.
+export const getVersionStartCycle = (cycleIndex, planHistory = {}) => {
+    let start = 0;
+    for (const key in planHistory) {
+        const historyCycleIndex = parseInt(key, 10);
+        if (historyCycleIndex <= cycleIndex && historyCycleIndex > start) start = historyCycleIndex;
+    }
+    return start;
+};
+
+// `isDone(cycle)` tells whether the session was Done in that cycle.
+export const computeExerciseTarget = (exercise, cycleIndex, startCycle, isDone) => {
+    const { progression, ...target } = exercise;
+    if (!progression) return target;
+    for (let cycle = startCycle + 1; cycle <= cycleIndex; cycle++) {
+        if ((cycle - startCycle) % progression.every !== 0) continue;
+        if (progression.condition === 'previousDone' && !isDone(cycle - 1)) continue;
+        target[progression.field] = Math.round((target[progression.field] + progression.amount) * 100) / 100;
+    }
+    return target;
+};
+
+// `statusScale` is the scale of the plan version the activity belongs to, which
+// covers every cycle from the version's start.
+export const getSessionTargets = (activity, cycleIndex, planHistory, grid, statusScale = getDefaultStatusScale()) => {
+    if (!activity?.exercises?.length) return [];
+    const startCycle = getVersionStartCycle(cycleIndex, planHistory);
+    const isDone = (cycle) => isFullStatus(statusScale, getSessionStatus(grid, activity.id, cycle));
+    return activity.exercises.map(exercise => computeExerciseTarget(exercise, cycleIndex, startCycle, isDone));
+};
+
+export const formatTarget = ({ name, sets, reps, duration, load }, { t } = defaultI18n) => {
+    const parts = [];
+    if (sets && reps) parts.push(t('target.setsReps', { sets, reps }));
+    else if (sets) parts.push(t('target.sets', { count: sets }));
+    else if (reps) parts.push(t('target.reps', { count: reps }));
+    if (duration) parts.push(t('units.minutes', { value: duration }));
+    if (load) parts.push(t('target.load', { value: load }));
+    return [name || t('target.exercise'), ...parts].join(' ');
+};
+
+export const describeProgression = ({ field, amount, every, condition }, { t } = defaultI18n) => {
+    const unit = PROGRESSION_FIELDS.some(f => f.key === field) ? t(`units.${field}`) : field;
+    const cadence = every === 1 ? t('progression.perCycle') : t('progression.everyCycles', { count: every });
+    return `${t('progression.summary', { amount, unit, cadence })}${condition === 'previousDone' ? t('progression.ifDone') : ''}`;
+};
@@ -0,0 +1,39 @@
+import { sanitizeExercise, getVersionStartCycle, getSessionTargets, formatTarget, describeProgression } from './progression';
+import { sanitizePlanData } from './plan';
+
+const squat = sanitizeExercise({ name: 'Squat', sets: 3, reps: 5, load: 60, progression: { field: 'load', amount: 2.5, condition: 'previousDone' } });
+const run = sanitizeExercise({ name: 'Run', duration: 20, progression: { field: 'duration', amount: 5, every: 2 } });
+
+test('sanitizes exercises and drops incomplete progression rules', () => {
+  expect(sanitizeExercise({ name: 'Row', sets: '3', reps: 'x', progression: { field: 'load', amount: 0 } }))
+    .toEqual({ name: 'Row', sets: 3, reps: 0, duration: 0, load: 0, progression: null });
+  expect(run.progression).toEqual({ field: 'duration', amount: 5, every: 2, condition: 'always' });
+});
+
+test('conditional progression only applies after Done cycles', () => {
+  const activity = { id: 'legs', text: 'Legs', isRest: false, exercises: [squat] };
+  const grid = [{ id: 'other', row: [3, 3, 3, 3] }, { id: 'legs', row: [1, 2, 1, 0] }];
+  const loads = [0, 1, 2, 3].map(c => getSessionTargets(activity, c, {}, grid)[0].load);
+  expect(loads).toEqual([60, 62.5, 62.5, 65]);
+});
+
+test('periodic progression steps every N cycles from the version start', () => {
+  const activity = { id: 's0', text: 'Run', isRest: false, exercises: [run] };
+  const history = { 3: { name: 'old', sessions: 1, activities: [] } };
+  expect(getVersionStartCycle(2, history)).toBe(0);
+  expect(getVersionStartCycle(4, history)).toBe(3);
+  expect([3, 4, 5, 6].map(c => getSessionTargets(activity, c, history, [])[0].duration)).toEqual([20, 20, 25, 25]);
+});
+
+test('plan snapshots keep the structured activity', () => {
+  const plan = sanitizePlanData({ sessions: 2, activities: [{ text: 'Legs', exercises: [squat] }, { isRest: true, exercises: [squat] }] });
+  expect(plan.activities[0].exercises).toEqual([squat]);
+  expect(plan.activities[1]).toEqual({ id: 's1', text: '', isRest: true });
+});
+
+test('formats targets and rules for display', () => {
+  expect(formatTarget({ name: 'Squat', sets: 3, reps: 5, duration: 0, load: 62.5 })).toBe('Squat 3×5 @ 62.5 kg');
+  expect(formatTarget({ name: '', sets: 0, reps: 0, duration: 25, load: 0 })).toBe('Exercise 25 min');
+  expect(describeProgression(squat.progression)).toBe('+2.5 kg per cycle if previous cycle was Done');
+  expect(describeProgression(run.progression)).toBe('+5 min every 2 cycles');
+});
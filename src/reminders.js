@@ -0,0 +1,98 @@
+import { toSafeInt, getPlanForCycle, getSessionsForCycle } from './plan';
+import { getSessionStatus } from './sessions';
+import { getCycleDates, getCycleIndexForDate, addDays, toDateKey } from './schedule';
+
+// --- Reminders ---
+// A plan with reminders gets a notification at the chosen time of day for its next
+// session. Scheduled plans are reminded on each session's date (rest days too
+// unless `skipRest`); plans without a start date every day, for the first session
+// of the current cycle not logged yet. With `nudge`, the reminder also points out
+// sessions of the current cycle still left unlogged: for scheduled plans those dated
+// before the reminder's day, otherwise all of them.
+
+const LOOKAHEAD_CYCLES = 10;
+// Longer timeouts overflow setTimeout; the scheduler wakes up and looks again instead.
+const MAX_DELAY = 24 * 60 * 60 * 1000;
+
+const atTime = (date, time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate(), hours, minutes);
+};
+
+const isLogged = (grid, activity, cycle) => getSessionStatus(grid, activity.id, cycle) !== 0;
+
+const findScheduledSession = (plan, { grid, planHistory }, { time, skipRest }, now) => {
+    const sessionsForCycle = getSessionsForCycle(plan, planHistory);
+    const firstCycle = getCycleIndexForDate(plan.schedule, now, sessionsForCycle);
+    for (let cycle = firstCycle; cycle < firstCycle + LOOKAHEAD_CYCLES; cycle++) {
+        const { sessionDates } = getCycleDates(plan.schedule, cycle, sessionsForCycle);
+        const { activities } = getPlanForCycle(cycle, plan, planHistory);
+        for (let session = 0; session < activities.length; session++) {
+            const activity = activities[session];
+            const at = atTime(sessionDates[session], time);
+            if (at <= now || (activity.isRest && skipRest) || isLogged(grid, activity, cycle)) continue;
+            return { at, session: { cycle, session, activity: activity.text, isRest: activity.isRest } };
+        }
+    }
+    return null;
+};
+
+const findNextSession = (plan, { grid, planHistory, currentCycleIndex }) => {
+    for (const cycle of [currentCycleIndex, currentCycleIndex + 1]) {
+        const { activities } = getPlanForCycle(cycle, plan, planHistory);
+        const session = activities.findIndex(a => !a.isRest && !isLogged(grid, a, cycle));
+        if (session >= 0) return { cycle, session, activity: activities[session].text, isRest: false };
+    }
+    return null;
+};
+
+// Unlogged non-rest sessions of the current cycle, other than the one being reminded of.
+const countUnlogged = (plan, { grid, planHistory, currentCycleIndex }, next, at) => {
+    const cyclePlan = getPlanForCycle(currentCycleIndex, plan, planHistory);
+    const dates = plan.schedule ? getCycleDates(plan.schedule, currentCycleIndex, getSessionsForCycle(plan, planHistory)).sessionDates : null;
+    return cyclePlan.activities.filter((activity, session) => {
+        if (activity.isRest || isLogged(grid, activity, currentCycleIndex)) return false;
+        if (next && next.cycle === currentCycleIndex && next.session === session) return false;
+        return !dates || toDateKey(dates[session]) < toDateKey(at);
+    }).length;
+};
+
+// The next reminder due after `now`: when it is due, the session it is for (or null)
+// and how many sessions to nudge about. Null when there is nothing to remind of.
+export const getNextReminder = (plan, trackingData, now = new Date()) => {
+    const reminders = plan?.reminders;
+    if (!reminders || !trackingData || toSafeInt(plan.sessions) <= 0) return null;
+    let at;
+    let session;
+    if (plan.schedule) {
+        const found = findScheduledSession(plan, trackingData, reminders, now);
+        if (!found) return null;
+        ({ at, session } = found);
+    } else {
+        at = atTime(now, reminders.time);
+        if (at <= now) at = atTime(addDays(now, 1), reminders.time);
+        session = findNextSession(plan, trackingData);
+    }
+    const unlogged = reminders.nudge ? countUnlogged(plan, trackingData, session, at) : 0;
+    if (!session && unlogged === 0) return null;
+    return { at, session, unlogged, cycle: toSafeInt(trackingData.currentCycleIndex) };
+};
+
+// Calls `notify(reminder)` each time a reminder is due, until the returned function
+// is called. The plan and tracking data are those at the time of scheduling, so
+// callers schedule again when either changes.
+export const scheduleReminders = (plan, trackingData, notify) => {
+    let timer = null;
+    const arm = () => {
+        const now = new Date();
+        const reminder = getNextReminder(plan, trackingData, now);
+        if (!reminder) return;
+        const delay = reminder.at - now;
+        timer = setTimeout(() => {
+            if (delay <= MAX_DELAY) notify(reminder);
+            arm();
+        }, Math.min(delay, MAX_DELAY));
+    };
+    arm();
+    return () => clearTimeout(timer);
+};
@@ -0,0 +1,54 @@
+import { getNextReminder, scheduleReminders } from './reminders';
+import { sanitizePlanData, sanitizeTrackingData } from './plan';
+
+const reminders = { time: '18:00', skipRest: true, nudge: true };
+const activities = [{ id: 'a', text: 'Run' }, { id: 'r', text: '', isRest: true }, { id: 'b', text: 'Swim' }];
+const makePlan = (extra) => sanitizePlanData({ name: 'P', sessions: 3, activities, reminders, ...extra });
+const tracking = (rowA, rowB = [], currentCycleIndex = 0) => sanitizeTrackingData({ grid: [{ id: 'a', row: rowA }, { id: 'r', row: [] }, { id: 'b', row: rowB }], currentCycleIndex });
+
+afterEach(() => jest.useRealTimers());
+
+test('keeps reminder settings only with a valid time', () => {
+  expect(makePlan().reminders).toEqual(reminders);
+  expect(makePlan({ reminders: { time: '25:00' } })).not.toHaveProperty('reminders');
+  expect(makePlan({ reminders: { time: '07:30' } }).reminders).toEqual({ time: '07:30', skipRest: true, nudge: true });
+});
+
+test('plans without a start date are reminded daily of the first session not logged yet', () => {
+  const morning = new Date(2024, 0, 1, 8, 0);
+  expect(getNextReminder(makePlan(), tracking([1]), morning)).toEqual({
+    at: new Date(2024, 0, 1, 18, 0), session: { cycle: 0, session: 2, activity: 'Swim', isRest: false }, unlogged: 0, cycle: 0,
+  });
+  const evening = getNextReminder(makePlan(), tracking([0]), new Date(2024, 0, 1, 19, 0));
+  expect(evening.at).toEqual(new Date(2024, 0, 2, 18, 0));
+  expect(evening).toMatchObject({ session: { session: 0, activity: 'Run' }, unlogged: 1 });
+  expect(getNextReminder(makePlan({ reminders: { ...reminders, nudge: false } }), tracking([0]), morning).unlogged).toBe(0);
+  expect(getNextReminder(makePlan({ reminders: null }), tracking([0]), morning)).toBeNull();
+});
+
+test('scheduled plans are reminded on session days and nudged about earlier unlogged ones', () => {
+  const schedule = { startDate: '2024-01-01', cadence: { type: 'daily' } };
+  const morning = new Date(2024, 0, 2, 8, 0);
+  expect(getNextReminder(makePlan({ schedule }), tracking([0]), morning)).toEqual({
+    at: new Date(2024, 0, 3, 18, 0), session: { cycle: 0, session: 2, activity: 'Swim', isRest: false }, unlogged: 1, cycle: 0,
+  });
+  const withRest = getNextReminder(makePlan({ schedule, reminders: { ...reminders, skipRest: false } }), tracking([1]), morning);
+  expect(withRest).toMatchObject({ at: new Date(2024, 0, 2, 18, 0), session: { session: 1, isRest: true }, unlogged: 0 });
+  expect(getNextReminder(makePlan({ schedule }), tracking([1], [1]), morning).session).toMatchObject({ cycle: 1, session: 0 });
+});
+
+test('fires each reminder when due until cancelled', () => {
+  jest.useFakeTimers();
+  jest.setSystemTime(new Date(2024, 0, 1, 8, 0));
+  const notify = jest.fn();
+  const cancel = scheduleReminders(makePlan(), tracking([1]), notify);
+  jest.advanceTimersByTime(10 * 60 * 60 * 1000 - 1);
+  expect(notify).not.toHaveBeenCalled();
+  jest.advanceTimersByTime(1);
+  expect(notify).toHaveBeenCalledWith(expect.objectContaining({ session: expect.objectContaining({ activity: 'Swim' }) }));
+  jest.advanceTimersByTime(24 * 60 * 60 * 1000);
+  expect(notify).toHaveBeenCalledTimes(2);
+  cancel();
+  jest.advanceTimersByTime(3 * 24 * 60 * 60 * 1000);
+  expect(notify).toHaveBeenCalledTimes(2);
+});
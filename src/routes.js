@@ -0,0 +1,48 @@
+// --- Hash Routes ---
+// Routes live in the URL hash so they work on any static host, including the
+// GitHub Pages sub-path, without server rewrites:
+//   #/plans/:planId/edit | /tracking | /stats
+//   #/plans            the plan editor before any plan exists
+//   #/today            the landing page
+//   #/account
+//   #/shared/:code
+
+const PLAN_PAGE_SEGMENTS = { plan: 'edit', tracking: 'tracking', stats: 'stats' };
+const PLAN_PAGES = Object.fromEntries(Object.entries(PLAN_PAGE_SEGMENTS).map(([page, segment]) => [segment, page]));
+
+export const DEFAULT_ROUTE = { page: 'today' };
+export const NO_PLAN_ROUTE = { page: 'plan', planId: null };
+
+export const isPlanPage = (page) => page in PLAN_PAGE_SEGMENTS;
+
+// Unknown or malformed hashes fall back to the Today page.
+export const parseRoute = (hash) => {
+    const path = String(hash ?? '').replace(/^#\/?/, '');
+    const segments = path.split('/').filter(Boolean);
+    const decode = (segment) => {
+        try {
+            return decodeURIComponent(segment);
+        } catch (e) {
+            return null;
+        }
+    };
+
+    if (segments[0] === 'today' && segments.length === 1) return { page: 'today' };
+    if (segments[0] === 'account' && segments.length === 1) return { page: 'account' };
+    if (segments[0] === 'shared' && /^[A-Za-z0-9]+$/.test(segments[1] ?? '')) return { page: 'shared', code: segments[1].toUpperCase() };
+    if (segments[0] === 'plans' && segments.length === 1) return NO_PLAN_ROUTE;
+    if (segments[0] === 'plans' && segments[1] && segments.length <= 3) {
+        const planId = decode(segments[1]);
+        const page = segments[2] === undefined ? 'plan' : PLAN_PAGES[segments[2]];
+        if (planId && page) return { page, planId };
+    }
+    return DEFAULT_ROUTE;
+};
+
+export const formatRoute = (route) => {
+    if (route.page === 'today') return '#/today';
+    if (route.page === 'account') return '#/account';
+    if (route.page === 'shared') return `#/shared/${route.code}`;
+    if (!route.planId) return '#/plans';
+    return `#/plans/${encodeURIComponent(route.planId)}/${PLAN_PAGE_SEGMENTS[route.page] ?? PLAN_PAGE_SEGMENTS.plan}`;
+};
@@ -0,0 +1,33 @@
+import { parseRoute, formatRoute, DEFAULT_ROUTE, NO_PLAN_ROUTE } from './routes';
+
+test('parses plan, account and share routes', () => {
+  expect(parseRoute('#/plans/abc123/tracking')).toEqual({ page: 'tracking', planId: 'abc123' });
+  expect(parseRoute('#/plans/abc123/edit')).toEqual({ page: 'plan', planId: 'abc123' });
+  expect(parseRoute('#/plans/abc123/stats')).toEqual({ page: 'stats', planId: 'abc123' });
+  expect(parseRoute('#/plans/abc123')).toEqual({ page: 'plan', planId: 'abc123' });
+  expect(parseRoute('#/plans')).toEqual({ page: 'plan', planId: null });
+  expect(parseRoute('#/today')).toEqual({ page: 'today' });
+  expect(parseRoute('#/account')).toEqual({ page: 'account' });
+  expect(parseRoute('#/shared/abcd2345')).toEqual({ page: 'shared', code: 'ABCD2345' });
+});
+
+test('falls back to the Today page for anything else', () => {
+  expect(DEFAULT_ROUTE).toEqual({ page: 'today' });
+  ['', '#', '#/', '#/plans/abc/unknown', '#/plans/%E0%A4%A/edit', '#/shared/', '#/today/x', '#/elsewhere'].forEach(hash => {
+    expect(parseRoute(hash)).toBe(DEFAULT_ROUTE);
+  });
+});
+
+test('formats routes that parse back to themselves', () => {
+  const routes = [
+    { page: 'tracking', planId: 'a b/c' },
+    { page: 'plan', planId: 'p1' },
+    { page: 'stats', planId: 'p1' },
+    { page: 'today' },
+    { page: 'account' },
+    { page: 'shared', code: 'ABCD2345' },
+  ];
+  routes.forEach(route => expect(parseRoute(formatRoute(route))).toEqual(route));
+  expect(formatRoute({ page: 'tracking', planId: null })).toBe('#/plans');
+  expect(parseRoute(formatRoute(NO_PLAN_ROUTE))).toEqual(NO_PLAN_ROUTE);
+});
@@ -0,0 +1,93 @@
+import { defaultI18n } from './i18n';
+
+// --- Calendar Schedule ---
+// A plan may be anchored to a start date and a cadence. Sessions are then laid
+// out one per scheduled day, cycle after cycle, so every grid cell has a date.
+// Dates are handled as local calendar days and stored as 'YYYY-MM-DD' keys.
+
+const MAX_CYCLES = 1000;
+
+const pad = (n) => String(n).padStart(2, '0');
+export const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const parseDateKey = (key) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(typeof key === 'string' ? key : '');
+    if (!match) return null;
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return toDateKey(date) === key ? date : null;
+};
+
+export const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+const daysBetween = (from, to) => Math.round((Date.UTC(to.getFullYear(), to.getMonth(), to.getDate()) - Date.UTC(from.getFullYear(), from.getMonth(), from.getDate())) / 86400000);
+
+export const sanitizeSchedule = (raw) => {
+    if (!parseDateKey(raw?.startDate)) return null;
+    const days = Array.isArray(raw.cadence?.days)
+        ? [...new Set(raw.cadence.days.map(Number).filter(d => Number.isInteger(d) && d >= 0 && d <= 6))].sort((a, b) => a - b)
+        : [];
+    const cadence = raw.cadence?.type === 'weekdays' && days.length > 0 ? { type: 'weekdays', days } : { type: 'daily' };
+    return { startDate: raw.startDate, cadence };
+};
+
+// A plan may also ask for a daily reminder at a time of day ('HH:MM'); see reminders.js.
+export const sanitizeReminders = (raw) => {
+    if (typeof raw?.time !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(raw.time)) return null;
+    return { time: raw.time, skipRest: raw.skipRest !== false, nudge: raw.nudge !== false };
+};
+
+// The first week of scheduled days, as offsets from the first one. The sequence repeats every 7 days.
+const getWeekPattern = (schedule) => {
+    const start = parseDateKey(schedule.startDate);
+    if (schedule.cadence.type !== 'weekdays') return { first: start, offsets: [0, 1, 2, 3, 4, 5, 6] };
+    let first = start;
+    while (!schedule.cadence.days.includes(first.getDay())) first = addDays(first, 1);
+    const offsets = [0, 1, 2, 3, 4, 5, 6].filter(o => schedule.cadence.days.includes(addDays(first, o).getDay()));
+    return { first, offsets };
+};
+
+export const getScheduledDate = (schedule, n) => {
+    const { first, offsets } = getWeekPattern(schedule);
+    return addDays(first, Math.floor(n / offsets.length) * 7 + offsets[n % offsets.length]);
+};
+
+// Index of the last scheduled day on or before `date`, or -1 if the schedule has not started.
+export const getScheduledIndex = (schedule, date) => {
+    const { first, offsets } = getWeekPattern(schedule);
+    const diff = daysBetween(first, date);
+    if (diff < 0) return -1;
+    return Math.floor(diff / 7) * offsets.length + offsets.filter(o => o <= diff % 7).length - 1;
+};
+
+const getCycleStartIndex = (cycleIndex, sessionsForCycle) => {
+    let start = 0;
+    for (let c = 0; c < cycleIndex; c++) start += Math.max(1, sessionsForCycle(c));
+    return start;
+};
+
+// `sessionsForCycle(c)` returns how many sessions cycle c had, so plans that grew or shrank keep their dates.
+export const getCycleDates = (schedule, cycleIndex, sessionsForCycle) => {
+    const startIndex = getCycleStartIndex(cycleIndex, sessionsForCycle);
+    const count = Math.max(1, sessionsForCycle(cycleIndex));
+    const sessionDates = Array.from({ length: count }, (_, i) => getScheduledDate(schedule, startIndex + i));
+    return { start: sessionDates[0], end: sessionDates[count - 1], sessionDates };
+};
+
+export const getCycleIndexForDate = (schedule, date, sessionsForCycle) => {
+    const scheduledIndex = getScheduledIndex(schedule, date);
+    if (scheduledIndex < 0) return 0;
+    let start = 0;
+    for (let c = 0; c < MAX_CYCLES; c++) {
+        start += Math.max(1, sessionsForCycle(c));
+        if (scheduledIndex < start) return c;
+    }
+    return MAX_CYCLES;
+};
+
+export const isSameDay = (a, b) => !!a && !!b && toDateKey(a) === toDateKey(b);
+
+// Short weekday names from Sunday (0) to Saturday (6), as used by Date#getDay.
+export const getWeekdayLabels = ({ formatDate } = defaultI18n) => [0, 1, 2, 3, 4, 5, 6].map(day => formatDate(new Date(2023, 0, 1 + day), { weekday: 'short' }));
+
+export const formatShortDate = (date, { formatDate } = defaultI18n) => formatDate(date, { day: 'numeric', month: 'short' });
+
+export const formatDateRange = (start, end, i18n = defaultI18n) => (isSameDay(start, end) ? formatShortDate(start, i18n) : `${formatShortDate(start, i18n)} – ${formatShortDate(end, i18n)}`);
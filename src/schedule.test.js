@@ -0,0 +1,36 @@
+import { sanitizeSchedule, getScheduledDate, getScheduledIndex, getCycleDates, getCycleIndexForDate, toDateKey, parseDateKey } from './schedule';
+
+const daily = { startDate: '2024-03-04', cadence: { type: 'daily' } };
+// 2024-03-04 is a Monday.
+const monWedFri = { startDate: '2024-03-05', cadence: { type: 'weekdays', days: [1, 3, 5] } };
+
+test('sanitizeSchedule rejects bad dates and falls back to a daily cadence', () => {
+  expect(sanitizeSchedule({ startDate: '2024-02-30' })).toBeNull();
+  expect(sanitizeSchedule(undefined)).toBeNull();
+  expect(sanitizeSchedule({ startDate: '2024-03-04', cadence: { type: 'weekdays', days: [] } })).toEqual(daily);
+  expect(sanitizeSchedule({ startDate: '2024-03-04', cadence: { type: 'weekdays', days: [5, 1, 1, 9] } }).cadence).toEqual({ type: 'weekdays', days: [1, 5] });
+});
+
+test('daily schedules place one session per day', () => {
+  expect(toDateKey(getScheduledDate(daily, 0))).toBe('2024-03-04');
+  expect(toDateKey(getScheduledDate(daily, 30))).toBe('2024-04-03');
+  expect(getScheduledIndex(daily, parseDateKey('2024-03-03'))).toBe(-1);
+  expect(getScheduledIndex(daily, parseDateKey('2024-03-10'))).toBe(6);
+});
+
+test('weekday schedules skip to the first matching day and repeat weekly', () => {
+  expect([0, 1, 2, 3].map(n => toDateKey(getScheduledDate(monWedFri, n)))).toEqual(['2024-03-06', '2024-03-08', '2024-03-11', '2024-03-13']);
+  expect(getScheduledIndex(monWedFri, parseDateKey('2024-03-05'))).toBe(-1);
+  expect(getScheduledIndex(monWedFri, parseDateKey('2024-03-07'))).toBe(0);
+  expect(getScheduledIndex(monWedFri, parseDateKey('2024-03-11'))).toBe(2);
+});
+
+test('cycle dates follow the number of sessions each cycle had', () => {
+  const sessionsForCycle = (c) => (c === 0 ? 3 : 7);
+  const second = getCycleDates(daily, 1, sessionsForCycle);
+  expect(toDateKey(second.start)).toBe('2024-03-07');
+  expect(toDateKey(second.end)).toBe('2024-03-13');
+  expect(getCycleIndexForDate(daily, parseDateKey('2024-03-06'), sessionsForCycle)).toBe(0);
+  expect(getCycleIndexForDate(daily, parseDateKey('2024-03-14'), sessionsForCycle)).toBe(2);
+  expect(getCycleIndexForDate(daily, parseDateKey('2024-01-01'), sessionsForCycle)).toBe(0);
+});
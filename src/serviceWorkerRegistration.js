@@ -0,0 +1,12 @@
+// --- Service Worker Registration ---
+// Only production builds register public/service-worker.js; during development it
+// would serve stale bundles.
+
+export const register = () => {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`).catch(error => {
+            console.error("Service worker registration failed:", error);
+        });
+    });
+};
@@ -0,0 +1,55 @@
+import { findGridRow } from './sessions';
+
+// --- Session Logs ---
+// A log records how a single session went. Logs live next to the statuses in the
+// session's grid row as logs[cycle], so a cell's status in `row` stays as it is: 0 for
+// none, otherwise a 1-based index into the status scale of the plan the cycle ran under.
+
+export const LOG_FIELDS = [
+    { key: 'duration', unit: 'min', max: 1440, step: 1 },
+    { key: 'distance', unit: 'km', max: 1000, step: 0.01 },
+    { key: 'rpe', unit: '1-10', max: 10, step: 1 },
+    { key: 'heartRate', unit: 'bpm', max: 250, step: 1 },
+];
+
+const toLogNumber = (value, max) => {
+    if (value === '' || value === null || value === undefined) return null;
+    const n = Number(value);
+    return Number.isFinite(n) && n >= 0 ? Math.min(Math.round(n * 100) / 100, max) : null;
+};
+
+// Returns a log with only the fields that were filled in, or null when nothing was.
+export const sanitizeSessionLog = (raw) => {
+    if (!raw || typeof raw !== 'object') return null;
+    const log = {};
+    LOG_FIELDS.forEach(({ key, max }) => {
+        const value = toLogNumber(raw[key], max);
+        if (value !== null) log[key] = value;
+    });
+    if (typeof raw.notes === 'string' && raw.notes.trim() !== '') log.notes = raw.notes.slice(0, 2000);
+    return Object.keys(log).length > 0 ? log : null;
+};
+
+export const sanitizeSessionLogs = (raw) => {
+    const logs = {};
+    for (const key of Object.keys(raw && typeof raw === 'object' ? raw : {})) {
+        const log = /^\d+$/.test(key) ? sanitizeSessionLog(raw[key]) : null;
+        if (log) logs[key] = log;
+    }
+    return logs;
+};
+
+export const getSessionLog = (grid, sessionId, cycleIndex) => findGridRow(grid, sessionId)?.logs?.[cycleIndex] ?? null;
+
+export const getCycleLogTotals = (grid, cycleIndex) => {
+    const totals = { duration: 0, distance: 0, logged: 0 };
+    (grid || []).forEach(item => {
+        const log = item?.logs?.[cycleIndex];
+        if (!log) return;
+        totals.duration += log.duration ?? 0;
+        totals.distance += log.distance ?? 0;
+        totals.logged++;
+    });
+    totals.distance = Math.round(totals.distance * 100) / 100;
+    return totals;
+};
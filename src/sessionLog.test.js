@@ -0,0 +1,20 @@
+import { sanitizeSessionLog, sanitizeSessionLogs, getCycleLogTotals } from './sessionLog';
+
+test('keeps only filled-in, valid fields', () => {
+  expect(sanitizeSessionLog({ duration: '45', distance: '10.456', rpe: 14, heartRate: -3, notes: '  ' })).toEqual({ duration: 45, distance: 10.46, rpe: 10 });
+  expect(sanitizeSessionLog({ duration: '', notes: '' })).toBeNull();
+  expect(sanitizeSessionLog('nope')).toBeNull();
+});
+
+test('drops logs that are keyed by something other than a cycle index', () => {
+  expect(sanitizeSessionLogs({ 0: { notes: 'ok' }, foo: { notes: 'x' }, 2: {} })).toEqual({ 0: { notes: 'ok' } });
+});
+
+test('totals duration and distance for one cycle', () => {
+  const grid = [
+    { row: [1], logs: { 0: { duration: 30, distance: 5.1 } } },
+    { row: [1], logs: { 0: { duration: 20 }, 1: { duration: 99 } } },
+    { row: [] },
+  ];
+  expect(getCycleLogTotals(grid, 0)).toEqual({ duration: 50, distance: 5.1, logged: 2 });
+});
@@ -0,0 +1,44 @@
+// --- Session Identity ---
+// Every activity carries a stable id, and every grid row the id of the session it
+// tracks. Statuses and logs are looked up by id rather than by position, so moving,
+// inserting or removing a session leaves past results attached to their activity.
+// Data saved before ids existed gets positional ids (s0, s1, ...), which is exactly
+// how that data was laid out.
+
+export const legacySessionId = (index) => `s${index}`;
+
+export const newSessionId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+export const sanitizeSessionId = (raw, index) => (typeof raw === 'string' && /^[\w-]{1,40}$/.test(raw) ? raw : legacySessionId(index));
+
+// One id per item, replacing missing or duplicate ones.
+export const sanitizeSessionIds = (items) => {
+    const seen = new Set();
+    return items.map((item, index) => {
+        let id = sanitizeSessionId(item?.id, index);
+        if (seen.has(id)) id = `${id}-${index}`;
+        seen.add(id);
+        return id;
+    });
+};
+
+const getRowId = (item, index) => item?.id ?? legacySessionId(index);
+
+export const findGridRow = (grid, sessionId) => (Array.isArray(grid) ? grid.find((item, index) => getRowId(item, index) === sessionId) : undefined) ?? null;
+
+export const getSessionStatus = (grid, sessionId, cycleIndex) => findGridRow(grid, sessionId)?.row?.[cycleIndex] ?? 0;
+
+// Returns a new grid where the session's row is replaced by `update(row)`, adding the row if it is missing.
+export const updateGridRow = (grid, sessionId, update) => {
+    const rows = Array.isArray(grid) ? grid : [];
+    const index = rows.findIndex((item, i) => getRowId(item, i) === sessionId);
+    if (index < 0) return [...rows, update({ id: sessionId, row: [] })];
+    return rows.map((item, i) => (i === index ? update({ ...item, id: sessionId, row: item.row ?? [] }) : item));
+};
+
+export const moveItem = (items, from, to) => {
+    const result = [...items];
+    const [item] = result.splice(from, 1);
+    result.splice(to, 0, item);
+    return result;
+};
@@ -0,0 +1,25 @@
+import { sanitizeSessionIds, findGridRow, getSessionStatus, updateGridRow, moveItem } from './sessions';
+
+test('fills in positional ids for legacy data and replaces duplicates', () => {
+  expect(sanitizeSessionIds([{}, { id: 'run' }, { id: 'run' }, { id: 'bad id!' }])).toEqual(['s0', 'run', 'run-2', 's3']);
+});
+
+test('grid rows are found by id, falling back to position for rows saved without one', () => {
+  const grid = [{ row: [1] }, { id: 'b', row: [0, 2] }];
+  expect(findGridRow(grid, 's0')).toBe(grid[0]);
+  expect(getSessionStatus(grid, 'b', 1)).toBe(2);
+  expect(getSessionStatus(grid, 'missing', 0)).toBe(0);
+});
+
+test('updateGridRow replaces the matching row or appends a new one', () => {
+  const grid = [{ id: 'a', row: [1] }];
+  const setFirst = (value) => (item) => ({ ...item, row: [value] });
+  expect(updateGridRow(grid, 'a', setFirst(3))).toEqual([{ id: 'a', row: [3] }]);
+  expect(updateGridRow(grid, 'b', setFirst(2))).toEqual([{ id: 'a', row: [1] }, { id: 'b', row: [2] }]);
+  expect(grid).toEqual([{ id: 'a', row: [1] }]);
+});
+
+test('moveItem moves one entry and keeps the rest in order', () => {
+  expect(moveItem(['a', 'b', 'c', 'd'], 0, 2)).toEqual(['b', 'c', 'a', 'd']);
+  expect(moveItem(['a', 'b', 'c'], 2, 0)).toEqual(['c', 'a', 'b']);
+});
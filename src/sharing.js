@@ -0,0 +1,27 @@
+import { sanitizePlanData } from './plan';
+
+// --- Shared Plans ---
+// Publishing copies only a plan's name and sessions to a public location under a
+// short code. Schedules and tracking data stay private to the owner.
+
+const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+export const generateShareCode = (length = 8) => Array.from({ length }, () => CODE_CHARS[Math.floor(Math.random() * CODE_CHARS.length)]).join('');
+
+export const createSharedPlan = (rawPlan, now = new Date()) => {
+    const { name, sessions, activities } = sanitizePlanData(rawPlan);
+    return { name, sessions, activities, sharedAt: now.toISOString() };
+};
+
+export const sanitizeSharedPlan = (raw) => {
+    const { name, sessions, activities } = sanitizePlanData(raw);
+    return { name, sessions, activities, sharedAt: typeof raw?.sharedAt === 'string' ? raw.sharedAt : null };
+};
+
+export const getShareLink = (code, { origin, pathname } = window.location) => `${origin}${pathname}#/shared/${code}`;
+
+// Accepts a bare code or a share link. Returns null when neither is recognised.
+export const parseShareCode = (input) => {
+    const text = String(input ?? '').trim();
+    const match = text.match(/#\/shared\/([A-Za-z0-9]+)/) || text.match(/^([A-Za-z0-9]{4,32})$/);
+    return match ? match[1].toUpperCase() : null;
+};
@@ -0,0 +1,16 @@
+import { createSharedPlan, sanitizeSharedPlan, parseShareCode, getShareLink, generateShareCode } from './sharing';
+
+test('shared plans carry only the name and sessions', () => {
+  const shared = createSharedPlan({ name: 'Base', sessions: 1, activities: [{ id: 'a', text: 'Run' }], schedule: { startDate: '2024-01-01', cadence: { type: 'daily' } }, grid: [{ row: [1] }] }, new Date('2024-05-01T00:00:00Z'));
+  expect(shared).toEqual({ name: 'Base', sessions: 1, activities: [{ id: 'a', text: 'Run', isRest: false }], sharedAt: '2024-05-01T00:00:00.000Z' });
+  expect(sanitizeSharedPlan({ ...shared, ownerId: 'u1' })).not.toHaveProperty('ownerId');
+});
+
+test('share codes are read from codes and links', () => {
+  expect(parseShareCode(' abcd2345 ')).toBe('ABCD2345');
+  expect(parseShareCode('https://example.com/pasta-app/#/shared/XYZ23456')).toBe('XYZ23456');
+  expect(parseShareCode('#/plans/1')).toBeNull();
+  expect(parseShareCode('')).toBeNull();
+  expect(getShareLink('XYZ23456', { origin: 'https://example.com', pathname: '/pasta-app/' })).toBe('https://example.com/pasta-app/#/shared/XYZ23456');
+  expect(generateShareCode()).toMatch(/^[A-Z2-9]{8}$/);
+});
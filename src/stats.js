@@ -0,0 +1,152 @@
+import { toSafeInt, getPlanForCycle, getSessionsForCycle } from './plan';
+import { getSessionStatus } from './sessions';
+import { getStatusScale, getStatusScore, isPositiveStatus } from './statusScale';
+import { getCycleDates, getCycleIndexForDate, addDays, toDateKey } from './schedule';
+import { defaultI18n } from './i18n';
+
+// --- Statistics ---
+// Pure calculations over the tracking grid. Only non-rest sessions count.
+// Cycles before the current one count in full; in the current cycle only
+// sessions that already have a status count, since the rest may still be ahead.
+// A session scores the weight of its status in that cycle's scale; unlogged ones 0.
+
+const toTrackedSession = (grid, scale, activity, session, cycle, isPending) => {
+    const status = getSessionStatus(grid, activity.id, cycle);
+    return {
+        cycle, session, sessionId: activity.id, activity: activity.text, status, isPending: isPending && status === 0,
+        score: getStatusScore(scale, status),
+        isPositive: isPositiveStatus(scale, status),
+    };
+};
+
+export const getTrackedSessions = (plan, trackingData) => {
+    const { grid = [], planHistory = {} } = trackingData || {};
+    const currentCycleIndex = toSafeInt(trackingData?.currentCycleIndex);
+    const sessions = [];
+    for (let cycle = 0; cycle <= currentCycleIndex; cycle++) {
+        const cyclePlan = getPlanForCycle(cycle, plan, planHistory);
+        const scale = getStatusScale(cyclePlan);
+        (cyclePlan?.activities || []).forEach((activity, session) => {
+            if (!activity.isRest) sessions.push(toTrackedSession(grid, scale, activity, session, cycle, cycle === currentCycleIndex));
+        });
+    }
+    return sessions;
+};
+
+const summarize = (entries) => {
+    const counted = entries.filter(e => !e.isPending);
+    const score = counted.reduce((sum, e) => sum + e.score, 0);
+    const counts = {};
+    counted.forEach(e => { counts[e.status] = (counts[e.status] ?? 0) + 1; });
+    return {
+        counted: counted.length,
+        // Sessions by stored status value; 0 counts past sessions that were never logged.
+        counts,
+        rate: counted.length > 0 ? score / counted.length : null,
+    };
+};
+
+// A streak is a run of sessions with a positive status, in the order they were scheduled.
+export const getStreaks = (sessions) => {
+    const counted = sessions.filter(s => !s.isPending);
+    let longest = 0;
+    let run = 0;
+    counted.forEach(s => {
+        run = s.isPositive ? run + 1 : 0;
+        longest = Math.max(longest, run);
+    });
+    return { current: run, longest };
+};
+
+const groupBy = (sessions, keyOf) => {
+    const groups = new Map();
+    sessions.forEach(s => {
+        const key = keyOf(s);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(s);
+    });
+    return groups;
+};
+
+export const getCompletionBySlot = (sessions) => [...groupBy(sessions, s => s.session)]
+    .sort(([a], [b]) => a - b)
+    .map(([session, entries]) => ({ session, ...summarize(entries) }));
+
+// Activities are matched by name, so a session keeps its history across plan versions and slots.
+export const getCompletionByActivity = (sessions, { t } = defaultI18n) => [...groupBy(sessions, s => s.activity.trim().toLowerCase())]
+    .map(([, entries]) => ({ activity: entries[entries.length - 1].activity.trim() || t('common.free'), ...summarize(entries) }))
+    .sort((a, b) => (b.rate ?? -1) - (a.rate ?? -1));
+
+export const getCycleSummaries = (sessions, currentCycleIndex) => Array.from({ length: currentCycleIndex + 1 }, (_, cycle) => ({
+    cycle,
+    ...summarize(sessions.filter(s => s.cycle === cycle)),
+}));
+
+export const getBestAndWorstCycles = (cycleSummaries) => {
+    const rated = cycleSummaries.filter(c => c.rate !== null);
+    if (rated.length === 0) return { best: null, worst: null };
+    const best = rated.reduce((a, b) => (b.rate > a.rate ? b : a));
+    const worst = rated.reduce((a, b) => (b.rate < a.rate ? b : a));
+    return { best, worst };
+};
+
+// Adherence over each cycle together with the (window - 1) cycles before it.
+export const getRollingAdherence = (sessions, currentCycleIndex, window = 3) => Array.from({ length: currentCycleIndex + 1 }, (_, cycle) => ({
+    cycle,
+    rate: summarize(sessions.filter(s => s.cycle <= cycle && s.cycle > cycle - window)).rate,
+}));
+
+export const computeStats = (plan, trackingData, { window = 3 } = {}, i18n = defaultI18n) => {
+    const currentCycleIndex = toSafeInt(trackingData?.currentCycleIndex);
+    const sessions = getTrackedSessions(plan, trackingData);
+    const cycles = getCycleSummaries(sessions, currentCycleIndex);
+    const rolling = getRollingAdherence(sessions, currentCycleIndex, window);
+    return {
+        overall: summarize(sessions),
+        streaks: getStreaks(sessions),
+        bySlot: getCompletionBySlot(sessions),
+        byActivity: getCompletionByActivity(sessions, i18n),
+        cycles,
+        ...getBestAndWorstCycles(cycles),
+        rolling,
+        adherence: rolling[rolling.length - 1]?.rate ?? null,
+    };
+};
+
+// --- Weekly Adherence ---
+// The seven days up to today. Scheduled plans go by their session dates, and today's
+// unlogged sessions are still pending. Plans without a start date have no dates to go
+// by, so their current cycle stands in for the week.
+const WEEK_DAYS = 7;
+
+export const getWeekSessions = (plan, trackingData, today = new Date()) => {
+    if (!plan?.schedule) {
+        const currentCycleIndex = toSafeInt(trackingData?.currentCycleIndex);
+        return getTrackedSessions(plan, trackingData).filter(s => s.cycle === currentCycleIndex);
+    }
+    const { grid = [], planHistory = {} } = trackingData || {};
+    const sessionsForCycle = getSessionsForCycle(plan, planHistory);
+    const weekStart = addDays(today, 1 - WEEK_DAYS);
+    const [from, to] = [toDateKey(weekStart), toDateKey(today)];
+    const lastCycle = getCycleIndexForDate(plan.schedule, today, sessionsForCycle);
+    const sessions = [];
+    for (let cycle = getCycleIndexForDate(plan.schedule, weekStart, sessionsForCycle); cycle <= lastCycle; cycle++) {
+        const cyclePlan = getPlanForCycle(cycle, plan, planHistory);
+        const scale = getStatusScale(cyclePlan);
+        const { sessionDates } = getCycleDates(plan.schedule, cycle, sessionsForCycle);
+        (cyclePlan?.activities || []).forEach((activity, session) => {
+            const day = toDateKey(sessionDates[session]);
+            if (!activity.isRest && day >= from && day <= to) sessions.push(toTrackedSession(grid, scale, activity, session, cycle, day === to));
+        });
+    }
+    return sessions;
+};
+
+// Combined over `entries` of { plan, trackingData }; `positive` counts sessions with a positive status.
+export const getWeeklyAdherence = (entries, today = new Date()) => {
+    const sessions = entries.flatMap(({ plan, trackingData }) => getWeekSessions(plan, trackingData, today));
+    return {
+        ...summarize(sessions),
+        positive: sessions.filter(s => !s.isPending && s.isPositive).length,
+    };
+};
@@ -0,0 +1,84 @@
+import { computeStats, getStreaks, getTrackedSessions, getWeekSessions, getWeeklyAdherence } from './stats';
+import { sanitizePlanData, sanitizeTrackingData } from './plan';
+import { parseDateKey } from './schedule';
+import { createI18n } from './i18n';
+
+const plan = sanitizePlanData({ sessions: 3, activities: [{ text: 'Run' }, { isRest: true }, { text: 'Bike' }] });
+// Cycle 2 used to have "Swim" in slot 3.
+const planHistory = { 2: { sessions: 3, activities: [{ text: 'Run' }, { isRest: true }, { text: 'Swim' }] } };
+const trackingData = sanitizeTrackingData({
+  grid: [{ row: [1, 1, 3, 1] }, { row: [] }, { row: [2, 1, 1, 0] }],
+  currentCycleIndex: 3,
+  highestCycleIndex: 3,
+  planHistory,
+});
+
+test('skips rest sessions and marks unlogged current-cycle sessions as pending', () => {
+  const sessions = getTrackedSessions(plan, trackingData);
+  expect(sessions).toHaveLength(8);
+  expect(sessions.filter(s => s.isPending)).toEqual([{ cycle: 3, session: 2, sessionId: 's2', activity: 'Bike', status: 0, isPending: true, score: 0, isPositive: false }]);
+});
+
+test('streaks count Done and Partial runs and ignore pending sessions', () => {
+  expect(getStreaks(getTrackedSessions(plan, trackingData))).toEqual({ current: 2, longest: 4 });
+  expect(getStreaks([{ isPositive: true }, { isPositive: false }, { isPositive: true }])).toEqual({ current: 1, longest: 1 });
+});
+
+test('computes rates per slot, per activity across versions, and per cycle', () => {
+  const stats = computeStats(plan, trackingData);
+  expect(stats.overall).toMatchObject({ counted: 7, counts: { 1: 5, 2: 1, 3: 1 } });
+  expect(stats.bySlot.map(s => s.rate)).toEqual([0.75, 2.5 / 3]);
+  expect(stats.byActivity.map(a => [a.activity, a.rate])).toEqual([['Bike', 1], ['Run', 0.75], ['Swim', 0.75]]);
+  expect(stats.best.cycle).toBe(1);
+  expect(stats.worst.cycle).toBe(2);
+  expect(stats.rolling.map(r => r.rate)).toEqual([0.75, 0.875, 4.5 / 6, 0.8]);
+  expect(stats.adherence).toBe(0.8);
+});
+
+test('unnamed activities are grouped under the translated Free label', () => {
+  const unnamed = sanitizePlanData({ sessions: 1, activities: [{ text: '' }] });
+  const tracking = sanitizeTrackingData({ grid: [{ row: [1] }], currentCycleIndex: 0 });
+  expect(computeStats(unnamed, tracking, {}, createI18n('fr')).byActivity.map(a => a.activity)).toEqual(['Libre']);
+  expect(sanitizePlanData({}, createI18n('fr')).name).toBe('Mon plan');
+});
+
+test('an untouched plan has no rates yet', () => {
+  const stats = computeStats(plan, sanitizeTrackingData({}));
+  expect(stats.overall.rate).toBeNull();
+  expect(stats.best).toBeNull();
+  expect(stats.streaks).toEqual({ current: 0, longest: 0 });
+});
+
+test('scores sessions with the status scale of the plan version they were tracked under', () => {
+  const scale = [
+    { label: 'Done', color: 'green', weight: 1, positive: true },
+    { label: 'Extra', color: 'teal', weight: 1, positive: true },
+    { label: 'Easy', color: 'yellow', weight: 0.5, positive: true },
+    { label: 'Sick', color: 'purple', weight: 0, positive: false },
+    { label: 'Skipped', color: 'pink', weight: 0, positive: false },
+  ];
+  const custom = sanitizePlanData({ sessions: 1, activities: [{ id: 'a', text: 'Run' }], statusScale: scale });
+  // Cycle 0 was tracked under the default scale, where 3 is Missed.
+  const tracking = sanitizeTrackingData({
+    grid: [{ id: 'a', row: [3, 2, 4, 3] }],
+    currentCycleIndex: 3,
+    highestCycleIndex: 3,
+    planHistory: { 1: { sessions: 1, activities: [{ id: 'a', text: 'Run' }] } },
+  });
+  const stats = computeStats(custom, tracking);
+  expect(stats.cycles.map(c => c.rate)).toEqual([0, 1, 0, 0.5]);
+  expect(stats.streaks).toEqual({ current: 1, longest: 1 });
+});
+
+test('weekly adherence combines the last seven days of scheduled plans with the current cycle of others', () => {
+  const scheduled = sanitizePlanData({ sessions: 3, activities: [{ id: 'a', text: 'Run' }, { id: 'r', isRest: true }, { id: 'c', text: 'Bike' }], schedule: { startDate: '2024-03-01', cadence: { type: 'daily' } } });
+  const scheduledTracking = sanitizeTrackingData({ grid: [{ id: 'a', row: [1, 1, 3, 0] }, { id: 'r', row: [] }, { id: 'c', row: [2, 1, 2] }], currentCycleIndex: 2, highestCycleIndex: 2 });
+  const today = parseDateKey('2024-03-10');
+  // Sessions fall on 1-3, 4-6, 7-9 and 10-12 March: the week starts on the 4th.
+  expect(getWeekSessions(scheduled, scheduledTracking, today).map(s => [s.cycle, s.session, s.status, s.isPending])).toEqual([
+    [1, 0, 1, false], [1, 2, 1, false], [2, 0, 3, false], [2, 2, 2, false], [3, 0, 0, true],
+  ]);
+  const weekly = getWeeklyAdherence([{ plan: scheduled, trackingData: scheduledTracking }, { plan, trackingData }], today);
+  expect(weekly).toMatchObject({ counted: 5, positive: 4, rate: 0.7 });
+  expect(getWeeklyAdherence([], today).rate).toBeNull();
+});
@@ -0,0 +1,92 @@
+import { defaultI18n } from './i18n';
+
+// --- Status Scales ---
+// A grid cell stores 0 while nothing is logged, otherwise the position (from 1) of
+// a status in the plan's scale. Each status has a label, a colour, a score weight
+// from 0 to 1 used for adherence, and counts as positive (above the axis in the
+// chart, keeps a streak going) or negative. A weight of 1 counts as "Done" for
+// conditional progression. Plans without a scale of their own use Done / Partial /
+// Missed, which matches the values stored before scales existed. Past cycles are
+// read with the scale of the plan version they were tracked under.
+
+export const MAX_STATUSES = 10;
+
+// Full class names, so Tailwind keeps them in the build.
+export const STATUS_COLORS = {
+    green: { cell: 'bg-green-300 hover:bg-green-400', swatch: 'bg-green-400' },
+    teal: { cell: 'bg-teal-300 hover:bg-teal-400', swatch: 'bg-teal-400' },
+    blue: { cell: 'bg-sky-300 hover:bg-sky-400', swatch: 'bg-sky-400' },
+    purple: { cell: 'bg-purple-300 hover:bg-purple-400', swatch: 'bg-purple-400' },
+    yellow: { cell: 'bg-yellow-300 hover:bg-yellow-400', swatch: 'bg-yellow-300' },
+    orange: { cell: 'bg-orange-300 hover:bg-orange-400', swatch: 'bg-orange-400' },
+    pink: { cell: 'bg-pink-300 hover:bg-pink-400', swatch: 'bg-pink-400' },
+    red: { cell: 'bg-red-400 hover:bg-red-500', swatch: 'bg-red-500' },
+    gray: { cell: 'bg-zinc-400 hover:bg-zinc-500', swatch: 'bg-zinc-400' },
+};
+const UNLOGGED_CELL = 'bg-zinc-200 hover:bg-zinc-300';
+
+// Labels come from the catalogs (status.done, ...), so the default scale follows the language.
+const DEFAULT_STATUSES = [
+    { key: 'done', color: 'green', weight: 1, positive: true },
+    { key: 'partial', color: 'yellow', weight: 0.5, positive: true },
+    { key: 'missed', color: 'pink', weight: 0, positive: false },
+];
+
+export const getDefaultStatusScale = ({ t } = defaultI18n) => DEFAULT_STATUSES.map(({ key, ...status }) => ({ label: t(`status.${key}`), ...status }));
+
+const sanitizeStatus = (raw) => {
+    const weight = Number(raw?.weight);
+    return {
+        label: typeof raw?.label === 'string' ? raw.label.trim().slice(0, 30) : '',
+        color: raw?.color in STATUS_COLORS ? raw.color : 'gray',
+        weight: Number.isFinite(weight) ? Math.min(Math.max(Math.round(weight * 100) / 100, 0), 1) : 0,
+        positive: !!raw?.positive,
+    };
+};
+
+// Null when the plan should use the default scale.
+export const sanitizeStatusScale = (raw) => (Array.isArray(raw) && raw.length > 0 ? raw.slice(0, MAX_STATUSES).map(sanitizeStatus) : null);
+
+export const getStatusScale = (plan, i18n = defaultI18n) => plan?.statusScale ?? getDefaultStatusScale(i18n);
+
+// The status a stored value stands for, or null when unlogged or outside the scale.
+export const getStatusEntry = (scale, value) => (value >= 1 ? scale[value - 1] ?? null : null);
+
+export const getStatusLabel = (scale, value, { t } = defaultI18n) => {
+    const status = getStatusEntry(scale, value);
+    if (!status) return t('status.none');
+    return status.label || String(value);
+};
+
+// Tapping a cell steps through the scale, then back to unlogged.
+export const nextStatus = (value, statusCount) => (value >= statusCount || value < 0 ? 0 : value + 1);
+
+export const getStatusScore = (scale, value) => getStatusEntry(scale, value)?.weight ?? 0;
+
+export const isPositiveStatus = (scale, value) => !!getStatusEntry(scale, value)?.positive;
+
+export const isFullStatus = (scale, value) => getStatusScore(scale, value) >= 1;
+
+export const getStatusCellClass = (scale, value) => {
+    const status = getStatusEntry(scale, value);
+    return status ? STATUS_COLORS[status.color].cell : UNLOGGED_CELL;
+};
+
+// The status for a completed session: the first positive one of full weight, or, when
+// it fell short of its targets, the first positive one of lower weight. 0 if the scale has none.
+export const getCompletionStatus = (scale, isComplete) => {
+    let done = scale.findIndex(s => s.positive && s.weight >= 1);
+    if (done < 0) done = scale.findIndex(s => s.positive);
+    const partial = scale.findIndex(s => s.positive && s.weight > 0 && s.weight < 1);
+    return (!isComplete && partial >= 0 ? partial : done) + 1;
+};
+
+// Shown in the cell next to the colour, so a status can be told apart without it.
+export const getStatusSymbol = (scale, value) => {
+    const status = getStatusEntry(scale, value);
+    if (!status) return '';
+    if (!status.positive) return '✕';
+    return status.weight >= 1 ? '✓' : '◐';
+};
+
+export const getStatusSwatchClass = (status) => (STATUS_COLORS[status.color] ?? STATUS_COLORS.gray).swatch;
@@ -0,0 +1,43 @@
+import { sanitizeStatusScale, getStatusScale, getStatusLabel, getStatusCellClass, getStatusSymbol, getCompletionStatus, nextStatus, isFullStatus, MAX_STATUSES } from './statusScale';
+import { sanitizePlanData } from './plan';
+import { createI18n } from './i18n';
+
+const scale = [
+  { label: 'Easy', color: 'teal', weight: 1, positive: true },
+  { label: 'Hard', color: 'purple', weight: 1, positive: true },
+  { label: 'Skipped', color: 'red', weight: 0, positive: false },
+];
+
+test('plans without a scale use Done / Partial / Missed in the active language', () => {
+  expect(getStatusScale({}).map(s => s.label)).toEqual(['Done', 'Partial', 'Missed']);
+  expect(getStatusScale({}, createI18n('fr')).map(s => s.label)).toEqual(['Fait', 'Partiel', 'Manqué']);
+  expect(sanitizePlanData({ sessions: 1, activities: [{ text: 'Run' }] })).not.toHaveProperty('statusScale');
+});
+
+test('sanitizes custom scales', () => {
+  expect(sanitizeStatusScale([])).toBeNull();
+  expect(sanitizeStatusScale([{ label: '  Easy ', color: 'neon', weight: '1.5', positive: 1 }, { weight: -2 }])).toEqual([
+    { label: 'Easy', color: 'gray', weight: 1, positive: true },
+    { label: '', color: 'gray', weight: 0, positive: false },
+  ]);
+  expect(sanitizeStatusScale(Array.from({ length: 12 }, () => scale[0]))).toHaveLength(MAX_STATUSES);
+  expect(sanitizePlanData({ sessions: 1, activities: [], statusScale: scale }).statusScale).toEqual(scale);
+});
+
+test('steps through the scale and back to unlogged', () => {
+  expect([0, 1, 2, 3].map(v => nextStatus(v, scale.length))).toEqual([1, 2, 3, 0]);
+  expect(nextStatus(5, scale.length)).toBe(0);
+});
+
+test('describes stored values with the scale', () => {
+  expect(getStatusLabel(scale, 2)).toBe('Hard');
+  expect(getStatusLabel(scale, 0)).toBe('None');
+  expect(getStatusLabel([{ ...scale[0], label: '' }], 1)).toBe('1');
+  expect(getStatusCellClass(scale, 3)).toBe('bg-red-400 hover:bg-red-500');
+  expect(getStatusCellClass(scale, 4)).toBe('bg-zinc-200 hover:bg-zinc-300');
+  expect(isFullStatus(scale, 2)).toBe(true);
+  expect(isFullStatus(getStatusScale({}), 2)).toBe(false);
+  expect([0, 1, 2, 3].map(v => getStatusSymbol(getStatusScale({}), v))).toEqual(['', '✓', '◐', '✕']);
+  expect([true, false].map(done => getCompletionStatus(getStatusScale({}), done))).toEqual([1, 2]);
+  expect([true, false].map(done => getCompletionStatus(scale, done))).toEqual([1, 1]);
+});
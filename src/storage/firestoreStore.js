@@ -0,0 +1,323 @@
+import { initializeApp } from 'firebase/app';
+import {
+    getAuth, connectAuthEmulator, signInAnonymously, onAuthStateChanged, signInWithCustomToken, signOut,
+    EmailAuthProvider, GoogleAuthProvider, linkWithCredential, linkWithPopup, signInWithPopup, signInWithCredential,
+    createUserWithEmailAndPassword, signInWithEmailAndPassword,
+} from 'firebase/auth';
+import {
+    initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator,
+    doc, getDoc, getDocs, setDoc, onSnapshot, collection, deleteDoc, writeBatch, runTransaction,
+} from 'firebase/firestore';
+import { createSyncTracker } from './syncStatus';
+import { isLegacyTracking, splitTracking, joinTracking, diffDocs } from './trackingLayout';
+import { runMigrations } from './migrations';
+import { deepMerge } from './memoryStore';
+import { isSameValue } from '../conflicts';
+
+// --- Firestore Store ---
+// Documents live under artifacts/{appId}/users/{userId}/{plans|trackingData}/{planId};
+// a user's own plan templates under artifacts/{appId}/users/{userId}/templates/{templateId}.
+// Tracking data is split into several documents per plan (see trackingLayout.js);
+// plans still stored in the old single-document layout are read and written as
+// they are until migrate() upgrades them.
+// Published plans are public, under artifacts/{appId}/public/data/sharedPlans/{code},
+// and carry the owner's uid so security rules can restrict writes to the owner.
+//
+// With a sync tracker, writes resolve as soon as Firestore has applied them to its
+// local cache, so the app keeps working offline; the tracker follows the server
+// acknowledgement. Publishing a plan still waits for the server, since a share code
+// is useless until others can read it.
+//
+// runTransaction uses a Firestore transaction, so the update sees the server's
+// latest documents and is retried if they change before the commit. Transactions
+// need the server; offline, the update runs against the local cache instead and is
+// queued like any other write.
+
+const BATCH_LIMIT = 450;
+const MAX_TRANSACTION_ATTEMPTS = 5;
+const STALE = Symbol('stale');
+const NO_TRACKING = { meta: null, cycles: {}, versions: {} };
+
+export const createFirestoreStore = (db, appId, userId, { syncTracker } = {}) => {
+    const basePath = `artifacts/${appId}/users/${userId}`;
+    const planRef = (planId) => doc(db, `${basePath}/plans/${planId}`);
+    const trackingRef = (planId) => doc(db, `${basePath}/trackingData/${planId}`);
+    const cyclesRef = (planId) => collection(db, `${basePath}/trackingData/${planId}/cycles`);
+    const versionsRef = (planId) => collection(db, `${basePath}/trackingData/${planId}/versions`);
+    const sharedPlanRef = (code) => doc(db, `artifacts/${appId}/public/data/sharedPlans/${code}`);
+    const dataOrNull = (docSnap) => (docSnap.exists() ? docSnap.data() : null);
+    const docsById = (snapshot) => Object.fromEntries(snapshot.docs.map(d => [d.id, d.data()]));
+    const write = syncTracker ? async (promise) => { syncTracker.track(promise); } : (promise) => promise;
+
+    // The tracking documents of each plan as last read or written here. Every write
+    // replaces the meta document (schema 2 bumps its revision), so a remembered layout
+    // is current for as long as the stored meta document equals its own. Taps and undo
+    // snapshots then read that one document rather than every cycle and version.
+    const layouts = new Map();
+    const remember = (planId, layout) => {
+        if (layout.meta) layouts.set(planId, layout);
+        else layouts.delete(planId);
+        return layout;
+    };
+
+    // The tracking documents of a plan as stored.
+    const readTrackingLayout = async (planId) => {
+        const [metaSnap, cyclesSnap, versionsSnap] = await Promise.all([getDoc(trackingRef(planId)), getDocs(cyclesRef(planId)), getDocs(versionsRef(planId))]);
+        return remember(planId, { meta: dataOrNull(metaSnap), cycles: docsById(cyclesSnap), versions: docsById(versionsSnap) });
+    };
+    const readCurrentLayout = async (planId) => {
+        const known = layouts.get(planId);
+        if (known && isSameValue(dataOrNull(await getDoc(trackingRef(planId))), known.meta)) return known;
+        return readTrackingLayout(planId);
+    };
+    // The layout whose meta document is `meta`, or null if it has been replaced since.
+    // A write replaces the meta document in the same commit as its cycles, so cycles
+    // read before the meta document is found unchanged belong to it.
+    const readLayoutAt = async (planId, meta) => {
+        if (!meta) return NO_TRACKING;
+        const known = layouts.get(planId);
+        if (known && isSameValue(known.meta, meta)) return known;
+        const [cyclesSnap, versionsSnap] = await Promise.all([getDocs(cyclesRef(planId)), getDocs(versionsRef(planId))]);
+        if (!isSameValue(dataOrNull(await getDoc(trackingRef(planId))), meta)) return null;
+        return remember(planId, { meta, cycles: docsById(cyclesSnap), versions: docsById(versionsSnap) });
+    };
+
+    // Writes are [ref, data] pairs; null data deletes the document.
+    const diffWrites = (refFor, { set, remove }) => [...set.map(([id, data]) => [refFor(id), data]), ...remove.map(id => [refFor(id), null])];
+    // The writes turning the stored tracking documents into `trackingData`, or deleting
+    // them all when it is null, and the layout stored once they are applied. The meta
+    // document comes last when writing and first when deleting, so a reader never sees
+    // it without its cycles.
+    const trackingWrites = (planId, stored, trackingData) => {
+        if (trackingData === undefined) return { writes: [], layout: stored };
+        if (trackingData !== null && isLegacyTracking(stored.meta)) return { writes: [[trackingRef(planId), trackingData]], layout: { ...stored, meta: trackingData } };
+        const next = trackingData === null ? NO_TRACKING : splitTracking(trackingData, (stored.meta?.revision ?? 0) + 1);
+        const children = [
+            ...diffWrites(id => doc(cyclesRef(planId), id), diffDocs(stored.cycles, next.cycles)),
+            ...diffWrites(id => doc(versionsRef(planId), id), diffDocs(stored.versions, next.versions)),
+        ];
+        return { writes: next.meta ? [...children, [trackingRef(planId), next.meta]] : [[trackingRef(planId), null], ...children], layout: next };
+    };
+    const applyWrites = (writer, writes) => writes.forEach(([ref, data]) => (data === null ? writer.delete(ref) : writer.set(ref, data)));
+    // Large writes are split over several batches, committed in order.
+    const commitWrites = async (writes, commit = write) => {
+        for (let i = 0; i < writes.length; i += BATCH_LIMIT) {
+            const batch = writeBatch(db);
+            applyWrites(batch, writes.slice(i, i + BATCH_LIMIT));
+            await commit(batch.commit());
+        }
+    };
+    const planWrites = (planId, plan) => (plan === undefined ? [] : [[planRef(planId), plan]]);
+
+    const runOffline = async (planId, update) => {
+        const [planSnap, stored] = await Promise.all([getDoc(planRef(planId)), readTrackingLayout(planId)]);
+        const result = update({ plan: dataOrNull(planSnap), trackingData: joinTracking(stored) });
+        const { writes, layout } = trackingWrites(planId, stored, result.trackingData);
+        await commitWrites([...writes, ...planWrites(planId, result.plan)]);
+        remember(planId, layout);
+        return result;
+    };
+
+    // A transaction can read single documents but not the cycles collection, so it
+    // starts from the remembered layout (or reads the cycles just before) and re-reads
+    // the meta document: an unchanged meta means the cycles are current. Otherwise the
+    // layout is read again and the transaction retried.
+    const transact = async (planId, update) => {
+        if (navigator.onLine === false) return runOffline(planId, update);
+        try {
+            for (let attempt = 1; ; attempt++) {
+                const stored = layouts.get(planId) ?? await readTrackingLayout(planId);
+                let layout = null;
+                const outcome = await runTransaction(db, async (transaction) => {
+                    const [planSnap, metaSnap] = await Promise.all([transaction.get(planRef(planId)), transaction.get(trackingRef(planId))]);
+                    if (!isSameValue(dataOrNull(metaSnap), stored.meta)) return STALE;
+                    const result = update({ plan: dataOrNull(planSnap), trackingData: joinTracking(stored) });
+                    const tracking = trackingWrites(planId, stored, result.trackingData);
+                    applyWrites(transaction, [...tracking.writes, ...planWrites(planId, result.plan)]);
+                    layout = tracking.layout;
+                    return result;
+                });
+                if (outcome !== STALE) {
+                    remember(planId, layout);
+                    return outcome;
+                }
+                layouts.delete(planId);
+                if (attempt >= MAX_TRANSACTION_ATTEMPTS) throw new Error('The plan kept changing while saving. Please try again.');
+                await new Promise(resolve => setTimeout(resolve, 200 * attempt));
+            }
+        } catch (error) {
+            if (error.code !== 'unavailable') throw error;
+            return runOffline(planId, update);
+        }
+    };
+
+    const migrationAdapter = {
+        listPlanIds: async () => (await getDocs(collection(db, `${basePath}/plans`))).docs.map(d => d.id),
+        readTracking: readTrackingLayout,
+        // Waits for the server, so the meta document is never committed ahead of its cycles.
+        writeChildren: (planId, { cycles, versions }) => commitWrites([
+            ...diffWrites(id => doc(cyclesRef(planId), id), cycles),
+            ...diffWrites(id => doc(versionsRef(planId), id), versions),
+        ], (promise) => promise),
+        commitMeta: (planId, expected, meta) => runTransaction(db, async (transaction) => {
+            if (!isSameValue(dataOrNull(await transaction.get(trackingRef(planId))), expected)) return false;
+            transaction.set(trackingRef(planId), meta);
+            return true;
+        }),
+    };
+
+    return {
+        subscribePlans: (onNext, onError) => onSnapshot(
+            collection(db, `${basePath}/plans`),
+            (snapshot) => onNext(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))),
+            onError
+        ),
+        subscribePlan: (planId, onNext, onError) => onSnapshot(planRef(planId), (docSnap) => onNext(dataOrNull(docSnap)), onError),
+        // Every write replaces the meta document, so only it is listened to; the cycles
+        // and versions are read for each snapshot. A snapshot already replaced by the
+        // time they are read is skipped, so the joined document never mixes two writes.
+        subscribeTracking: (planId, onNext, onError) => {
+            let latest = 0;
+            const unsubscribe = onSnapshot(trackingRef(planId), async (snapshot) => {
+                const call = ++latest;
+                try {
+                    const layout = await readLayoutAt(planId, dataOrNull(snapshot));
+                    if (layout && call === latest) onNext(joinTracking(layout));
+                } catch (error) {
+                    if (call === latest) onError?.(error);
+                }
+            }, onError);
+            return () => {
+                latest = -1;
+                unsubscribe();
+            };
+        },
+        subscribeTemplates: (onNext, onError) => onSnapshot(
+            collection(db, `${basePath}/templates`),
+            (snapshot) => onNext(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))),
+            onError
+        ),
+
+        getPlan: async (planId) => dataOrNull(await getDoc(planRef(planId))),
+        getTracking: async (planId) => joinTracking(await readCurrentLayout(planId)),
+
+        savePlan: (planId, plan) => write(setDoc(planRef(planId), plan)),
+        saveTracking: async (planId, data, { merge = false } = {}) => {
+            await transact(planId, ({ trackingData }) => ({ trackingData: merge && trackingData ? deepMerge(trackingData, data) : data }));
+        },
+        // Ids are generated client-side so a new plan can be created offline.
+        createPlan: async (plan, tracking) => {
+            const newPlanRef = doc(collection(db, `${basePath}/plans`));
+            await commitWrites([...trackingWrites(newPlanRef.id, NO_TRACKING, tracking ?? undefined).writes, [newPlanRef, plan]]);
+            return newPlanRef.id;
+        },
+        deletePlan: async (planId) => {
+            await commitWrites([[planRef(planId), null], ...trackingWrites(planId, await readTrackingLayout(planId), null).writes]);
+            layouts.delete(planId);
+        },
+        runTransaction: transact,
+        // Upgrades every plan to the current schema; see migrations.js.
+        migrate: () => runMigrations(migrationAdapter),
+
+        saveTemplate: async (template) => {
+            const templateRef = doc(collection(db, `${basePath}/templates`));
+            await write(setDoc(templateRef, template));
+            return templateRef.id;
+        },
+        deleteTemplate: (templateId) => write(deleteDoc(doc(db, `${basePath}/templates/${templateId}`))),
+
+        publishPlan: (code, sharedPlan) => setDoc(sharedPlanRef(code), { ...sharedPlan, ownerId: userId }),
+        getSharedPlan: async (code) => dataOrNull(await getDoc(sharedPlanRef(code))),
+    };
+};
+
+// --- Accounts ---
+// Everyone starts as an anonymous user. Creating an account links the new
+// credential to that user, so the uid and therefore every plan stay the same.
+// Signing in to an account that already exists switches to that account's uid.
+
+const OAUTH_PROVIDERS = { 'google.com': () => new GoogleAuthProvider() };
+
+export const toAccount = (user) => (user ? {
+    uid: user.uid,
+    isAnonymous: user.isAnonymous,
+    email: user.email ?? null,
+    providers: user.providerData.map(p => p.providerId),
+} : null);
+
+// `emulators` takes `{ auth: 'http://127.0.0.1:9099', firestore: '127.0.0.1:8080' }`.
+export const createFirestoreBackend = ({ firebaseConfig, appId, initialAuthToken, emulators = {} }) => {
+    const app = initializeApp(firebaseConfig);
+    const auth = getAuth(app);
+    // The persistent cache keeps plans readable offline and queues writes across reloads.
+    const db = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
+    const syncTracker = createSyncTracker();
+    if (emulators.auth) connectAuthEmulator(auth, emulators.auth, { disableWarnings: true });
+    if (emulators.firestore) {
+        const [host, port] = emulators.firestore.split(':');
+        connectFirestoreEmulator(db, host, Number(port));
+    }
+
+    const isGuest = () => !!auth.currentUser?.isAnonymous;
+
+    // Linking a credential keeps the same user, so onAuthStateChanged stays silent; tell listeners directly.
+    const userListeners = new Set();
+    const linked = (user) => {
+        userListeners.forEach(callback => callback(user.uid, toAccount(user)));
+        return toAccount(user);
+    };
+
+    return {
+        kind: 'firestore',
+        supportsAccounts: true,
+        syncStatus: syncTracker,
+        oauthProviders: Object.keys(OAUTH_PROVIDERS),
+        // A user restored from the previous visit (guest or not) is kept; only a
+        // first visit signs in.
+        signIn: async () => {
+            await auth.authStateReady();
+            if (auth.currentUser) return;
+            try {
+                if (initialAuthToken) await signInWithCustomToken(auth, initialAuthToken);
+                else await signInAnonymously(auth);
+            } catch (error) {
+                console.error("Auth failed, trying fallback:", error);
+                try { await signInAnonymously(auth); } catch (e) { console.error("Fallback auth failed", e); }
+            }
+        },
+        onUserChanged: (callback) => {
+            userListeners.add(callback);
+            const unsubscribe = onAuthStateChanged(auth, (user) => callback(user ? user.uid : null, toAccount(user)));
+            return () => {
+                userListeners.delete(callback);
+                unsubscribe();
+            };
+        },
+        getStore: (userId) => createFirestoreStore(db, appId, userId, { syncTracker }),
+
+        // Each of these resolves to the signed-in account.
+        createAccount: async (email, password) => {
+            if (!isGuest()) return toAccount((await createUserWithEmailAndPassword(auth, email, password)).user);
+            return linked((await linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email, password))).user);
+        },
+        signInWithEmail: async (email, password) => toAccount((await signInWithEmailAndPassword(auth, email, password)).user),
+        // For a guest, the provider is linked to the guest user. If that provider account
+        // is already in use elsewhere, sign in to it instead.
+        signInWithProvider: async (providerId) => {
+            const provider = OAUTH_PROVIDERS[providerId]();
+            if (!isGuest()) return toAccount((await signInWithPopup(auth, provider)).user);
+            try {
+                return linked((await linkWithPopup(auth.currentUser, provider)).user);
+            } catch (error) {
+                const credential = error.code === 'auth/credential-already-in-use' && GoogleAuthProvider.credentialFromError(error);
+                if (!credential) throw error;
+                return toAccount((await signInWithCredential(auth, credential)).user);
+            }
+        },
+        // Signing out leaves the app with a fresh guest user rather than no user at all.
+        signOut: async () => {
+            await signOut(auth);
+            await signInAnonymously(auth);
+        },
+    };
+};
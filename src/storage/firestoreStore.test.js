@@ -0,0 +1,149 @@
+import { signInAnonymously } from 'firebase/auth';
+import { createFirestoreBackend, createFirestoreStore } from './firestoreStore';
+import { splitTracking } from './trackingLayout';
+import { createCommandHistory } from '../history';
+import { cycleStatus } from '../trackingUpdates';
+
+const mockAuth = { currentUser: null, authStateReady: jest.fn(() => Promise.resolve()) };
+
+jest.mock('firebase/app', () => ({ initializeApp: jest.fn(() => ({})) }));
+jest.mock('firebase/auth', () => ({
+  getAuth: () => mockAuth,
+  signInAnonymously: jest.fn(() => Promise.resolve()),
+  GoogleAuthProvider: jest.fn(),
+}));
+
+// Documents by path, read and written through a minimal stand-in for the SDK.
+// Listeners on a document hear of a commit once all of its writes are applied.
+const mockDocs = new Map();
+const mockCollectionReads = [];
+const mockListeners = new Map();
+const mockCopy = (data) => JSON.parse(JSON.stringify(data));
+const mockSnap = (ref) => ({ id: ref.path.split('/').pop(), exists: () => mockDocs.has(ref.path), data: () => mockCopy(mockDocs.get(ref.path)) });
+const mockCommit = (writes) => {
+  writes.forEach(([path, data]) => (data === null ? mockDocs.delete(path) : mockDocs.set(path, mockCopy(data))));
+  writes.forEach(([path]) => (mockListeners.get(path) ?? []).forEach(listener => listener(mockSnap({ path }))));
+};
+jest.mock('firebase/firestore', () => {
+  const snap = (ref) => mockSnap(ref);
+  const writer = (writes) => ({
+    set: (ref, data) => writes.push([ref.path, data]),
+    delete: (ref) => writes.push([ref.path, null]),
+  });
+  return {
+    initializeFirestore: jest.fn(() => ({})),
+    persistentLocalCache: jest.fn(),
+    persistentMultipleTabManager: jest.fn(),
+    doc: (parent, path, id = path ?? `id${mockDocs.size}`) => ({ path: parent.path ? `${parent.path}/${id}` : path }),
+    collection: (db, path) => ({ path }),
+    getDoc: async (ref) => snap(ref),
+    getDocs: async ({ path }) => {
+      mockCollectionReads.push(path);
+      return { docs: [...mockDocs.keys()].filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/')).map(key => snap({ path: key })) };
+    },
+    writeBatch: () => {
+      const writes = [];
+      return { ...writer(writes), commit: async () => mockCommit(writes) };
+    },
+    runTransaction: async (db, run) => {
+      const writes = [];
+      const result = await run({ get: async (ref) => snap(ref), ...writer(writes) });
+      mockCommit(writes);
+      return result;
+    },
+    onSnapshot: (ref, onNext) => {
+      const listeners = mockListeners.get(ref.path) ?? new Set();
+      mockListeners.set(ref.path, listeners.add(onNext));
+      Promise.resolve().then(() => listeners.has(onNext) && onNext(snap(ref)));
+      return () => listeners.delete(onNext);
+    },
+  };
+});
+
+const createBackend = () => createFirestoreBackend({ firebaseConfig: {}, appId: 'test' });
+
+beforeEach(() => {
+  signInAnonymously.mockClear();
+  mockAuth.currentUser = null;
+});
+
+test('signs in a first-time visitor as a guest once the saved session has been checked', async () => {
+  await createBackend().signIn();
+  expect(mockAuth.authStateReady).toHaveBeenCalled();
+  expect(signInAnonymously).toHaveBeenCalledWith(mockAuth);
+});
+
+test('keeps a signed-in account restored from a previous visit', async () => {
+  mockAuth.currentUser = { uid: 'u1', isAnonymous: false, email: 'ann@example.com' };
+  await createBackend().signIn();
+  expect(signInAnonymously).not.toHaveBeenCalled();
+  expect(mockAuth.currentUser.uid).toBe('u1');
+});
+
+describe('tracking reads', () => {
+  const base = 'artifacts/test/users/u1';
+  const tracking = { grid: [{ id: 'a', row: [1, 0] }, { id: 'b', row: [2] }], currentCycleIndex: 1, highestCycleIndex: 1 };
+  // Writes as another device would, in one commit.
+  const storeLayout = (trackingData, revision) => {
+    const { meta, cycles } = splitTracking(trackingData, revision);
+    mockCommit([...Object.entries(cycles).map(([id, data]) => [`${base}/trackingData/p1/cycles/${id}`, data]), [`${base}/trackingData/p1`, meta]]);
+  };
+  const tap = (expected) => cycleStatus({ sessionId: 'a', sessionIndex: 0, cycle: 1, expected });
+
+  beforeEach(() => {
+    mockDocs.clear();
+    mockListeners.clear();
+    mockDocs.set(`${base}/plans/p1`, { name: 'Plan', sessions: 2, activities: [{ id: 'a', text: 'Run' }, { id: 'b', text: 'Swim' }] });
+    storeLayout(tracking, 1);
+  });
+
+  test('a tap and its undo snapshots read the cycles once, then only the meta document', async () => {
+    const store = createFirestoreStore({}, 'test', 'u1');
+    const history = createCommandHistory();
+    await history.run({ store, planId: 'p1' }, () => store.runTransaction('p1', tap(0)));
+    mockCollectionReads.length = 0;
+
+    await history.run({ store, planId: 'p1' }, () => store.runTransaction('p1', tap(1)));
+    expect(mockCollectionReads).toEqual([]);
+    expect((await store.getTracking('p1')).grid[0].row).toEqual([1, 2]);
+    await history.undo();
+    expect((await store.getTracking('p1')).grid[0].row).toEqual([1, 1]);
+    expect(mockCollectionReads).toEqual([]);
+  });
+
+  test('reads the cycles again once another device has written', async () => {
+    const store = createFirestoreStore({}, 'test', 'u1');
+    await store.runTransaction('p1', tap(0));
+    storeLayout({ ...tracking, grid: [{ id: 'a', row: [1, 3] }, { id: 'b', row: [2] }] }, 5);
+
+    await expect(store.runTransaction('p1', tap(1))).rejects.toMatchObject({ name: 'ConflictError' });
+    expect((await store.getTracking('p1')).grid[0].row).toEqual([1, 3]);
+    await store.runTransaction('p1', tap(3));
+    expect((await store.getTracking('p1')).grid[0].row).toEqual([1, 0]);
+  });
+});
+
+test('subscribers only see tracking documents as they were committed', async () => {
+  const base = 'artifacts/test/users/u1/trackingData/p1';
+  const commit = (rows, revision) => {
+    const { meta, cycles } = splitTracking({ grid: [{ id: 'a', row: rows }], currentCycleIndex: rows.length - 1, highestCycleIndex: rows.length - 1 }, revision);
+    mockCommit([...Object.entries(cycles).map(([id, data]) => [`${base}/cycles/${id}`, data]), [base, meta]]);
+  };
+  mockDocs.clear();
+  mockListeners.clear();
+  commit([1], 1);
+  const seen = [];
+  const unsubscribe = createFirestoreStore({}, 'test', 'u1').subscribeTracking('p1', (data) => seen.push(data.grid[0].row));
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  // The second commit lands while the cycles of the first are being read.
+  commit([1, 2], 2);
+  commit([1, 2, 3], 3);
+  await new Promise(resolve => setTimeout(resolve, 0));
+  expect(seen).toEqual([[1], [1, 2, 3]]);
+
+  unsubscribe();
+  commit([3], 4);
+  await new Promise(resolve => setTimeout(resolve, 0));
+  expect(seen).toHaveLength(2);
+});
@@ -0,0 +1,45 @@
+import { createFirestoreBackend } from './firestoreStore';
+import { createLocalBackend } from './localStore';
+
+export { createFirestoreBackend, createFirestoreStore } from './firestoreStore';
+export { createLocalBackend } from './localStore';
+export { createMemoryBackend, createMemoryStore } from './memoryStore';
+
+// --- Environment ---
+// eslint-disable-next-line no-undef
+export const getAppId = () => typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+export const getFirebaseConfig = () => {
+    try {
+        // eslint-disable-next-line no-undef
+        return typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : null;
+    } catch (e) {
+        console.error("Failed to parse Firebase config:", e);
+        return null;
+    }
+};
+// eslint-disable-next-line no-undef
+const getInitialAuthToken = () => typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+
+// Set REACT_APP_AUTH_EMULATOR_HOST (and REACT_APP_FIRESTORE_EMULATOR_HOST) to host:port
+// to run against the local Firebase emulators, e.g. `firebase emulators:start --project demo-pasta`.
+export const getEmulators = (env = process.env) => ({
+    auth: env.REACT_APP_AUTH_EMULATOR_HOST ? `http://${env.REACT_APP_AUTH_EMULATOR_HOST}` : null,
+    firestore: env.REACT_APP_FIRESTORE_EMULATOR_HOST || null,
+});
+const EMULATOR_CONFIG = { apiKey: 'demo-api-key', projectId: 'demo-pasta', authDomain: 'localhost' };
+
+// The placeholder config (`apiKey: "..."`) is treated the same as no config at all.
+export const isFirebaseConfigured = (config) => !!config?.apiKey && config.apiKey !== '...';
+
+export const createDefaultBackend = () => {
+    const appId = getAppId();
+    const firebaseConfig = getFirebaseConfig();
+    const emulators = getEmulators();
+    if (isFirebaseConfigured(firebaseConfig)) {
+        return createFirestoreBackend({ firebaseConfig, appId, initialAuthToken: getInitialAuthToken(), emulators });
+    }
+    if (emulators.auth) {
+        return createFirestoreBackend({ firebaseConfig: EMULATOR_CONFIG, appId, emulators });
+    }
+    return createLocalBackend({ appId });
+};
@@ -0,0 +1,71 @@
+import { createMemoryStore, generateId } from './memoryStore';
+
+// --- Browser-Local Store ---
+// Keeps everything in localStorage so the app works without a Firebase project.
+// Each browser gets a stable pseudo user id; data is namespaced per app id.
+
+const USER_KEY = 'pasta:localUserId';
+const dataKey = (appId, userId) => `pasta:${appId}:${userId}`;
+
+const readJSON = (storage, key) => {
+    try {
+        const raw = storage.getItem(key);
+        return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+        console.error("Failed to read local data:", e);
+        return null;
+    }
+};
+
+export const createLocalBackend = ({ appId, storage = window.localStorage } = {}) => {
+    const stores = {};
+
+    const getUserId = () => {
+        let userId = storage.getItem(USER_KEY);
+        if (!userId) {
+            userId = `local-${generateId(12)}`;
+            storage.setItem(USER_KEY, userId);
+        }
+        return userId;
+    };
+
+    return {
+        kind: 'local',
+        signIn: async () => {},
+        onUserChanged: (callback) => {
+            const userId = getUserId();
+            callback(userId, { uid: userId, isAnonymous: true, email: null, providers: [] });
+            return () => {};
+        },
+        getStore: (userId) => {
+            if (!stores[userId]) {
+                const key = dataKey(appId, userId);
+                const saved = readJSON(storage, key) || {};
+                const store = createMemoryStore({
+                    plans: saved.plans || {},
+                    trackingData: saved.trackingData || {},
+                    templates: saved.templates || {},
+                    sharedPlans: saved.sharedPlans || {},
+                    onChange: (state) => {
+                        try {
+                            storage.setItem(key, JSON.stringify(state));
+                        } catch (e) {
+                            console.error("Failed to write local data:", e);
+                        }
+                    },
+                });
+                // Other tabs write the same key; while watched, their changes are picked up so
+                // updates here start from them. Returns the function that stops watching.
+                const watchOtherTabs = () => {
+                    const onStorage = (event) => {
+                        if (event.key === key && event.storageArea === storage) store.load(readJSON(storage, key) || {});
+                    };
+                    window.addEventListener('storage', onStorage);
+                    return () => window.removeEventListener('storage', onStorage);
+                };
+                stores[userId] = { ...store, watchOtherTabs };
+            }
+            return stores[userId];
+        },
+    };
+};
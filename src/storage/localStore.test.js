@@ -0,0 +1,19 @@
+import { createLocalBackend } from './localStore';
+
+const otherTabWrites = (key, data) => {
+  window.localStorage.setItem(key, JSON.stringify(data));
+  window.dispatchEvent(new StorageEvent('storage', { key, storageArea: window.localStorage }));
+};
+
+afterEach(() => window.localStorage.clear());
+
+test('follows other tabs only while watched', async () => {
+  const store = createLocalBackend({ appId: 'test' }).getStore('u1');
+  const stop = store.watchOtherTabs();
+  otherTabWrites('pasta:test:u1', { plans: { p: { name: 'From another tab' } } });
+  expect(await store.getPlan('p')).toEqual({ name: 'From another tab' });
+
+  stop();
+  otherTabWrites('pasta:test:u1', { plans: {} });
+  expect(await store.getPlan('p')).toEqual({ name: 'From another tab' });
+});
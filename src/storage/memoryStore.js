@@ -0,0 +1,127 @@
+// --- In-Memory Store ---
+// Reference implementation of the store interface. Holds plans and tracking
+// documents in plain objects and notifies subscribers synchronously on write,
+// the same way Firestore fires local snapshots before the server round-trip.
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Mirrors Firestore's `{ merge: true }`: nested maps merge, everything else is replaced.
+export const deepMerge = (target, source) => {
+    const result = { ...target };
+    for (const key of Object.keys(source)) {
+        result[key] = isPlainObject(result[key]) && isPlainObject(source[key])
+            ? deepMerge(result[key], source[key])
+            : source[key];
+    }
+    return result;
+};
+
+const ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+export const generateId = (length = 20) => Array.from({ length }, () => ID_CHARS[Math.floor(Math.random() * ID_CHARS.length)]).join('');
+
+export const createMemoryStore = ({ plans = {}, trackingData = {}, templates = {}, sharedPlans = {}, onChange } = {}) => {
+    const state = { plans: clone(plans), trackingData: clone(trackingData), templates: clone(templates), sharedPlans: clone(sharedPlans) };
+    const listeners = new Set();
+
+    const listPlans = () => Object.keys(state.plans).map(id => ({ id, ...clone(state.plans[id]) }));
+    const listTemplates = () => Object.keys(state.templates).map(id => ({ id, ...clone(state.templates[id]) }));
+
+    const notify = () => listeners.forEach(listener => listener());
+    const emit = () => {
+        notify();
+        if (onChange) onChange(clone(state));
+    };
+
+    // A document replaces the stored one, null deletes it, undefined leaves it alone.
+    const applyDoc = (collection, id, value) => {
+        if (value === null) delete collection[id];
+        else if (value !== undefined) collection[id] = clone(value);
+    };
+
+    const subscribe = (read, onNext) => {
+        const listener = () => onNext(read());
+        listeners.add(listener);
+        listener();
+        return () => listeners.delete(listener);
+    };
+
+    return {
+        subscribePlans: (onNext) => subscribe(listPlans, onNext),
+        subscribePlan: (planId, onNext) => subscribe(() => clone(state.plans[planId]) ?? null, onNext),
+        subscribeTracking: (planId, onNext) => subscribe(() => clone(state.trackingData[planId]) ?? null, onNext),
+        subscribeTemplates: (onNext) => subscribe(listTemplates, onNext),
+
+        getPlan: async (planId) => clone(state.plans[planId]) ?? null,
+        getTracking: async (planId) => clone(state.trackingData[planId]) ?? null,
+
+        savePlan: async (planId, plan) => {
+            state.plans[planId] = clone(plan);
+            emit();
+        },
+        saveTracking: async (planId, data, { merge = false } = {}) => {
+            const existing = state.trackingData[planId];
+            state.trackingData[planId] = merge && existing ? deepMerge(existing, clone(data)) : clone(data);
+            emit();
+        },
+        createPlan: async (plan, tracking) => {
+            const id = generateId();
+            state.plans[id] = clone(plan);
+            if (tracking) state.trackingData[id] = clone(tracking);
+            emit();
+            return id;
+        },
+        deletePlan: async (planId) => {
+            delete state.plans[planId];
+            delete state.trackingData[planId];
+            emit();
+        },
+        // Runs `update` on the latest plan and tracking documents and writes the
+        // `{ plan, trackingData }` it returns in one step. Errors thrown by `update`
+        // (such as a ConflictError) abort without writing. Resolves to the result.
+        runTransaction: async (planId, update) => {
+            const result = update({ plan: clone(state.plans[planId]) ?? null, trackingData: clone(state.trackingData[planId]) ?? null });
+            applyDoc(state.plans, planId, result.plan);
+            applyDoc(state.trackingData, planId, result.trackingData);
+            emit();
+            return result;
+        },
+
+        saveTemplate: async (template) => {
+            const id = generateId();
+            state.templates[id] = clone(template);
+            emit();
+            return id;
+        },
+        deleteTemplate: async (templateId) => {
+            delete state.templates[templateId];
+            emit();
+        },
+
+        publishPlan: async (code, sharedPlan) => {
+            state.sharedPlans[code] = clone(sharedPlan);
+            emit();
+        },
+        getSharedPlan: async (code) => clone(state.sharedPlans[code]) ?? null,
+
+        // Replaces all data, e.g. with another tab's writes. Subscribers are notified; onChange is not.
+        load: (data) => {
+            Object.assign(state, { plans: {}, trackingData: {}, templates: {}, sharedPlans: {} }, clone(data));
+            notify();
+        },
+    };
+};
+
+export const createMemoryBackend = ({ userId = 'local-user', ...initialData } = {}) => {
+    const store = createMemoryStore(initialData);
+    return {
+        kind: 'memory',
+        signIn: async () => {},
+        onUserChanged: (callback) => {
+            callback(userId, { uid: userId, isAnonymous: true, email: null, providers: [] });
+            return () => {};
+        },
+        getStore: () => store,
+    };
+};
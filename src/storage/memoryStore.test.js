@@ -0,0 +1,46 @@
+import { createMemoryStore } from './memoryStore';
+
+test('notifies subscribers with the current value and after writes', async () => {
+  const store = createMemoryStore();
+  const seen = [];
+  const unsub = store.subscribePlan('a', plan => seen.push(plan));
+  await store.savePlan('a', { name: 'A', sessions: 1, activities: [] });
+  unsub();
+  await store.savePlan('a', { name: 'B', sessions: 1, activities: [] });
+  expect(seen).toEqual([null, { name: 'A', sessions: 1, activities: [] }]);
+});
+
+test('merges nested maps like Firestore setDoc merge', async () => {
+  const store = createMemoryStore({ trackingData: { a: { currentCycleIndex: 2, planHistory: { 0: { name: 'old' } } } } });
+  await store.saveTracking('a', { planHistory: { 1: { name: 'newer' } } }, { merge: true });
+  expect(await store.getTracking('a')).toEqual({
+    currentCycleIndex: 2,
+    planHistory: { 0: { name: 'old' }, 1: { name: 'newer' } },
+  });
+});
+
+test('deleting a plan removes its tracking data as well', async () => {
+  const store = createMemoryStore();
+  const id = await store.createPlan({ name: 'A' }, { grid: [] });
+  await store.deletePlan(id);
+  expect(await store.getPlan(id)).toBeNull();
+  expect(await store.getTracking(id)).toBeNull();
+});
+
+test('hands out copies so callers cannot mutate stored state', async () => {
+  const store = createMemoryStore({ plans: { a: { activities: [{ text: 'Run' }] } } });
+  const plan = await store.getPlan('a');
+  plan.activities[0].text = 'Swim';
+  expect((await store.getPlan('a')).activities[0].text).toBe('Run');
+});
+
+test('transactions write plan and tracking together, or nothing when the update throws', async () => {
+  const store = createMemoryStore({ plans: { a: { name: 'A' } }, trackingData: { a: { grid: [] } } });
+  await expect(store.runTransaction('a', () => { throw new Error('nope'); })).rejects.toThrow('nope');
+  await store.runTransaction('a', ({ plan, trackingData }) => ({ plan: { ...plan, name: 'B' }, trackingData: { ...trackingData, currentCycleIndex: 1 } }));
+  expect(await store.getPlan('a')).toEqual({ name: 'B' });
+  expect(await store.getTracking('a')).toEqual({ grid: [], currentCycleIndex: 1 });
+  await store.runTransaction('a', () => ({ plan: null, trackingData: null }));
+  expect(await store.getPlan('a')).toBeNull();
+  expect(await store.getTracking('a')).toBeNull();
+});
@@ -0,0 +1,57 @@
+import { SCHEMA_VERSION, isLegacyTracking, splitTracking, diffDocs } from './trackingLayout';
+
+// --- Schema Migrations ---
+// Run on load for every plan of the signed-in user. Each migration must be
+// idempotent, and must leave a plan readable at its old version until its final
+// step, so an interrupted run (closed tab, lost connection) simply resumes on the
+// next load. The store supplies the storage access as an adapter:
+//   listPlanIds()                      ids of the user's plans
+//   readTracking(planId)               { meta, cycles, versions } as stored
+//   writeChildren(planId, changes)     applies { cycles, versions } diffs from diffDocs
+//   commitMeta(planId, expected, meta) replaces the meta document if it still equals
+//                                      `expected`; resolves to false otherwise
+
+export const getSchemaVersion = (meta) => (isLegacyTracking(meta) ? 1 : meta?.schemaVersion ?? SCHEMA_VERSION);
+
+export const MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Store each cycle and plan version in its own document',
+        // Child documents are written first; they are ignored until the meta document
+        // says schema 2. Leftovers from an interrupted earlier run are removed.
+        up: async (adapter, planId) => {
+            const stored = await adapter.readTracking(planId);
+            if (!isLegacyTracking(stored.meta)) return true;
+            const next = splitTracking(stored.meta);
+            await adapter.writeChildren(planId, {
+                cycles: diffDocs(stored.cycles, next.cycles),
+                versions: diffDocs(stored.versions, next.versions),
+            });
+            return adapter.commitMeta(planId, stored.meta, next.meta);
+        },
+    },
+];
+
+const MAX_ATTEMPTS = 3;
+
+// Brings every plan up to the latest schema. A migration that resolves to false
+// lost a race with another write to the plan and is run again.
+export const runMigrations = async (adapter, migrations = MIGRATIONS) => {
+    const result = { migrated: 0 };
+    for (const planId of await adapter.listPlanIds()) {
+        const { meta } = await adapter.readTracking(planId);
+        if (!meta) continue;
+        const storedVersion = getSchemaVersion(meta);
+        let version = storedVersion;
+        for (const migration of migrations) {
+            if (migration.version <= version) continue;
+            let attempts = 0;
+            while (!(await migration.up(adapter, planId))) {
+                if (++attempts >= MAX_ATTEMPTS) throw new Error(`Plan ${planId} kept changing during its migration to schema ${migration.version}.`);
+            }
+            version = migration.version;
+        }
+        if (version > storedVersion) result.migrated++;
+    }
+    return result;
+};
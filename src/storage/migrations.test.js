@@ -0,0 +1,86 @@
+import { runMigrations } from './migrations';
+import { joinTracking } from './trackingLayout';
+
+const legacy = {
+  grid: [{ id: 'a', row: [1, 2] }],
+  currentCycleIndex: 1,
+  highestCycleIndex: 1,
+  planHistory: {},
+  planVersions: {},
+  auditLog: {},
+};
+
+// Plans held in plain objects, in the stored layout.
+const createAdapter = (metas) => {
+  const docs = { meta: { ...metas }, cycles: {}, versions: {} };
+  const adapter = {
+    docs,
+    listPlanIds: async () => Object.keys(docs.meta),
+    readTracking: async (planId) => ({ meta: docs.meta[planId] ?? null, cycles: { ...docs.cycles[planId] }, versions: { ...docs.versions[planId] } }),
+    writeChildren: async (planId, changes) => {
+      ['cycles', 'versions'].forEach(kind => {
+        docs[kind][planId] = { ...docs[kind][planId], ...Object.fromEntries(changes[kind].set) };
+        changes[kind].remove.forEach(id => delete docs[kind][planId][id]);
+      });
+    },
+    commitMeta: async (planId, expected, meta) => {
+      if (docs.meta[planId] !== expected) return false;
+      docs.meta[planId] = meta;
+      return true;
+    },
+  };
+  return adapter;
+};
+
+test('upgrades schema 1 plans and leaves the data unchanged', async () => {
+  const adapter = createAdapter({ p: legacy, q: null });
+  expect(await runMigrations(adapter)).toEqual({ migrated: 1 });
+  expect(adapter.docs.meta.p.schemaVersion).toBe(2);
+  expect(adapter.docs.meta.p.grid).toBeUndefined();
+  expect(joinTracking(await adapter.readTracking('p'))).toEqual(legacy);
+});
+
+test('upgrades baseline plans whose grid rows have no ids', async () => {
+  const baseline = { ...legacy, grid: [{ row: [1, 2] }, { row: [] }, { row: [3, 1] }] };
+  const adapter = createAdapter({ p: baseline });
+  await runMigrations(adapter);
+  expect(adapter.docs.meta.p.sessionOrder).toEqual(['s0', 's1', 's2']);
+  expect(joinTracking(await adapter.readTracking('p')).grid).toEqual([{ id: 's0', row: [1, 2] }, { id: 's1', row: [] }, { id: 's2', row: [3, 1] }]);
+});
+
+test('is idempotent', async () => {
+  const adapter = createAdapter({ p: legacy });
+  await runMigrations(adapter);
+  const afterFirstRun = JSON.stringify(adapter.docs);
+  expect(await runMigrations(adapter)).toEqual({ migrated: 0 });
+  expect(JSON.stringify(adapter.docs)).toBe(afterFirstRun);
+});
+
+test('resumes after an interrupted run, dropping documents the old data no longer has', async () => {
+  const adapter = createAdapter({ p: { ...legacy, grid: [{ id: 'a', row: [1, 2, 3] }] } });
+  const commitMeta = adapter.commitMeta;
+  adapter.commitMeta = async () => { throw new Error('connection lost'); };
+  await expect(runMigrations(adapter)).rejects.toThrow('connection lost');
+  expect(Object.keys(adapter.docs.cycles.p)).toEqual(['0', '1', '2']);
+
+  adapter.docs.meta.p = legacy;
+  adapter.commitMeta = commitMeta;
+  await runMigrations(adapter);
+  expect(Object.keys(adapter.docs.cycles.p)).toEqual(['0', '1']);
+  expect(joinTracking(await adapter.readTracking('p'))).toEqual(legacy);
+});
+
+test('runs a migration again when the plan changed while it ran', async () => {
+  const adapter = createAdapter({ p: legacy });
+  const writeChildren = adapter.writeChildren;
+  let raced = false;
+  adapter.writeChildren = async (planId, changes) => {
+    await writeChildren(planId, changes);
+    if (!raced) {
+      raced = true;
+      adapter.docs.meta.p = { ...legacy, grid: [{ id: 'a', row: [1, 3] }] };
+    }
+  };
+  await runMigrations(adapter);
+  expect(joinTracking(await adapter.readTracking('p')).grid).toEqual([{ id: 'a', row: [1, 3] }]);
+});
@@ -0,0 +1,35 @@
+// --- Sync Status ---
+// Follows writes that have been applied locally but not yet acknowledged by the
+// server. Firestore queues them while offline and sends them on reconnect.
+
+const IDLE = { pending: 0, failed: 0, lastError: null };
+
+export const createSyncTracker = () => {
+    let state = IDLE;
+    const listeners = new Set();
+    const update = (changes) => {
+        state = { ...state, ...changes };
+        listeners.forEach(listener => listener(state));
+    };
+
+    return {
+        getState: () => state,
+        subscribe: (listener) => {
+            listeners.add(listener);
+            listener(state);
+            return () => listeners.delete(listener);
+        },
+        track: (promise) => {
+            update({ pending: state.pending + 1 });
+            promise.then(
+                () => update({ pending: state.pending - 1 }),
+                (error) => {
+                    console.error("Sync failed:", error);
+                    update({ pending: state.pending - 1, failed: state.failed + 1, lastError: error?.message ?? String(error) });
+                }
+            );
+            return promise;
+        },
+        clearFailures: () => update({ failed: 0, lastError: null }),
+    };
+};
@@ -0,0 +1,37 @@
+import { createSyncTracker } from './syncStatus';
+
+const deferred = () => {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+};
+
+test('counts writes until the server acknowledges them', async () => {
+  const tracker = createSyncTracker();
+  const states = [];
+  tracker.subscribe(state => states.push(state.pending));
+  const first = deferred();
+  const second = deferred();
+  tracker.track(first.promise);
+  tracker.track(second.promise);
+  expect(tracker.getState().pending).toBe(2);
+  first.resolve();
+  second.resolve();
+  await second.promise;
+  await Promise.resolve();
+  expect(states).toEqual([0, 1, 2, 1, 0]);
+});
+
+test('records failed writes until they are cleared', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const tracker = createSyncTracker();
+  const write = deferred();
+  tracker.track(write.promise).catch(() => {});
+  write.reject(new Error('permission-denied'));
+  await write.promise.catch(() => {});
+  await Promise.resolve();
+  expect(tracker.getState()).toEqual({ pending: 0, failed: 1, lastError: 'permission-denied' });
+  tracker.clearFailures();
+  expect(tracker.getState()).toEqual({ pending: 0, failed: 0, lastError: null });
+  console.error.mockRestore();
+});
@@ -0,0 +1,104 @@
+import { isSameValue } from '../conflicts';
+import { sanitizeSessionIds } from '../sessions';
+
+// --- Tracking Document Layout ---
+// Schema 1 kept a plan's whole tracking history in one document, which grows with
+// every cycle and would eventually hit Firestore's 1 MiB document limit. Schema 2
+// splits it up under trackingData/{planId}:
+//   trackingData/{planId}                  meta: schemaVersion, revision, cycle position,
+//                                          session order and any other top-level fields
+//   trackingData/{planId}/cycles/{cycle}   statuses and logs by session id, the plan in
+//                                          effect before that cycle (planHistory) and the
+//                                          cycle's audit entries
+//   trackingData/{planId}/versions/{id}    one saved plan version each
+// The rest of the app only ever sees the joined document, in the schema 1 shape.
+
+export const SCHEMA_VERSION = 2;
+
+export const isLegacyTracking = (meta) => !!meta && !(meta.schemaVersion >= 2);
+
+const LAYOUT_FIELDS = ['grid', 'planHistory', 'planVersions', 'auditLog'];
+const INTERNAL_FIELDS = ['schemaVersion', 'revision', 'sessionOrder'];
+
+const omit = (object, keys) => Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
+
+const toCycleId = (value) => {
+    const n = Number(value);
+    return String(Number.isInteger(n) && n >= 0 ? n : 0);
+};
+
+// Splits a tracking document into its schema 2 documents. Every write bumps `revision`.
+// Rows saved before sessions had ids get the positional ids the app reads them with.
+export const splitTracking = (trackingData, revision = 0) => {
+    const cycles = {};
+    const cycle = (id) => (cycles[id] = cycles[id] || {});
+    const rows = Array.isArray(trackingData.grid) ? trackingData.grid : [];
+    const ids = sanitizeSessionIds(rows);
+    const grid = rows.map((item, index) => ({ ...item, id: ids[index] }));
+
+    grid.forEach(({ id, row, logs }) => {
+        (Array.isArray(row) ? row : []).forEach((status, index) => {
+            const doc = cycle(String(index));
+            doc.statuses = { ...doc.statuses, [id]: status };
+        });
+        Object.entries(logs || {}).forEach(([index, log]) => {
+            const doc = cycle(toCycleId(index));
+            doc.logs = { ...doc.logs, [id]: log };
+        });
+    });
+    Object.entries(trackingData.planHistory || {}).forEach(([index, plan]) => {
+        cycle(toCycleId(index)).planBefore = plan;
+    });
+    Object.entries(trackingData.auditLog || {}).forEach(([entryId, entry]) => {
+        const doc = cycle(toCycleId(entry?.cycle));
+        doc.auditLog = { ...doc.auditLog, [entryId]: entry };
+    });
+
+    return {
+        meta: {
+            ...omit(trackingData, [...LAYOUT_FIELDS, ...INTERNAL_FIELDS]),
+            schemaVersion: SCHEMA_VERSION,
+            revision,
+            sessionOrder: grid.map(item => item.id),
+        },
+        cycles,
+        versions: { ...trackingData.planVersions },
+    };
+};
+
+// Joins schema 2 documents back into one tracking document. A schema 1 document
+// is returned as it is.
+export const joinTracking = ({ meta, cycles = {}, versions = {} }) => {
+    if (!meta) return null;
+    if (isLegacyTracking(meta)) return meta;
+
+    const cycleIds = Object.keys(cycles).sort((a, b) => Number(a) - Number(b));
+    const rows = {};
+    const logs = {};
+    const planHistory = {};
+    const auditLog = {};
+    cycleIds.forEach(cycleId => {
+        const doc = cycles[cycleId];
+        Object.entries(doc.statuses || {}).forEach(([id, status]) => {
+            rows[id] = rows[id] || [];
+            rows[id][Number(cycleId)] = status;
+        });
+        Object.entries(doc.logs || {}).forEach(([id, log]) => {
+            logs[id] = { ...logs[id], [cycleId]: log };
+        });
+        if (doc.planBefore !== undefined) planHistory[cycleId] = doc.planBefore;
+        Object.assign(auditLog, doc.auditLog);
+    });
+
+    const grid = (meta.sessionOrder || []).map(id => {
+        const row = Array.from(rows[id] || [], status => status ?? 0);
+        return logs[id] ? { id, row, logs: logs[id] } : { id, row };
+    });
+    return { ...omit(meta, INTERNAL_FIELDS), grid, planHistory, planVersions: { ...versions }, auditLog };
+};
+
+// The documents of a collection to set and to delete to get from `before` to `after`.
+export const diffDocs = (before = {}, after = {}) => ({
+    set: Object.entries(after).filter(([id, data]) => !isSameValue(before[id], data)),
+    remove: Object.keys(before).filter(id => !(id in after)),
+});
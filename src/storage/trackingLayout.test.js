@@ -0,0 +1,46 @@
+import { splitTracking, joinTracking, diffDocs, isLegacyTracking } from './trackingLayout';
+
+const tracking = {
+  grid: [{ id: 'a', row: [1, 0, 2], logs: { 2: { duration: 30 } } }, { id: 'b', row: [] }, { id: 'c', row: [3] }],
+  currentCycleIndex: 2,
+  highestCycleIndex: 2,
+  planHistory: { 1: { name: 'Old', sessions: 1, activities: [] } },
+  planVersions: { v1: { savedAt: '2024-03-01T10:00:00.000Z', cycleIndex: 1, plan: { name: 'New' } } },
+  auditLog: { e1: { cycle: 0, sessionId: 'a', from: 0, to: 1 } },
+};
+
+test('stores each cycle in its own document', () => {
+  const { meta, cycles, versions } = splitTracking(tracking, 4);
+  expect(meta).toEqual({ currentCycleIndex: 2, highestCycleIndex: 2, schemaVersion: 2, revision: 4, sessionOrder: ['a', 'b', 'c'] });
+  expect(cycles).toEqual({
+    0: { statuses: { a: 1, c: 3 }, auditLog: { e1: tracking.auditLog.e1 } },
+    1: { statuses: { a: 0 }, planBefore: tracking.planHistory[1] },
+    2: { statuses: { a: 2 }, logs: { a: { duration: 30 } } },
+  });
+  expect(versions).toEqual(tracking.planVersions);
+});
+
+test('joins the documents back into the same tracking document', () => {
+  expect(joinTracking(splitTracking(tracking))).toEqual(tracking);
+  expect(joinTracking(splitTracking({ currentCycleIndex: 0 }))).toEqual({ currentCycleIndex: 0, grid: [], planHistory: {}, planVersions: {}, auditLog: {} });
+  expect(joinTracking({ meta: null })).toBeNull();
+});
+
+test('gives rows saved before session ids their positional ids', () => {
+  const { meta, cycles } = splitTracking({ grid: [{ row: [1, 2] }, { row: [3] }], currentCycleIndex: 1 });
+  expect(meta.sessionOrder).toEqual(['s0', 's1']);
+  expect(cycles).toEqual({ 0: { statuses: { s0: 1, s1: 3 } }, 1: { statuses: { s0: 2 } } });
+});
+
+test('reads schema 1 documents as they are', () => {
+  expect(isLegacyTracking(tracking)).toBe(true);
+  expect(isLegacyTracking(splitTracking(tracking).meta)).toBe(false);
+  expect(joinTracking({ meta: tracking, cycles: { 0: { statuses: { a: 3 } } } })).toBe(tracking);
+});
+
+test('a tap only rewrites the cycle it changed', () => {
+  const before = splitTracking(tracking);
+  const after = splitTracking({ ...tracking, grid: [{ ...tracking.grid[0], row: [1, 0, 3] }, ...tracking.grid.slice(1)] });
+  expect(diffDocs(before.cycles, after.cycles)).toEqual({ set: [['2', { statuses: { a: 3 }, logs: { a: { duration: 30 } } }]], remove: [] });
+  expect(diffDocs(before.cycles, {}).remove).toEqual(['0', '1', '2']);
+});
@@ -0,0 +1,83 @@
+import { sanitizePlanData } from './plan';
+import { newSessionId } from './sessions';
+import { defaultI18n } from './i18n';
+
+// --- Plan Templates ---
+// A template is a plan without a schedule or tracking. Built-in templates ship
+// with the app; users' own templates are kept in the store next to their plans.
+
+const exercise = (name, { sets = 0, reps = 0, duration = 0, load = 0, progression = null } = {}) => ({ name, sets, reps, duration, load, progression });
+const ifDone = (field, amount, every = 1) => ({ field, amount, every, condition: 'previousDone' });
+const workout = (text, exercises = []) => ({ text, isRest: false, exercises });
+const REST = { text: '', isRest: true };
+
+const template = (id, name, description, activities) => ({ id, name, description, plan: { sessions: activities.length, activities } });
+
+const runWalk = (text, jogMinutes) => workout(text, [
+    exercise('Brisk walk warm-up', { duration: 5 }),
+    exercise('Jog / walk intervals', { duration: jogMinutes, progression: ifDone('duration', 2) }),
+]);
+
+const push = workout('Push', [
+    exercise('Bench press', { sets: 3, reps: 8, load: 40, progression: ifDone('load', 2.5) }),
+    exercise('Overhead press', { sets: 3, reps: 8, load: 25, progression: ifDone('load', 1.25) }),
+    exercise('Dips', { sets: 3, reps: 8, progression: ifDone('reps', 1, 2) }),
+]);
+const pull = workout('Pull', [
+    exercise('Barbell row', { sets: 3, reps: 8, load: 40, progression: ifDone('load', 2.5) }),
+    exercise('Pull-up', { sets: 3, reps: 5, progression: ifDone('reps', 1, 2) }),
+    exercise('Biceps curl', { sets: 3, reps: 10, load: 10, progression: ifDone('load', 1, 2) }),
+]);
+const legs = workout('Legs', [
+    exercise('Squat', { sets: 3, reps: 5, load: 60, progression: ifDone('load', 2.5) }),
+    exercise('Romanian deadlift', { sets: 3, reps: 8, load: 50, progression: ifDone('load', 2.5) }),
+    exercise('Calf raise', { sets: 3, reps: 12 }),
+]);
+
+export const BUILT_IN_TEMPLATES = [
+    template('blank', 'Blank plan', 'Seven free sessions to fill in yourself.', Array.from({ length: 7 }, () => workout('Free'))),
+    template('couch-to-5k', 'Couch to 5K', 'Three run/walk sessions a week; the jogging grows by 2 minutes after every completed session.', [
+        runWalk('Run/walk', 8), REST, runWalk('Run/walk', 8), REST, runWalk('Long run/walk', 10), REST, REST,
+    ]),
+    template('strength-3-day', '3-Day Strength Split', 'Upper body, lower body and full body days with load progression.', [
+        workout('Upper body', [push.exercises[0], pull.exercises[0], push.exercises[1]]),
+        REST,
+        workout('Lower body', legs.exercises),
+        REST,
+        workout('Full body', [
+            exercise('Deadlift', { sets: 1, reps: 5, load: 80, progression: ifDone('load', 5) }),
+            pull.exercises[1],
+            exercise('Push-up', { sets: 3, reps: 12, progression: ifDone('reps', 1) }),
+        ]),
+        REST,
+        REST,
+    ]),
+    template('push-pull-legs', 'Push / Pull / Legs', 'Each muscle group twice a week, with one rest day.', [push, pull, legs, push, pull, legs, REST]),
+];
+
+export const createEmptyTracking = () => ({ grid: [], currentCycleIndex: 0, highestCycleIndex: 0, planHistory: {} });
+
+// A new plan built from a template. Sessions get fresh ids and no schedule.
+export const instantiateTemplate = (source, name = source.name) => {
+    const plan = sanitizePlanData({ ...source.plan, name });
+    return { ...plan, activities: plan.activities.map(activity => ({ ...activity, id: newSessionId() })), schedule: null };
+};
+
+export const describePlan = (plan, { t } = defaultI18n) => t('templates.summary', {
+    sessions: t('templates.sessionCount', { count: plan.sessions }),
+    workouts: t('templates.workoutCount', { count: plan.activities.filter(a => !a.isRest).length }),
+});
+
+// The description is written in the language the template was saved in.
+export const createTemplateFromPlan = (rawPlan, now = new Date(), i18n = defaultI18n) => {
+    const { name, sessions, activities, statusScale } = sanitizePlanData(rawPlan);
+    const plan = statusScale ? { sessions, activities, statusScale } : { sessions, activities };
+    return { name, description: describePlan({ sessions, activities }, i18n), createdAt: now.toISOString(), plan };
+};
+
+// A copy of a plan, either starting afresh or carrying over its tracking document
+// (results, cycle position, planHistory, versions and audit log).
+export const duplicatePlan = (plan, trackingData, { includeTracking = false } = {}, { t } = defaultI18n) => ({
+    plan: { ...plan, name: t('templates.copyName', { name: plan.name }) },
+    tracking: includeTracking && trackingData ? trackingData : createEmptyTracking(),
+});
@@ -0,0 +1,33 @@
+import { BUILT_IN_TEMPLATES, instantiateTemplate, createTemplateFromPlan, duplicatePlan } from './templates';
+import { createI18n } from './i18n';
+import { sanitizePlanData } from './plan';
+
+test('built-in templates are valid plans', () => {
+  expect(BUILT_IN_TEMPLATES.map(t => t.id)).toEqual(['blank', 'couch-to-5k', 'strength-3-day', 'push-pull-legs']);
+  BUILT_IN_TEMPLATES.forEach(({ plan }) => {
+    expect(sanitizePlanData(plan).activities).toHaveLength(plan.sessions);
+  });
+});
+
+test('instantiating a template gives fresh session ids and no schedule', () => {
+  const ppl = BUILT_IN_TEMPLATES.find(t => t.id === 'push-pull-legs');
+  const plan = instantiateTemplate(ppl);
+  expect(plan.name).toBe('Push / Pull / Legs');
+  expect(plan.schedule).toBeNull();
+  expect(new Set(plan.activities.map(a => a.id)).size).toBe(7);
+  expect(plan.activities[0].exercises[0]).toMatchObject({ name: 'Bench press', load: 40 });
+});
+
+test('saving a plan as a template drops its schedule', () => {
+  const template = createTemplateFromPlan({ name: 'Mine', sessions: 2, activities: [{ text: 'Run' }, { isRest: true }], schedule: { startDate: '2024-01-01', cadence: { type: 'daily' } } }, new Date('2024-02-01T00:00:00Z'));
+  expect(template).toMatchObject({ name: 'Mine', description: '2 sessions, 1 workout', createdAt: '2024-02-01T00:00:00.000Z' });
+  expect(template.plan).not.toHaveProperty('schedule');
+  expect(createTemplateFromPlan({ name: 'Mine', sessions: 1, activities: [{ text: 'Run' }] }, new Date(), createI18n('fr')).description).toBe('1 séance, 1 entraînement');
+});
+
+test('duplicates keep or reset tracking', () => {
+  const tracking = { grid: [{ row: [1] }], currentCycleIndex: 3, planHistory: { 2: {} } };
+  expect(duplicatePlan({ name: 'A' }, tracking, { includeTracking: true })).toEqual({ plan: { name: 'A (copy)' }, tracking });
+  expect(duplicatePlan({ name: 'A' }, tracking).tracking).toEqual({ grid: [], currentCycleIndex: 0, highestCycleIndex: 0, planHistory: {} });
+  expect(duplicatePlan({ name: 'A' }, tracking, {}, createI18n('fr')).plan.name).toBe('A (copie)');
+});
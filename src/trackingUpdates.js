@@ -0,0 +1,89 @@
+import { toSafeInt } from './plan';
+import { getSessionStatus, updateGridRow } from './sessions';
+import { getSessionLog } from './sessionLog';
+import { createAuditEntry } from './audit';
+import { expectUnchanged } from './conflicts';
+import { getDefaultStatusScale, nextStatus } from './statusScale';
+import { recordAchievements } from './achievements';
+
+// --- Tracking Updates ---
+// Each helper returns an update for store.runTransaction: a function from the
+// latest stored documents to the ones to write. `expected` is what the screen
+// showed when the user acted; if the stored value differs, the change is refused.
+// Goals the change completes are recorded along with it. A plan without a tracking
+// document yet (one saved by an older version, or whose document was lost) gets one
+// on its first change, since the screens show it as empty.
+
+const EMPTY_TRACKING = { grid: [], currentCycleIndex: 0, highestCycleIndex: 0, planHistory: {} };
+
+const withTracking = (update) => ({ plan, trackingData }) => ({
+    trackingData: recordAchievements(plan, update(trackingData ?? EMPTY_TRACKING)),
+});
+
+// Writes one cell and, for past cycles, records the change in the audit log.
+const writeStatus = (trackingData, { sessionId, sessionIndex, cycle, from, to }) => {
+    const grid = updateGridRow(trackingData.grid, sessionId, (item) => {
+        const row = [...item.row];
+        while (row.length <= cycle) row.push(0);
+        row[cycle] = to;
+        return { ...item, row };
+    });
+    const currentCycleIndex = toSafeInt(trackingData.currentCycleIndex);
+    if (cycle >= currentCycleIndex) return { ...trackingData, grid };
+    const [entryId, entry] = createAuditEntry({ session: sessionIndex, sessionId, cycle, from, to, currentCycleIndex });
+    return { ...trackingData, grid, auditLog: { ...trackingData.auditLog, [entryId]: entry } };
+};
+
+// Advances one cell to the next status of its cycle's scale (`statusCount` statuses).
+export const cycleStatus = ({ sessionId, sessionIndex, cycle, expected, statusCount = getDefaultStatusScale().length }) => withTracking((trackingData) => {
+    const from = getSessionStatus(trackingData.grid, sessionId, cycle);
+    expectUnchanged(from, expected, 'sessionStatus');
+    return writeStatus(trackingData, { sessionId, sessionIndex, cycle, from, to: nextStatus(from, statusCount) });
+});
+
+// Sets one cell straight to `status`, for the one-tap buttons of the Today page.
+export const setStatus = ({ sessionId, sessionIndex, cycle, expected, status }) => withTracking((trackingData) => {
+    const from = getSessionStatus(trackingData.grid, sessionId, cycle);
+    expectUnchanged(from, expected, 'sessionStatus');
+    return writeStatus(trackingData, { sessionId, sessionIndex, cycle, from, to: status });
+});
+
+export const setSessionLog = ({ sessionId, cycle, log, expected }) => withTracking((trackingData) => {
+    expectUnchanged(getSessionLog(trackingData.grid, sessionId, cycle), expected, 'sessionLog');
+    const grid = updateGridRow(trackingData.grid, sessionId, ({ logs: oldLogs, ...cell }) => {
+        const logs = { ...oldLogs };
+        if (log) logs[cycle] = log;
+        else delete logs[cycle];
+        return Object.keys(logs).length > 0 ? { ...cell, logs } : cell;
+    });
+    return { ...trackingData, grid };
+});
+
+// Marks the sessions matched to imported workouts in one go. Each must still be
+// unlogged; its log keeps any fields already filled in that the workout does not set.
+export const applyWorkouts = ({ cycle, matches }) => withTracking((trackingData) => {
+    let grid = trackingData.grid;
+    matches.forEach(({ sessionId, status, log }) => {
+        expectUnchanged(getSessionStatus(grid, sessionId, cycle), 0, 'workoutImport');
+        grid = updateGridRow(grid, sessionId, (item) => {
+            const row = [...item.row];
+            while (row.length <= cycle) row.push(0);
+            row[cycle] = status;
+            return { ...item, row, logs: { ...item.logs, [cycle]: { ...item.logs?.[cycle], ...log } } };
+        });
+    });
+    return { ...trackingData, grid };
+});
+
+// With `expected`, the move is refused if the current cycle already changed elsewhere.
+// Without it (calendar catch-up), moving is skipped once that cycle has been reached.
+export const moveToCycle = ({ cycle, expected }) => withTracking((trackingData) => {
+    const currentCycleIndex = toSafeInt(trackingData.currentCycleIndex);
+    const highestCycleIndex = toSafeInt(trackingData.highestCycleIndex);
+    if (expected === undefined) {
+        if (highestCycleIndex >= cycle) return trackingData;
+    } else {
+        expectUnchanged(currentCycleIndex, expected, 'cycle');
+    }
+    return { ...trackingData, currentCycleIndex: cycle, highestCycleIndex: Math.max(highestCycleIndex, cycle) };
+});
@@ -0,0 +1,66 @@
+import { cycleStatus, setStatus, setSessionLog, moveToCycle, applyWorkouts } from './trackingUpdates';
+import { isConflict, isSameValue } from './conflicts';
+import { createMemoryStore } from './storage/memoryStore';
+
+const tracking = { grid: [{ id: 'a', row: [0, 1] }, { id: 'b', row: [0, 0] }], currentCycleIndex: 1, highestCycleIndex: 1, planHistory: {} };
+const setup = () => createMemoryStore({ plans: { p: { name: 'P', sessions: 2, activities: [] } }, trackingData: { p: tracking } });
+
+test('applies a tap to the latest data, keeping changes made elsewhere to other cells', async () => {
+  const store = setup();
+  await store.saveTracking('p', { grid: [{ id: 'a', row: [0, 1] }, { id: 'b', row: [0, 2] }] }, { merge: true });
+  await store.runTransaction('p', cycleStatus({ sessionId: 'a', sessionIndex: 0, cycle: 1, expected: 1 }));
+  expect((await store.getTracking('p')).grid).toEqual([{ id: 'a', row: [0, 2] }, { id: 'b', row: [0, 2] }]);
+});
+
+test('refuses a tap when the same cell was changed elsewhere', async () => {
+  const store = setup();
+  const error = await store.runTransaction('p', cycleStatus({ sessionId: 'a', sessionIndex: 0, cycle: 1, expected: 0 })).catch(e => e);
+  expect(isConflict(error)).toBe(true);
+  expect(await store.getTracking('p')).toEqual(tracking);
+});
+
+test('the first tap on a plan without tracking data creates it', async () => {
+  const store = createMemoryStore({ plans: { p: { name: 'P', sessions: 2, activities: [] } } });
+  await store.runTransaction('p', setStatus({ sessionId: 'a', sessionIndex: 0, cycle: 0, expected: 0, status: 1 }));
+  expect(await store.getTracking('p')).toEqual({ grid: [{ id: 'a', row: [1] }], currentCycleIndex: 0, highestCycleIndex: 0, planHistory: {} });
+});
+
+test('audits taps on past cycles', () => {
+  const { trackingData } = cycleStatus({ sessionId: 'b', sessionIndex: 1, cycle: 0, expected: 0 })({ trackingData: tracking });
+  expect(Object.values(trackingData.auditLog)).toEqual([expect.objectContaining({ sessionId: 'b', cycle: 0, from: 0, to: 1, currentCycleIndex: 1 })]);
+});
+
+test('one-tap statuses jump straight to the chosen value', () => {
+  const update = setStatus({ sessionId: 'b', sessionIndex: 1, cycle: 1, expected: 0, status: 3 });
+  expect(update({ trackingData: tracking }).trackingData.grid[1]).toEqual({ id: 'b', row: [0, 3] });
+  expect(() => setStatus({ sessionId: 'a', sessionIndex: 0, cycle: 1, expected: 0, status: 2 })({ trackingData: tracking })).toThrow(/updated on another device/);
+});
+
+test('session logs are compared with what the editor showed', () => {
+  const withLog = { ...tracking, grid: [{ id: 'a', row: [0, 1], logs: { 1: { duration: 30 } } }] };
+  const update = setSessionLog({ sessionId: 'a', cycle: 1, log: { duration: 45 }, expected: { duration: 30 } });
+  expect(update({ trackingData: withLog }).trackingData.grid[0].logs).toEqual({ 1: { duration: 45 } });
+  expect(() => setSessionLog({ sessionId: 'a', cycle: 1, log: null, expected: null })({ trackingData: withLog })).toThrow(/changed on another device/);
+});
+
+test('cycle moves check the current cycle; calendar catch-up never moves backwards', () => {
+  expect(moveToCycle({ cycle: 2, expected: 1 })({ trackingData: tracking }).trackingData).toMatchObject({ currentCycleIndex: 2, highestCycleIndex: 2 });
+  expect(() => moveToCycle({ cycle: 3, expected: 2 })({ trackingData: tracking })).toThrow(/cycle was changed/);
+  expect(moveToCycle({ cycle: 1 })({ trackingData: tracking }).trackingData).toBe(tracking);
+});
+
+test('imported workouts set each status and fill the log, unless the cell was logged meanwhile', () => {
+  const withLog = { ...tracking, grid: [{ id: 'a', row: [0, 0], logs: { 1: { notes: 'Hot' } } }, { id: 'b', row: [0, 0] }] };
+  const update = applyWorkouts({ cycle: 1, matches: [{ sessionId: 'a', status: 1, log: { duration: 30 } }, { sessionId: 'b', status: 2, log: { duration: 20, distance: 3 } }] });
+  expect(update({ trackingData: withLog }).trackingData.grid).toEqual([
+    { id: 'a', row: [0, 1], logs: { 1: { notes: 'Hot', duration: 30 } } },
+    { id: 'b', row: [0, 2], logs: { 1: { duration: 20, distance: 3 } } },
+  ]);
+  expect(() => update({ trackingData: tracking })).toThrow(/during the import/);
+});
+
+test('compares documents regardless of key order', () => {
+  expect(isSameValue({ a: 1, b: [{ c: 2, d: null }] }, { b: [{ d: null, c: 2 }], a: 1 })).toBe(true);
+  expect(isSameValue({ a: 1 }, { a: 1, b: undefined })).toBe(false);
+  expect(isSameValue([1, 2], { 0: 1, 1: 2 })).toBe(false);
+});
@@ -0,0 +1,121 @@
+import { toSafeInt, getPlanForCycle, getSessionsForCycle } from './plan';
+import { getSessionStatus } from './sessions';
+import { getSessionTargets } from './progression';
+import { getStatusScale, getCompletionStatus } from './statusScale';
+import { getCycleDates, toDateKey } from './schedule';
+
+// --- Workout Import ---
+// GPX and TCX files exported by watches and apps are parsed in the browser into
+// { start, duration (min), distance (km), sport }. Each workout is then matched to
+// an unlogged session of the current cycle: for scheduled plans the one on the
+// workout's day, otherwise the first whose activity names the same sport, else the
+// first one left. It is marked Done, or Partial when shorter than the session's
+// target duration; nothing is written until the matches are confirmed.
+
+export const SPORTS = ['running', 'cycling', 'swimming', 'walking', 'other'];
+
+// Keywords recognised in activity names (English and French) and in file sport fields.
+const SPORT_KEYWORDS = {
+    running: ['run', 'jog', 'course', 'footing', '5k', '10k'],
+    cycling: ['bik', 'cycl', 'ride', 'vélo', 'velo'],
+    swimming: ['swim', 'nage', 'natation'],
+    walking: ['walk', 'hik', 'marche', 'rando'],
+};
+
+export const detectSport = (text) => {
+    const value = (text ?? '').toLowerCase();
+    return SPORTS.find(sport => SPORT_KEYWORDS[sport]?.some(keyword => value.includes(keyword))) ?? 'other';
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Great-circle distance in metres.
+const haversine = (a, b) => {
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLon = toRad(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371000 * Math.asin(Math.sqrt(h));
+};
+
+// Matches on local names, so files work whatever namespace prefixes they use.
+const byName = (root, name) => Array.from(root.getElementsByTagName('*')).filter(el => el.localName === name);
+const firstText = (root, name) => byName(root, name)[0]?.textContent.trim() ?? null;
+
+const parseGpx = (doc) => {
+    const points = byName(doc, 'trkpt').map(pt => ({
+        lat: Number(pt.getAttribute('lat')),
+        lon: Number(pt.getAttribute('lon')),
+        time: firstText(pt, 'time') ? new Date(firstText(pt, 'time')) : null,
+    })).filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lon));
+    const times = points.map(p => p.time).filter(time => time && !Number.isNaN(time.getTime()));
+    if (times.length === 0) throw new Error('GPX file has no timed track points.');
+    let meters = 0;
+    for (let i = 1; i < points.length; i++) meters += haversine(points[i - 1], points[i]);
+    const trk = byName(doc, 'trk')[0];
+    return {
+        start: times[0],
+        duration: round2((times[times.length - 1] - times[0]) / 60000),
+        distance: round2(meters / 1000),
+        sport: detectSport((trk && firstText(trk, 'type')) ?? firstText(doc, 'name')),
+    };
+};
+
+const parseTcx = (doc) => {
+    const activity = byName(doc, 'Activity')[0];
+    if (!activity) throw new Error('TCX file has no activity.');
+    const laps = byName(activity, 'Lap');
+    const start = new Date(laps[0]?.getAttribute('StartTime') ?? firstText(activity, 'Id'));
+    if (Number.isNaN(start.getTime())) throw new Error('TCX activity has no start time.');
+    const sum = (name) => laps.reduce((total, lap) => total + (Number(firstText(lap, name)) || 0), 0);
+    return {
+        start,
+        duration: round2(sum('TotalTimeSeconds') / 60),
+        distance: round2(sum('DistanceMeters') / 1000),
+        sport: detectSport(activity.getAttribute('Sport')),
+    };
+};
+
+// Throws when the file is not a GPX or TCX workout.
+export const parseWorkoutFile = (text) => {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const root = doc.documentElement;
+    if (!root || root.localName === 'parsererror' || byName(doc, 'parsererror').length > 0) throw new Error('Not an XML file.');
+    if (root.localName === 'gpx') return parseGpx(doc);
+    if (root.localName === 'TrainingCenterDatabase') return parseTcx(doc);
+    throw new Error('Not a GPX or TCX file.');
+};
+
+const getTargetDuration = (targets) => targets.reduce((total, target) => total + (target.duration || 0), 0);
+
+// Pairs each workout with a session of the current cycle, or with null when none fits.
+// A match holds the session, the status to set and the log fields to fill in.
+export const matchWorkouts = (workouts, plan, trackingData) => {
+    const { grid, planHistory } = trackingData;
+    const cycle = toSafeInt(trackingData.currentCycleIndex);
+    const cyclePlan = getPlanForCycle(cycle, plan, planHistory);
+    const scale = getStatusScale(cyclePlan);
+    const dates = plan.schedule ? getCycleDates(plan.schedule, cycle, getSessionsForCycle(plan, planHistory)).sessionDates : null;
+    const taken = new Set();
+
+    return [...workouts].sort((a, b) => a.start - b.start).map(workout => {
+        const dayKey = toDateKey(workout.start);
+        const candidates = cyclePlan.activities
+            .map((activity, session) => ({ activity, session }))
+            .filter(({ activity }) => !activity.isRest && !taken.has(activity.id) && getSessionStatus(grid, activity.id, cycle) === 0)
+            .filter(({ session }) => !dates || toDateKey(dates[session]) === dayKey);
+        const found = candidates.find(({ activity }) => workout.sport !== 'other' && detectSport(activity.text) === workout.sport) ?? candidates[0];
+        if (!found) return { workout, match: null };
+
+        const { activity, session } = found;
+        const targetDuration = getTargetDuration(getSessionTargets(activity, cycle, planHistory, grid, scale));
+        const isComplete = targetDuration === 0 || workout.duration >= targetDuration;
+        const status = getCompletionStatus(scale, isComplete);
+        if (status === 0) return { workout, match: null };
+        taken.add(activity.id);
+        return {
+            workout,
+            match: { sessionId: activity.id, session, activity: activity.text, status, isComplete, log: { duration: Math.round(workout.duration), ...(workout.distance > 0 && { distance: workout.distance }) } },
+        };
+    });
+};
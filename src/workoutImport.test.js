@@ -0,0 +1,53 @@
+import { parseWorkoutFile, matchWorkouts, detectSport } from './workoutImport';
+import { sanitizePlanData, sanitizeTrackingData } from './plan';
+
+const gpx = (type = 'running') => `<?xml version="1.0"?>
+<gpx version="1.1" creator="Watch" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk><name>Morning</name><type>${type}</type><trkseg>
+    <trkpt lat="0" lon="0"><time>2024-01-03T12:00:00Z</time></trkpt>
+    <trkpt lat="0" lon="0.005"><time>2024-01-03T12:15:00Z</time></trkpt>
+    <trkpt lat="0" lon="0.01"><time>2024-01-03T12:30:00Z</time></trkpt>
+  </trkseg></trk>
+</gpx>`;
+
+const tcx = `<?xml version="1.0"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">
+  <Activities><Activity Sport="Biking"><Id>2024-01-04T12:00:00Z</Id>
+    <Lap StartTime="2024-01-04T12:00:00Z"><TotalTimeSeconds>1800</TotalTimeSeconds><DistanceMeters>10000</DistanceMeters></Lap>
+    <Lap StartTime="2024-01-04T12:30:00Z"><TotalTimeSeconds>900</TotalTimeSeconds><DistanceMeters>5500</DistanceMeters></Lap>
+  </Activity></Activities>
+</TrainingCenterDatabase>`;
+
+test('parses GPX tracks and TCX laps', () => {
+  expect(parseWorkoutFile(gpx())).toEqual({ start: new Date('2024-01-03T12:00:00Z'), duration: 30, distance: 1.11, sport: 'running' });
+  expect(parseWorkoutFile(tcx)).toEqual({ start: new Date('2024-01-04T12:00:00Z'), duration: 45, distance: 15.5, sport: 'cycling' });
+  expect(() => parseWorkoutFile('{"plans": []}')).toThrow();
+  expect(() => parseWorkoutFile('<plans/>')).toThrow(/GPX or TCX/);
+  expect(detectSport('Sortie vélo')).toBe('cycling');
+});
+
+const activities = [
+  { id: 'swim', text: 'Swim' },
+  { id: 'run', text: 'Tempo run', exercises: [{ name: 'Run', duration: 40 }] },
+  { id: 'rest', text: '', isRest: true },
+  { id: 'ride', text: 'Long ride' },
+];
+const tracking = sanitizeTrackingData({ grid: [{ id: 'swim', row: [] }, { id: 'run', row: [] }, { id: 'rest', row: [] }, { id: 'ride', row: [2] }], currentCycleIndex: 0 });
+const run = (minutes, day = 3) => ({ start: new Date(2024, 0, day, 12), duration: minutes, distance: 8, sport: 'running' });
+
+test('matches workouts to unlogged sessions of the same sport, Partial when short of the target', () => {
+  const plan = sanitizePlanData({ sessions: 4, activities });
+  const [long, short] = matchWorkouts([run(45), run(30)], plan, tracking);
+  expect(long.match).toEqual({ sessionId: 'run', session: 1, activity: 'Tempo run', status: 1, isComplete: true, log: { duration: 45, distance: 8 } });
+  // The run is taken, so the second workout falls back to the first session left.
+  expect(short.match).toMatchObject({ sessionId: 'swim', status: 1 });
+  expect(matchWorkouts([run(30)], plan, tracking)[0].match).toMatchObject({ sessionId: 'run', status: 2, isComplete: false });
+  expect(matchWorkouts([{ ...run(60), sport: 'cycling' }], plan, tracking)[0].match.sessionId).toBe('swim');
+});
+
+test('scheduled plans match the session on the workout day', () => {
+  const plan = sanitizePlanData({ sessions: 4, activities, schedule: { startDate: '2024-01-01', cadence: { type: 'daily' } } });
+  expect(matchWorkouts([run(50, 1)], plan, tracking)[0].match.sessionId).toBe('swim');
+  expect(matchWorkouts([run(50, 3)], plan, tracking)[0].match).toBeNull();
+  expect(matchWorkouts([run(50, 9)], plan, tracking)[0].match).toBeNull();
+});